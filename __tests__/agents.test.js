@@ -0,0 +1,116 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+
+const PROFILE = [
+  '---',
+  'description: Writes release notes',
+  'model: gpt-5',
+  'mcp-servers:',
+  '  changelog:',
+  '    command: node',
+  '    args: [tools/changelog.js]',
+  '    env:',
+  '      LOG_LEVEL: warn',
+  '    tools: [read_changelog]',
+  '  docs:',
+  '    type: http',
+  '    url: https://example.com/mcp',
+  '---',
+  '',
+  '# Release notes agent',
+  '',
+  'Keep entries short.',
+].join('\n');
+
+describe('Agent profiles', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    fs.mkdirSync('agents.tmp', { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync('agents.tmp', { recursive: true, force: true });
+  });
+
+  describe('resolveAgentPath', () => {
+    test('looks up bare names in .github/agents and keeps paths', async () => {
+      const { resolveAgentPath } = await import('../src/agents.js');
+      expect(resolveAgentPath('hlbpa')).toBe('.github/agents/hlbpa.agent.md');
+      expect(resolveAgentPath('docs/notes.agent.md')).toBe('docs/notes.agent.md');
+    });
+  });
+
+  describe('parseAgentProfile', () => {
+    test('reads the instructions, model and local MCP servers', async () => {
+      const { parseAgentProfile } = await import('../src/agents.js');
+      expect(parseAgentProfile(PROFILE, 'notes')).toEqual({
+        name: 'notes',
+        instructions: '# Release notes agent\n\nKeep entries short.',
+        model: 'gpt-5',
+        mcpServers: {
+          changelog: {
+            type: 'local',
+            command: 'node',
+            args: ['tools/changelog.js'],
+            env: { LOG_LEVEL: 'warn' },
+            tools: ['read_changelog'],
+          },
+        },
+      });
+    });
+
+    test.each([
+      ['---\nmodel: [\n---\nBody', 'Invalid agent profile: Invalid frontmatter'],
+      ['---\nmodel: gpt-5\n---\n', 'the profile has no instructions'],
+      ['---\nmodel: 5\n---\nBody', 'model must be a non-empty string'],
+      ['---\nmcp-servers: [npx]\n---\nBody', 'mcp-servers must be a mapping of server names'],
+      ['---\nmcp-servers:\n  a:\n    args: [x]\n---\nBody', 'mcp-servers.a.command must be'],
+      [
+        '---\nmcp-servers:\n  a:\n    command: npx\n    args: x\n---\nBody',
+        'a.args must be a list',
+      ],
+      ['---\nmcp-servers:\n  a:\n    command: npx\n    env: [x]\n---\nBody', 'a.env must map'],
+    ])('rejects %j', async (content, message) => {
+      const { parseAgentProfile } = await import('../src/agents.js');
+      expect(() => parseAgentProfile(content, 'agent')).toThrow(message);
+    });
+  });
+
+  describe('loadAgentProfile', () => {
+    test('returns null without an agent', async () => {
+      const { loadAgentProfile } = await import('../src/agents.js');
+      expect(await loadAgentProfile('')).toBeNull();
+    });
+
+    test('loads the profiles shipped in .github/agents by name', async () => {
+      const { loadAgentProfile } = await import('../src/agents.js');
+      const agent = await loadAgentProfile('hlbpa');
+
+      expect(agent.name).toBe('hlbpa');
+      expect(agent.model).toBe('claude-sonnet-4.5');
+      expect(agent.instructions).toMatch(/^# High-Level Big Picture Architect/);
+      expect(agent.mcpServers).toEqual({
+        'mcp-mermaid': {
+          type: 'local',
+          command: 'npx',
+          args: ['-y', 'mcp-mermaid@latest'],
+          tools: ['*'],
+        },
+      });
+    });
+
+    test('loads a profile path and rejects missing profiles', async () => {
+      fs.writeFileSync('agents.tmp/notes.agent.md', PROFILE);
+      const { loadAgentProfile } = await import('../src/agents.js');
+
+      const agent = await loadAgentProfile('agents.tmp/notes.agent.md');
+      expect(agent.name).toBe('notes');
+      expect(agent.path).toMatch(/agents\.tmp\/notes\.agent\.md$/);
+      await expect(loadAgentProfile('missing')).rejects.toThrow(
+        'File not found: .github/agents/missing.agent.md'
+      );
+    });
+  });
+});
@@ -0,0 +1,289 @@
+import { mockCopilotClient, mockCopilotLoader, mockExec } from './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+
+const FIXTURE = [
+  'models: [gpt-5]',
+  'sessions:',
+  '  - turns:',
+  '      - expect: Add the notes',
+  '        steps:',
+  "          - message: I'll add the notes.",
+  '          - write: scripted.tmp/notes.md',
+  '            content: "# Notes\\n"',
+  '          - delete: scripted.tmp/old.md',
+  '          - shell: npm test',
+  '            output: 1 passed',
+  '          - message: Done.',
+  '      - steps:',
+  '          - shell: npm run lint',
+  '            exit-code: 1',
+  '  - turns:',
+  '      - steps:',
+  '          - message: Looks good.',
+].join('\n');
+
+describe('Agent backends', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    fs.mkdirSync('scripted.tmp', { recursive: true });
+    fs.writeFileSync('scripted.tmp/old.md', 'old');
+  });
+
+  afterEach(() => {
+    fs.rmSync('scripted.tmp', { recursive: true, force: true });
+  });
+
+  const openSession = async (backend, options = {}) => {
+    const session = await backend.createSession({ model: 'gpt-5', ...options });
+    const events = [];
+    session.events((event) => events.push(event));
+    return { session, events };
+  };
+
+  describe('parseAgentFixture', () => {
+    test('normalizes sessions, turns and steps', async () => {
+      const { parseAgentFixture } = await import('../src/backends.js');
+      const script = parseAgentFixture(FIXTURE);
+
+      expect(script.models).toEqual(['gpt-5']);
+      expect(script.sessions).toHaveLength(2);
+      expect(script.sessions[0].turns[0]).toEqual({
+        expect: 'Add the notes',
+        steps: [
+          { type: 'message', content: "I'll add the notes." },
+          { type: 'write', path: 'scripted.tmp/notes.md', content: '# Notes\n' },
+          { type: 'delete', path: 'scripted.tmp/old.md' },
+          { type: 'shell', command: 'npm test', output: '1 passed', exitCode: 0, run: false },
+          { type: 'message', content: 'Done.' },
+        ],
+      });
+    });
+
+    test.each([
+      ['[', 'Invalid agent fixture'],
+      ['sessions: []', 'sessions must be a non-empty list'],
+      ['sessions:\n  - turns: []', 'sessions[0].turns must be a non-empty list'],
+      ['models: gpt-5\nsessions: []', 'models must be a list of strings'],
+      [
+        'sessions:\n  - turns:\n      - steps:\n          - message: hi\n            shell: ls',
+        'sessions[0].turns[0].steps[0] must have exactly one of message, write, delete, shell',
+      ],
+      [
+        'sessions:\n  - turns:\n      - steps:\n          - write: ../escape.md\n            content: x',
+        'sessions[0].turns[0].steps[0].write: Path traversal detected',
+      ],
+      [
+        'sessions:\n  - turns:\n      - steps:\n          - write: a.md',
+        'steps[0].content must be a string',
+      ],
+      [
+        'sessions:\n  - turns:\n      - steps:\n          - shell: ls\n            exit-code: bad',
+        'steps[0].exit-code must be an integer',
+      ],
+      [
+        'sessions:\n  - turns:\n      - reply: hi\n        steps:\n          - message: hi',
+        'sessions[0].turns[0] has unknown keys reply',
+      ],
+    ])('rejects %j', async (text, message) => {
+      const { parseAgentFixture } = await import('../src/backends.js');
+      expect(() => parseAgentFixture(text)).toThrow(message);
+    });
+  });
+
+  describe('createScriptedBackend', () => {
+    test('replays messages, file edits and recorded shell output', async () => {
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const backend = await createScriptedBackend(parseAgentFixture(FIXTURE))();
+      const onPermissionRequest = vi.fn().mockResolvedValue({ kind: 'approved' });
+      const { session, events } = await openSession(backend, { onPermissionRequest });
+
+      await session.send({ prompt: 'Add the notes to the docs' });
+
+      expect(session.sessionId).toBe('scripted-1');
+      expect(await backend.listModels()).toEqual(['gpt-5']);
+      expect(fs.readFileSync('scripted.tmp/notes.md', 'utf8')).toBe('# Notes\n');
+      expect(fs.existsSync('scripted.tmp/old.md')).toBe(false);
+      expect(mockExec.getExecOutput).not.toHaveBeenCalled();
+      expect(onPermissionRequest.mock.calls.map(([request]) => request)).toEqual([
+        { kind: 'write', fileName: 'scripted.tmp/notes.md' },
+        { kind: 'write', fileName: 'scripted.tmp/old.md' },
+        { kind: 'shell', fullCommandText: 'npm test' },
+      ]);
+      expect(events.map((event) => event.type)).toEqual([
+        'assistant.message',
+        'tool.execution_start',
+        'tool.execution_end',
+        'tool.execution_start',
+        'tool.execution_end',
+        'tool.execution_start',
+        'tool.execution_end',
+        'assistant.message',
+      ]);
+      expect(events[6].data).toEqual({
+        toolCallId: 'scripted-call-3',
+        toolName: 'shell',
+        success: true,
+        result: '1 passed',
+      });
+
+      await session.send({ prompt: 'The lint failed' });
+      expect(events.at(-1).data).toMatchObject({ toolName: 'shell', success: false });
+    });
+
+    test('skips the effect of denied tool requests', async () => {
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const backend = await createScriptedBackend(parseAgentFixture(FIXTURE))();
+      const { session, events } = await openSession(backend, {
+        onPermissionRequest: async (request) =>
+          request.kind === 'write' ? { kind: 'denied-by-rules' } : { kind: 'approved' },
+      });
+
+      await session.send({ prompt: 'Add the notes' });
+
+      expect(fs.existsSync('scripted.tmp/notes.md')).toBe(false);
+      expect(fs.existsSync('scripted.tmp/old.md')).toBe(true);
+      expect(events[2].data).toMatchObject({ success: false, error: 'Permission denied' });
+    });
+
+    test('stops replaying a turn when aborted', async () => {
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const backend = await createScriptedBackend(parseAgentFixture(FIXTURE))();
+      let session;
+      ({ session } = await openSession(backend, {
+        onPermissionRequest: async () => {
+          await session.abort();
+          return { kind: 'approved' };
+        },
+      }));
+
+      await session.send({ prompt: 'Add the notes' });
+
+      expect(fs.existsSync('scripted.tmp/notes.md')).toBe(true);
+      expect(fs.existsSync('scripted.tmp/old.md')).toBe(true);
+    });
+
+    test('runs shell steps marked run', async () => {
+      mockExec.getExecOutput.mockResolvedValue({ exitCode: 0, stdout: 'ok\n', stderr: '' });
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const script = parseAgentFixture(
+        'sessions:\n  - turns:\n      - steps:\n          - shell: touch a\n            run: true'
+      );
+      const backend = await createScriptedBackend(script)();
+      const { session, events } = await openSession(backend);
+
+      await session.send({ prompt: 'Touch a' });
+
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith('sh', ['-c', 'touch a'], {
+        ignoreReturnCode: true,
+      });
+      expect(events.at(-1).data).toMatchObject({ success: true, result: 'ok' });
+    });
+
+    test('keeps its place across backends created by the same factory', async () => {
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const createBackend = createScriptedBackend(parseAgentFixture(FIXTURE));
+
+      await (await createBackend()).createSession();
+      const { session, events } = await openSession(await createBackend());
+      await session.send({ prompt: 'Review' });
+
+      expect(session.sessionId).toBe('scripted-2');
+      expect(events).toEqual([{ type: 'assistant.message', data: { content: 'Looks good.' } }]);
+      await expect((await createBackend()).createSession()).rejects.toThrow(
+        'Agent fixture has no session left (it records 2)'
+      );
+    });
+
+    test('rejects prompts the recording does not expect', async () => {
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const backend = await createScriptedBackend(parseAgentFixture(FIXTURE))();
+      const { session } = await openSession(backend);
+
+      await expect(session.send({ prompt: 'Something else' })).rejects.toThrow(
+        'Scripted session scripted-1 turn 1 expected a prompt containing "Add the notes"'
+      );
+    });
+
+    test('rejects messages after the last recorded turn', async () => {
+      const { parseAgentFixture, createScriptedBackend } = await import('../src/backends.js');
+      const createBackend = createScriptedBackend(parseAgentFixture(FIXTURE));
+      await (await createBackend()).createSession();
+      const { session } = await openSession(await createBackend());
+
+      await session.send({ prompt: 'Review' });
+      await expect(session.send({ prompt: 'Again' })).rejects.toThrow(
+        'Scripted session scripted-2 has no turn left (it records 1)'
+      );
+    });
+  });
+
+  describe('createCopilotBackend', () => {
+    test('adapts the Copilot SDK client', async () => {
+      const { createCopilotBackend } = await import('../src/backends.js');
+      const backend = await createCopilotBackend();
+      await backend.start();
+      const session = await backend.createSession({ model: 'gpt-5' });
+      await session.send({ prompt: 'Fix it' }, 1000);
+      await session.abort();
+
+      expect(mockCopilotLoader.getCopilotClient).toHaveBeenCalled();
+      expect(backend.listModels).toBeUndefined();
+      expect(session.sessionId).toBe('mock-123');
+      await expect(backend.stop()).resolves.toBeUndefined();
+    });
+
+    test('streams sessions and forwards events', async () => {
+      const on = vi.fn();
+      const createSession = vi.fn().mockResolvedValue({
+        sessionId: 'sdk-1',
+        on,
+        sendAndWait: vi.fn(),
+        destroy: vi.fn(),
+      });
+      mockCopilotLoader.getCopilotClient.mockResolvedValueOnce(
+        class extends mockCopilotClient {
+          createSession = createSession;
+          async listModels() {
+            return [{ id: 'gpt-5' }];
+          }
+        }
+      );
+      const { createCopilotBackend } = await import('../src/backends.js');
+      const backend = await createCopilotBackend();
+      const session = await backend.createSession({ model: 'gpt-5' });
+      const handler = vi.fn();
+      session.events(handler);
+
+      expect(createSession).toHaveBeenCalledWith({ model: 'gpt-5', streaming: true });
+      expect(on).toHaveBeenCalledWith(handler);
+      expect(await backend.listModels()).toEqual([{ id: 'gpt-5' }]);
+    });
+  });
+
+  describe('loadAgentBackend', () => {
+    test('defaults to the Copilot SDK', async () => {
+      const { loadAgentBackend, createCopilotBackend } = await import('../src/backends.js');
+      expect(await loadAgentBackend('', '')).toBe(createCopilotBackend);
+    });
+
+    test('loads a fixture file for the scripted backend', async () => {
+      fs.writeFileSync('scripted.tmp/session.yml', FIXTURE);
+      const { loadAgentBackend } = await import('../src/backends.js');
+      const createBackend = await loadAgentBackend('scripted', 'scripted.tmp/session.yml');
+      const backend = await createBackend();
+      expect(backend.name).toBe('scripted');
+    });
+
+    test('rejects unknown backends and a missing fixture', async () => {
+      const { loadAgentBackend } = await import('../src/backends.js');
+      await expect(loadAgentBackend('openai', '')).rejects.toThrow(
+        'Invalid agent_backend: expected one of copilot, scripted'
+      );
+      await expect(loadAgentBackend('scripted', '')).rejects.toThrow(
+        'Invalid agent_backend: scripted requires an agent_fixture'
+      );
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import { mockCore } from './mocks.js';
+
+const task = (overrides) => ({
+  file: 'tasks/a.md',
+  title: 'Delegate: tasks/a.md',
+  status: 'no_changes',
+  branch: null,
+  prNumber: null,
+  prUrl: null,
+  commit: null,
+  files: [],
+  error: null,
+  ...overrides,
+});
+
+describe('Batch mode', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    fs.mkdirSync('batch-tasks.tmp/nested', { recursive: true });
+    fs.writeFileSync('batch-tasks.tmp/b.md', 'Task B');
+    fs.writeFileSync('batch-tasks.tmp/a.md', 'Task A');
+    fs.writeFileSync('batch-tasks.tmp/notes.txt', 'Not a task');
+    fs.writeFileSync('batch-tasks.tmp/nested/c.md', 'Task C');
+  });
+
+  afterEach(() => {
+    fs.rmSync('batch-tasks.tmp', { recursive: true, force: true });
+  });
+
+  describe('isBatchPattern', () => {
+    test('recognizes globs and directories', async () => {
+      const { isBatchPattern } = await import('../src/batch.js');
+      expect(isBatchPattern('.github/delegate/*.md')).toBe(true);
+      expect(isBatchPattern('batch-tasks.tmp')).toBe(true);
+      expect(isBatchPattern('batch-tasks.tmp/a.md')).toBe(false);
+      expect(isBatchPattern('missing.md')).toBe(false);
+      expect(isBatchPattern('')).toBe(false);
+    });
+  });
+
+  describe('resolveTaskFiles', () => {
+    test('expands globs in sorted order', async () => {
+      const { resolveTaskFiles } = await import('../src/batch.js');
+      await expect(resolveTaskFiles('batch-tasks.tmp/**/*.md')).resolves.toEqual([
+        'batch-tasks.tmp/a.md',
+        'batch-tasks.tmp/b.md',
+        'batch-tasks.tmp/nested/c.md',
+      ]);
+    });
+
+    test('selects the Markdown files directly inside a directory', async () => {
+      const { resolveTaskFiles } = await import('../src/batch.js');
+      await expect(resolveTaskFiles('batch-tasks.tmp/')).resolves.toEqual([
+        'batch-tasks.tmp/a.md',
+        'batch-tasks.tmp/b.md',
+      ]);
+    });
+
+    test('rejects unsafe patterns and empty matches', async () => {
+      const { resolveTaskFiles } = await import('../src/batch.js');
+      await expect(resolveTaskFiles('/etc/*')).rejects.toThrow('Absolute paths');
+      await expect(resolveTaskFiles('../*.md')).rejects.toThrow('Path traversal');
+      await expect(resolveTaskFiles('batch-tasks.tmp/*.yml')).rejects.toThrow(
+        'No instruction files match batch-tasks.tmp/*.yml'
+      );
+    });
+
+    test('rejects oversized instruction files', async () => {
+      fs.writeFileSync('batch-tasks.tmp/huge.md', 'x'.repeat(2 * 1024 * 1024));
+      const { resolveTaskFiles } = await import('../src/batch.js');
+      await expect(resolveTaskFiles('batch-tasks.tmp/*.md')).rejects.toThrow(
+        'exceeds maximum size'
+      );
+    });
+  });
+
+  describe('renderTaskTable', () => {
+    test('shows the outcome of each task', async () => {
+      const { renderTaskTable } = await import('../src/batch.js');
+      const table = renderTaskTable([
+        task({ status: 'pr_created', prNumber: 7, prUrl: 'https://github.com/o/r/pull/7' }),
+        task({ file: 'tasks/b.md', status: 'committed', commit: 'abcdef1234', files: [{}] }),
+        task({ file: 'tasks/c.md', status: 'failed', error: 'bad | worse\nworst' }),
+      ]);
+
+      expect(table.split('\n')).toEqual([
+        '| Task | Status | Changes | Files | Error |',
+        '| ---- | ------ | ------- | ----- | ----- |',
+        '| `tasks/a.md` | pr_created | [#7](https://github.com/o/r/pull/7) | 0 |  |',
+        '| `tasks/b.md` | committed | `abcdef1` | 1 |  |',
+        '| `tasks/c.md` | failed | — | 0 | bad \\| worse worst |',
+      ]);
+    });
+  });
+
+  describe('writeBatchSummary', () => {
+    test('writes the task table to the job summary', async () => {
+      const { writeBatchSummary } = await import('../src/batch.js');
+      await writeBatchSummary([task(), task({ status: 'failed' })], 'combined');
+
+      expect(mockCore.summary.addHeading).toHaveBeenCalledWith('Delegate batch', 2);
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith(
+        '2 tasks in combined mode, 1 failed.',
+        true
+      );
+      expect(mockCore.summary.write).toHaveBeenCalled();
+    });
+  });
+});
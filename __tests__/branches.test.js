@@ -0,0 +1,172 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mockCore, mockExec } from './mocks.js';
+
+describe('Branches', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('slugify', () => {
+    test('makes titles and file names branch-safe', async () => {
+      const { slugify, slugifyFile } = await import('../src/branches.js');
+
+      expect(slugify('Fix the Login/Logout bug!')).toBe('fix-the-login-logout-bug');
+      expect(slugify('???')).toBe('task');
+      expect(slugify('a'.repeat(80))).toHaveLength(50);
+      expect(slugifyFile('tasks/Add README.md')).toBe('add-readme');
+    });
+  });
+
+  describe('parseBranchTemplate', () => {
+    test('accepts known tokens', async () => {
+      const { parseBranchTemplate } = await import('../src/branches.js');
+
+      expect(parseBranchTemplate('{{prefix}}/{{issue}}-{{slug}}')).toBe(
+        '{{prefix}}/{{issue}}-{{slug}}'
+      );
+    });
+
+    test('rejects unknown tokens and templates that always render the same name', async () => {
+      const { parseBranchTemplate } = await import('../src/branches.js');
+
+      expect(() => parseBranchTemplate('{{prefix}}-{{sha}}')).toThrow(
+        'Invalid branch_template: unknown token sha'
+      );
+      expect(() => parseBranchTemplate('{{prefix}}/fixed')).toThrow(
+        'Invalid branch_template: it must include a token besides prefix'
+      );
+    });
+  });
+
+  describe('renderBranchName', () => {
+    const values = {
+      prefix: 'copilot/delegate',
+      actor: 'octo[bot]',
+      slug: 'add-readme',
+      issue: '',
+      date: '2026-01-17',
+      timestamp: '2026-01-17T05-30-00-000Z',
+    };
+
+    test('fills in tokens without leaving stray separators', async () => {
+      const { renderBranchName } = await import('../src/branches.js');
+
+      expect(renderBranchName('{{prefix}}/{{issue}}-{{slug}}', values)).toBe(
+        'copilot/delegate/add-readme'
+      );
+      expect(renderBranchName('{{prefix}}/{{issue}}-{{slug}}', { ...values, issue: 7 })).toBe(
+        'copilot/delegate/7-add-readme'
+      );
+      expect(renderBranchName('{{actor}}/{{date}}', values)).toBe('octo-bot/2026-01-17');
+    });
+
+    test('rejects names git would refuse', async () => {
+      const { renderBranchName } = await import('../src/branches.js');
+
+      expect(() => renderBranchName('{{slug}}.lock', values)).toThrow(
+        'Invalid branch_template: "add-readme.lock" is not a valid branch name'
+      );
+    });
+  });
+
+  describe('getBranchValues', () => {
+    test('derives the date and timestamp from the run time', async () => {
+      const { getBranchValues } = await import('../src/branches.js');
+
+      expect(
+        getBranchValues({
+          prefix: 'p',
+          actor: 'OctoCat',
+          slug: 's',
+          now: new Date('2026-01-17T05:30:00.000Z'),
+        })
+      ).toEqual({
+        prefix: 'p',
+        actor: 'octocat',
+        slug: 's',
+        issue: '',
+        date: '2026-01-17',
+        timestamp: '2026-01-17T05-30-00-000Z',
+      });
+    });
+  });
+
+  describe('resolveBranchCollision', () => {
+    test('keeps a free name', async () => {
+      mockExec.exec.mockResolvedValue(2);
+      const { resolveBranchCollision } = await import('../src/branches.js');
+
+      await expect(resolveBranchCollision('feature')).resolves.toBe('feature');
+      expect(mockExec.exec).toHaveBeenCalledWith(
+        'git',
+        ['ls-remote', '--exit-code', '--heads', 'origin', 'feature'],
+        { ignoreReturnCode: true, silent: true }
+      );
+    });
+
+    test('numbers a name that exists locally or on the remote', async () => {
+      mockExec.exec.mockImplementation((cmd, args) =>
+        Promise.resolve(args.includes('refs/heads/feature') || args.includes('feature-2') ? 0 : 2)
+      );
+      const { resolveBranchCollision } = await import('../src/branches.js');
+
+      await expect(resolveBranchCollision('feature')).resolves.toBe('feature-3');
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Branch feature already exists, using feature-3'
+      );
+    });
+
+    test('gives up when every numbered name is taken', async () => {
+      mockExec.exec.mockResolvedValue(0);
+      const { resolveBranchCollision } = await import('../src/branches.js');
+
+      await expect(resolveBranchCollision('feature')).rejects.toThrow(
+        'Branch feature and its numbered variants up to -20 exist'
+      );
+    });
+  });
+
+  describe('rebaseOntoBase', () => {
+    test('rebases onto the fetched base', async () => {
+      mockExec.exec.mockResolvedValue(0);
+      mockExec.getExecOutput
+        .mockResolvedValueOnce({ stdout: 'abc123\n' })
+        .mockResolvedValueOnce({ stdout: 'def456\n' });
+      const { rebaseOntoBase } = await import('../src/branches.js');
+
+      await expect(rebaseOntoBase('main')).resolves.toBe(true);
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['rebase', '-q', 'origin/main'], {
+        ignoreReturnCode: true,
+      });
+    });
+
+    test('reports no rewrite when the branch is already on the base', async () => {
+      mockExec.exec.mockResolvedValue(0);
+      mockExec.getExecOutput.mockResolvedValue({ stdout: 'abc123\n' });
+      const { rebaseOntoBase } = await import('../src/branches.js');
+
+      await expect(rebaseOntoBase('main')).resolves.toBe(false);
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith('git', ['rev-parse', 'HEAD'], {
+        silent: true,
+      });
+    });
+
+    test('aborts a conflicting rebase', async () => {
+      mockExec.exec.mockImplementation((cmd, args) =>
+        Promise.resolve(args[0] === 'rebase' && args[1] === '-q' ? 1 : 0)
+      );
+      mockExec.getExecOutput.mockResolvedValue({ stdout: 'abc123\n' });
+      const { rebaseOntoBase } = await import('../src/branches.js');
+
+      await expect(rebaseOntoBase('main')).resolves.toBe(false);
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['rebase', '--abort'], {
+        ignoreReturnCode: true,
+      });
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        "Couldn't rebase onto main without conflicts, pushing without rebasing"
+      );
+    });
+  });
+});
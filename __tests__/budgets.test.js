@@ -0,0 +1,190 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { mockExec } from './mocks.js';
+
+const BUDGETS = {
+  maxToolCalls: 3,
+  maxShellCommands: 1,
+  maxFilesModified: 2,
+  maxMinutes: 10,
+};
+
+describe('Budgets', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('parseBudgets', () => {
+    test('normalizes the limits', async () => {
+      const { parseBudgets } = await import('../src/budgets.js');
+      expect(
+        parseBudgets(
+          'max-tool-calls: 3\nmax-shell-commands: 1\nmax-files-modified: 2\nmax-minutes: 10'
+        )
+      ).toEqual(BUDGETS);
+      expect(parseBudgets('max-minutes: 1.5')).toEqual({
+        maxToolCalls: null,
+        maxShellCommands: null,
+        maxFilesModified: null,
+        maxMinutes: 1.5,
+      });
+    });
+
+    test.each([
+      ['max-tool-calls: [', 'Invalid budgets'],
+      ['- 3', 'expected a mapping'],
+      ['max-tools: 3', 'unknown keys max-tools'],
+      ['max-shell-commands: 0', 'max-shell-commands must be a positive integer'],
+      ['max-files-modified: 2.5', 'max-files-modified must be a positive integer'],
+      ['max-minutes: soon', 'max-minutes must be a positive number'],
+    ])('rejects %j', async (text, message) => {
+      const { parseBudgets } = await import('../src/budgets.js');
+      expect(() => parseBudgets(text)).toThrow(message);
+    });
+  });
+
+  describe('loadBudgets', () => {
+    test('returns null without budgets', async () => {
+      const { loadBudgets } = await import('../src/budgets.js');
+      expect(await loadBudgets('')).toBeNull();
+      expect(await loadBudgets('max-tool-calls: 5')).toMatchObject({ maxToolCalls: 5 });
+    });
+  });
+
+  describe('tracking', () => {
+    test('trips the tool call budget after the limit', async () => {
+      const { createBudgetTracker, recordToolCall } = await import('../src/budgets.js');
+      const tracker = createBudgetTracker(BUDGETS);
+
+      expect([1, 2, 3].map(() => recordToolCall(tracker))).toEqual([null, null, null]);
+      expect(recordToolCall(tracker)).toEqual({ budget: 'max-tool-calls', limit: 3 });
+    });
+
+    test('counts shell commands and distinct written files', async () => {
+      const { createBudgetTracker, recordPermissionRequest } = await import('../src/budgets.js');
+      const tracker = createBudgetTracker(BUDGETS);
+
+      expect(recordPermissionRequest(tracker, { kind: 'write', fileName: 'a.md' })).toBeNull();
+      expect(
+        recordPermissionRequest(tracker, { kind: 'write', fileName: path.resolve('a.md') })
+      ).toBeNull();
+      expect(recordPermissionRequest(tracker, { kind: 'read', fileName: 'c.md' })).toBeNull();
+      expect(recordPermissionRequest(tracker, { kind: 'write', fileName: 'b.md' })).toBeNull();
+      expect(recordPermissionRequest(tracker, { kind: 'shell', fullCommandText: 'ls' })).toBeNull();
+      expect(recordPermissionRequest(tracker, { kind: 'write', fileName: 'c.md' })).toEqual({
+        budget: 'max-files-modified',
+        limit: 2,
+      });
+      expect(tracker.files.size).toBe(2);
+    });
+
+    test('counts each command of a chain', async () => {
+      const { createBudgetTracker, recordPermissionRequest } = await import('../src/budgets.js');
+      const tracker = createBudgetTracker({ ...BUDGETS, maxShellCommands: 3 });
+
+      expect(
+        recordPermissionRequest(tracker, { kind: 'shell', fullCommandText: 'npm ci && npm test' })
+      ).toBeNull();
+      expect(tracker.shellCommands).toBe(2);
+      expect(recordPermissionRequest(tracker, { kind: 'shell' })).toBeNull();
+      expect(tracker.shellCommands).toBe(3);
+      expect(
+        recordPermissionRequest(tracker, { kind: 'shell', fullCommandText: 'ls | wc -l' })
+      ).toEqual({ budget: 'max-shell-commands', limit: 3 });
+    });
+
+    test('counts the files the working tree changed', async () => {
+      mockExec.exec.mockResolvedValue(0);
+      mockExec.getExecOutput.mockResolvedValue({
+        stdout: '1\t0\ta.md\x002\t1\tscripts/gen.sh\x00',
+      });
+      const { createBudgetTracker, recordPermissionRequest, recordModifiedFiles } =
+        await import('../src/budgets.js');
+      const tracker = createBudgetTracker(BUDGETS);
+      recordPermissionRequest(tracker, { kind: 'write', fileName: 'a.md' });
+
+      await expect(recordModifiedFiles(tracker)).resolves.toBeNull();
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['add', '-A', '--intent-to-add'], {
+        silent: true,
+      });
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--numstat', '--no-renames', '-z', 'HEAD'],
+        { silent: true }
+      );
+      expect([...tracker.files]).toEqual(['a.md', 'scripts/gen.sh']);
+
+      mockExec.getExecOutput.mockResolvedValue({ stdout: '1\t0\tc.md\x00' });
+      await expect(recordModifiedFiles(tracker)).resolves.toEqual({
+        budget: 'max-files-modified',
+        limit: 2,
+      });
+    });
+
+    test('skips the diff without a modified file budget', async () => {
+      const { createBudgetTracker, recordModifiedFiles } = await import('../src/budgets.js');
+      const tracker = createBudgetTracker({ ...BUDGETS, maxFilesModified: null });
+
+      await expect(recordModifiedFiles(tracker)).resolves.toBeNull();
+      expect(mockExec.exec).not.toHaveBeenCalled();
+    });
+
+    test('denies requests over budget and reports them once', async () => {
+      const { createBudgetTracker, guardPermissions } = await import('../src/budgets.js');
+      const tracker = createBudgetTracker(BUDGETS);
+      const handler = vi.fn().mockResolvedValue({ kind: 'approved' });
+      const onExceeded = vi.fn();
+      const guarded = guardPermissions(tracker, handler, onExceeded);
+
+      await expect(guarded({ kind: 'shell', fullCommandText: 'npm test' })).resolves.toEqual({
+        kind: 'approved',
+      });
+      await expect(guarded({ kind: 'shell', fullCommandText: 'npm test' })).resolves.toEqual({
+        kind: 'denied-by-rules',
+        rules: [{ kind: 'shell', argument: 'npm test' }],
+      });
+      await expect(guarded({ kind: 'read', fileName: 'a.md' })).resolves.toEqual({
+        kind: 'denied-by-rules',
+        rules: [{ kind: 'read', argument: 'a.md' }],
+      });
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(onExceeded).toHaveBeenCalledTimes(2);
+      expect(tracker.exceeded).toEqual({ budget: 'max-shell-commands', limit: 1 });
+    });
+
+    test('limits turns to the wall-clock time left', async () => {
+      const { createBudgetTracker, getTurnTimeout, assertWithinBudget } =
+        await import('../src/budgets.js');
+      const tracker = createBudgetTracker(BUDGETS, 0);
+
+      expect(getTurnTimeout(tracker, 300000, 60000)).toBe(300000);
+      expect(getTurnTimeout(tracker, 300000, 480000)).toBe(120000);
+      expect(getTurnTimeout(tracker, 300000, 700000)).toBe(0);
+      expect(getTurnTimeout(createBudgetTracker({ ...BUDGETS, maxMinutes: null }), 5, 0)).toBe(5);
+      expect(() => assertWithinBudget(tracker, 599999)).not.toThrow();
+      expect(() => assertWithinBudget(tracker, 600000)).toThrow(
+        'Budget exceeded: max-minutes of 10 reached'
+      );
+    });
+
+    test('summarizes limits and usage', async () => {
+      const { createBudgetTracker, recordToolCall, summarizeBudgets } =
+        await import('../src/budgets.js');
+      const tracker = createBudgetTracker(BUDGETS, 0);
+      recordToolCall(tracker);
+
+      expect(summarizeBudgets(tracker, 90000)).toEqual({
+        limits: {
+          max_tool_calls: 3,
+          max_shell_commands: 1,
+          max_files_modified: 2,
+          max_minutes: 10,
+        },
+        usage: { tool_calls: 1, shell_commands: 0, files_modified: 0, minutes: 1.5 },
+        exceeded: null,
+      });
+    });
+  });
+});
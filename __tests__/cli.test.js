@@ -0,0 +1,206 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { mockExec } from './mocks.js';
+
+const mockRun = vi.hoisted(() => vi.fn());
+vi.mock('../src/index.js', () => ({ run: mockRun }));
+
+describe('CLI', () => {
+  let runnerTemp;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    runnerTemp = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(runnerTemp, { recursive: true, force: true });
+  });
+
+  describe('parseCliArgs', () => {
+    test('maps flags to action inputs', async () => {
+      const { parseCliArgs } = await import('../src/cli.js');
+
+      expect(
+        parseCliArgs([
+          'run',
+          '--file',
+          'task.md',
+          '-b',
+          'develop',
+          '--dry-run',
+          '--no-pr',
+          '--verify',
+          'npm test',
+          '-i',
+          'labels=bot,ai',
+          '--input',
+          'model=ignored',
+          '--model',
+          'gpt-5',
+          '--actor',
+          'octocat',
+        ])
+      ).toEqual({
+        command: 'run',
+        inputs: {
+          filename: 'task.md',
+          branch: 'develop',
+          dry_run: 'true',
+          create_pull_request: 'false',
+          verify_command: 'npm test',
+          labels: 'bot,ai',
+          model: 'gpt-5',
+        },
+        actor: 'octocat',
+        token: undefined,
+        allowDirty: false,
+        help: false,
+      });
+    });
+
+    test('rejects unknown commands, flags and malformed inputs', async () => {
+      const { parseCliArgs } = await import('../src/cli.js');
+
+      expect(parseCliArgs(['--help']).help).toBe(true);
+      expect(parseCliArgs(['run', '--allow-dirty']).allowDirty).toBe(true);
+      expect(() => parseCliArgs([])).toThrow('Unknown command: (none)');
+      expect(() => parseCliArgs(['deploy'])).toThrow('Unknown command: deploy');
+      expect(() => parseCliArgs(['run', '--force'])).toThrow();
+      expect(() => parseCliArgs(['run', '-i', 'labels'])).toThrow(
+        'Invalid --input "labels": expected name=value'
+      );
+    });
+  });
+
+  describe('parseRepository', () => {
+    test('reads HTTPS and SSH GitHub remotes', async () => {
+      const { parseRepository } = await import('../src/cli.js');
+
+      expect(parseRepository('https://github.com/octo/repo.git\n')).toBe('octo/repo');
+      expect(parseRepository('git@github.com:octo/my.repo.git')).toBe('octo/my.repo');
+      expect(parseRepository('https://gitlab.com/octo/repo.git')).toBeNull();
+    });
+  });
+
+  describe('buildEnvironment', () => {
+    test('provides what a workflow run would', async () => {
+      mockExec.getExecOutput.mockResolvedValue({ stdout: 'git@github.com:octo/repo.git\n' });
+      const { buildEnvironment } = await import('../src/cli.js');
+
+      const variables = await buildEnvironment(
+        { inputs: { filename: 'task.md', 'dry run': 'true' }, actor: 'octocat' },
+        { GH_TOKEN: 'gh-token', RUNNER_TEMP: runnerTemp }
+      );
+
+      expect(variables).toEqual({
+        INPUT_PRIVATE_TOKEN: 'gh-token',
+        GITHUB_REPOSITORY: 'octo/repo',
+        GITHUB_ACTOR: 'octocat',
+        GITHUB_EVENT_NAME: 'workflow_dispatch',
+        RUNNER_TEMP: runnerTemp,
+        GITHUB_OUTPUT: path.join(runnerTemp, 'outputs.txt'),
+        GITHUB_STEP_SUMMARY: path.join(runnerTemp, 'summary.md'),
+        INPUT_FILENAME: 'task.md',
+        INPUT_DRY_RUN: 'true',
+      });
+      expect(fs.existsSync(variables.GITHUB_OUTPUT)).toBe(true);
+      expect(fs.existsSync(variables.GITHUB_STEP_SUMMARY)).toBe(true);
+    });
+
+    test('keeps the repository and runner directory from the environment', async () => {
+      const { buildEnvironment } = await import('../src/cli.js');
+
+      const variables = await buildEnvironment(
+        { inputs: {}, token: 'flag-token' },
+        {
+          GITHUB_TOKEN: 'env-token',
+          GITHUB_REPOSITORY: 'octo/other',
+          GITHUB_ACTOR: 'hubot',
+          RUNNER_TEMP: runnerTemp,
+          GITHUB_OUTPUT: '/tmp/out',
+          GITHUB_STEP_SUMMARY: '/tmp/summary',
+        }
+      );
+
+      expect(variables).toMatchObject({
+        INPUT_PRIVATE_TOKEN: 'flag-token',
+        GITHUB_REPOSITORY: 'octo/other',
+        GITHUB_ACTOR: 'hubot',
+        GITHUB_OUTPUT: '/tmp/out',
+        GITHUB_STEP_SUMMARY: '/tmp/summary',
+      });
+      expect(mockExec.getExecOutput).not.toHaveBeenCalled();
+    });
+
+    test('requires a token and a GitHub remote', async () => {
+      const { buildEnvironment } = await import('../src/cli.js');
+
+      await expect(buildEnvironment({ inputs: {} }, {})).rejects.toThrow(
+        'Missing token: pass --token or set GH_TOKEN'
+      );
+
+      mockExec.getExecOutput.mockResolvedValue({ stdout: 'https://example.com/repo.git\n' });
+      await expect(buildEnvironment({ inputs: {} }, { GH_TOKEN: 't' })).rejects.toThrow(
+        "Can't tell the GitHub repository from the origin remote"
+      );
+    });
+  });
+
+  describe('main', () => {
+    test('sets up the environment and runs the action', async () => {
+      mockExec.getExecOutput.mockResolvedValue({ stdout: '' });
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const { main } = await import('../src/cli.js');
+      const env = { GH_TOKEN: 't', GITHUB_REPOSITORY: 'octo/repo', RUNNER_TEMP: runnerTemp };
+
+      await expect(main(['run', '--file', 'task.md', '--dry-run'], env)).resolves.toBe(0);
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith('git', ['status', '--porcelain'], {
+        silent: true,
+      });
+      expect(mockRun).toHaveBeenCalledTimes(1);
+      expect(env).toMatchObject({ INPUT_FILENAME: 'task.md', INPUT_DRY_RUN: 'true' });
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('outputs.txt'));
+      log.mockRestore();
+    });
+
+    test('refuses to run on a dirty working tree unless allowed', async () => {
+      mockExec.getExecOutput.mockResolvedValue({ stdout: ' M task.md\n?? notes.md\n' });
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const { main } = await import('../src/cli.js');
+      const env = () => ({
+        GH_TOKEN: 't',
+        GITHUB_REPOSITORY: 'octo/repo',
+        RUNNER_TEMP: runnerTemp,
+      });
+
+      await expect(main(['run', '--file', 'task.md'], env())).resolves.toBe(1);
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('pass --allow-dirty'));
+      expect(mockRun).not.toHaveBeenCalled();
+
+      await expect(main(['run', '--file', 'task.md', '--allow-dirty'], env())).resolves.toBe(0);
+      expect(mockRun).toHaveBeenCalledTimes(1);
+      error.mockRestore();
+      log.mockRestore();
+    });
+
+    test('prints usage for help and errors', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const { main, USAGE } = await import('../src/cli.js');
+
+      await expect(main(['--help'], {})).resolves.toBe(0);
+      expect(log).toHaveBeenCalledWith(USAGE);
+      await expect(main(['run'], {})).resolves.toBe(2);
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('Missing token'));
+      expect(mockRun).not.toHaveBeenCalled();
+      log.mockRestore();
+      error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const CODEOWNERS = `
+# Default owners
+*                 @org/maintainers
+*.md              @writer docs@example.com
+/src/             @alice @org/platform
+docs/             @bob   # trailing comment
+/scripts/*.sh     @carol
+`;
+
+describe('CODEOWNERS', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('parseCodeowners', () => {
+    test('parses rules and skips comments', async () => {
+      const { parseCodeowners } = await import('../src/codeowners.js');
+      expect(parseCodeowners(CODEOWNERS)).toEqual([
+        { pattern: '*', owners: ['@org/maintainers'] },
+        { pattern: '*.md', owners: ['@writer', 'docs@example.com'] },
+        { pattern: '/src/', owners: ['@alice', '@org/platform'] },
+        { pattern: 'docs/', owners: ['@bob'] },
+        { pattern: '/scripts/*.sh', owners: ['@carol'] },
+      ]);
+    });
+  });
+
+  describe('matchesCodeownersPattern', () => {
+    test('follows gitignore-style anchoring', async () => {
+      const { matchesCodeownersPattern } = await import('../src/codeowners.js');
+      expect(matchesCodeownersPattern('README.md', '*.md')).toBe(true);
+      expect(matchesCodeownersPattern('a/b/c.md', '*.md')).toBe(true);
+      expect(matchesCodeownersPattern('src/a/b.js', '/src/')).toBe(true);
+      expect(matchesCodeownersPattern('lib/src/b.js', '/src/')).toBe(false);
+      expect(matchesCodeownersPattern('packages/x/docs/a.txt', 'docs/')).toBe(true);
+      expect(matchesCodeownersPattern('scripts/run.sh', '/scripts/*.sh')).toBe(true);
+      expect(matchesCodeownersPattern('scripts/ci/run.sh', '/scripts/*.sh')).toBe(false);
+      expect(matchesCodeownersPattern('build/out/a.js', 'build')).toBe(true);
+    });
+  });
+
+  describe('resolveCodeowners', () => {
+    test('uses the last matching rule per file', async () => {
+      const { parseCodeowners, resolveCodeowners, findOwners } =
+        await import('../src/codeowners.js');
+      const rules = parseCodeowners(CODEOWNERS);
+      expect(findOwners(rules, 'src/index.js')).toEqual(['@alice', '@org/platform']);
+      expect(findOwners(rules, 'src/README.md')).toEqual(['@alice', '@org/platform']);
+      expect(resolveCodeowners(rules, ['src/index.js', 'README.md', 'action.yml'])).toEqual({
+        reviewers: ['alice', 'writer'],
+        teamReviewers: ['platform', 'maintainers'],
+      });
+    });
+
+    test('returns nothing without matching rules', async () => {
+      const { resolveCodeowners } = await import('../src/codeowners.js');
+      expect(resolveCodeowners([], ['a.js'])).toEqual({ reviewers: [], teamReviewers: [] });
+    });
+  });
+
+  describe('loadCodeowners', () => {
+    let tempDir;
+    let cwd;
+
+    beforeEach(() => {
+      cwd = process.cwd();
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codeowners-'));
+      process.chdir(tempDir);
+    });
+
+    afterEach(() => {
+      process.chdir(cwd);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('returns no rules without a CODEOWNERS file', async () => {
+      const { loadCodeowners } = await import('../src/codeowners.js');
+      expect(loadCodeowners()).toEqual([]);
+    });
+
+    test('finds CODEOWNERS in the docs directory', async () => {
+      fs.mkdirSync('docs');
+      fs.writeFileSync('docs/CODEOWNERS', '* @dana\n');
+      const { loadCodeowners } = await import('../src/codeowners.js');
+      expect(loadCodeowners()).toEqual([{ pattern: '*', owners: ['@dana'] }]);
+    });
+  });
+});
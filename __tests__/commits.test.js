@@ -0,0 +1,275 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { mockExec, mockGitHub } from './mocks.js';
+
+vi.mock('timers/promises', () => ({ setTimeout: vi.fn().mockResolvedValue(undefined) }));
+
+const inputs = (overrides = {}) => ({
+  method: '',
+  authorName: '',
+  authorEmail: '',
+  committerName: '',
+  committerEmail: '',
+  coAuthors: [],
+  creditActor: false,
+  token: 'token',
+  ...overrides,
+});
+
+describe('Commits', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('resolveCommitOptions', () => {
+    test('defaults to git commits by github-actions[bot]', async () => {
+      const { resolveCommitOptions, DEFAULT_IDENTITY } = await import('../src/commits.js');
+
+      expect(resolveCommitOptions(inputs())).toEqual({
+        method: 'git',
+        author: DEFAULT_IDENTITY,
+        committer: DEFAULT_IDENTITY,
+        coAuthors: [],
+        token: 'token',
+      });
+    });
+
+    test('uses the author as committer unless one is given', async () => {
+      const { resolveCommitOptions } = await import('../src/commits.js');
+
+      const options = resolveCommitOptions(
+        inputs({ method: 'api', authorName: 'Bot', authorEmail: 'bot@example.com' })
+      );
+      expect(options.method).toBe('api');
+      expect(options.committer).toEqual({ name: 'Bot', email: 'bot@example.com' });
+
+      const split = resolveCommitOptions(
+        inputs({ authorName: 'Bot', authorEmail: 'bot@example.com', committerName: 'CI' })
+      );
+      expect(split.committer).toEqual({ name: 'CI', email: 'bot@example.com' });
+    });
+
+    test('credits the actor first with their ID-based noreply address', async () => {
+      mockGitHub.context.payload = { sender: { login: 'testuser', id: 42 } };
+      const { resolveCommitOptions } = await import('../src/commits.js');
+
+      const options = resolveCommitOptions(
+        inputs({ coAuthors: ['Jane Doe <jane@example.com>'], creditActor: true })
+      );
+      expect(options.coAuthors).toEqual([
+        'testuser <42+testuser@users.noreply.github.com>',
+        'Jane Doe <jane@example.com>',
+      ]);
+      delete mockGitHub.context.payload;
+    });
+
+    test('falls back to the login-based noreply address', async () => {
+      const { resolveCommitOptions } = await import('../src/commits.js');
+
+      const options = resolveCommitOptions(inputs({ creditActor: true }));
+      expect(options.coAuthors).toEqual(['testuser <testuser@users.noreply.github.com>']);
+    });
+
+    test('rejects unknown methods, bad emails and malformed co-authors', async () => {
+      const { resolveCommitOptions } = await import('../src/commits.js');
+
+      expect(() => resolveCommitOptions(inputs({ method: 'ssh' }))).toThrow(
+        'Invalid commit_method: expected one of git, api'
+      );
+      expect(() => resolveCommitOptions(inputs({ authorEmail: 'not an email' }))).toThrow(
+        'Invalid commit identity'
+      );
+      expect(() => resolveCommitOptions(inputs({ coAuthors: ['Jane Doe'] }))).toThrow(
+        'Invalid co_authors entry "Jane Doe": expected "Name <email>"'
+      );
+    });
+  });
+
+  describe('addCoAuthorTrailers', () => {
+    test('appends a trailer paragraph', async () => {
+      const { addCoAuthorTrailers } = await import('../src/commits.js');
+
+      expect(addCoAuthorTrailers('feat: x', [])).toBe('feat: x');
+      expect(addCoAuthorTrailers('feat: x', ['A <a@example.com>', 'B <b@example.com>'])).toBe(
+        'feat: x\n\nCo-authored-by: A <a@example.com>\nCo-authored-by: B <b@example.com>'
+      );
+    });
+
+    test('joins an existing trailer block', async () => {
+      const { addCoAuthorTrailers } = await import('../src/commits.js');
+
+      expect(
+        addCoAuthorTrailers('feat: x\n\nGenerated-by: GitHub Copilot <copilot@github.com>', [
+          'A <a@example.com>',
+        ])
+      ).toBe(
+        'feat: x\n\nGenerated-by: GitHub Copilot <copilot@github.com>\nCo-authored-by: A <a@example.com>'
+      );
+    });
+  });
+
+  describe('createApiCommit', () => {
+    let tmpDir;
+    let originalCwd;
+    let octokit;
+
+    beforeEach(() => {
+      originalCwd = process.cwd();
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'commits-test-'));
+      process.chdir(tmpDir);
+      fs.writeFileSync('new.txt', 'hello');
+      fs.symlinkSync('new.txt', 'link');
+
+      octokit = {
+        rest: {
+          git: {
+            createBlob: vi.fn().mockResolvedValue({ data: { sha: 'blob-sha' } }),
+            createTree: vi.fn().mockResolvedValue({ data: { sha: 'tree-sha' } }),
+            createCommit: vi
+              .fn()
+              .mockResolvedValue({ data: { sha: 'commit-sha', verification: { verified: true } } }),
+            updateRef: vi.fn().mockResolvedValue({}),
+            createRef: vi.fn().mockResolvedValue({}),
+          },
+        },
+      };
+      mockGitHub.getOctokit.mockReturnValue(octokit);
+
+      const raw = [
+        ':100644 100644 aaa bbb M',
+        'new.txt',
+        ':000000 120000 000 ccc A',
+        'link',
+        ':100644 000000 ddd 000 D',
+        'old.txt',
+        '',
+      ].join('\0');
+      mockExec.getExecOutput.mockImplementation((cmd, args) => {
+        if (args[0] === 'rev-parse') {
+          return Promise.resolve({ stdout: args[1] === 'HEAD' ? 'parent-sha\n' : 'base-tree\n' });
+        }
+        return Promise.resolve({ stdout: raw });
+      });
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('creates blobs, a tree and a commit without a committer, then moves the branch', async () => {
+      const { createApiCommit } = await import('../src/commits.js');
+      const author = { name: 'Bot', email: 'bot@example.com' };
+
+      await expect(createApiCommit('token', 'feat: x', 'feature', author)).resolves.toBe(
+        'commit-sha'
+      );
+
+      expect(octokit.rest.git.createBlob).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        content: Buffer.from('hello').toString('base64'),
+        encoding: 'base64',
+      });
+      expect(octokit.rest.git.createBlob).toHaveBeenCalledWith(
+        expect.objectContaining({ content: Buffer.from('new.txt').toString('base64') })
+      );
+      expect(octokit.rest.git.createTree).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        base_tree: 'base-tree',
+        tree: [
+          { path: 'new.txt', mode: '100644', type: 'blob', sha: 'blob-sha' },
+          { path: 'link', mode: '120000', type: 'blob', sha: 'blob-sha' },
+          { path: 'old.txt', mode: '100644', type: 'blob', sha: null },
+        ],
+      });
+      expect(octokit.rest.git.createCommit).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        message: 'feat: x',
+        tree: 'tree-sha',
+        parents: ['parent-sha'],
+        author,
+      });
+      expect(octokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        ref: 'heads/feature',
+        sha: 'commit-sha',
+      });
+      expect(octokit.rest.git.createRef).not.toHaveBeenCalled();
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['reset', '-q', 'FETCH_HEAD']);
+    });
+
+    test('records a configured committer', async () => {
+      const { createApiCommit } = await import('../src/commits.js');
+      const author = { name: 'Bot', email: 'bot@example.com' };
+      const committer = { name: 'Release Bot', email: 'release@example.com' };
+
+      await createApiCommit('token', 'feat: x', 'feature', author, author);
+      expect(octokit.rest.git.createCommit).toHaveBeenLastCalledWith(
+        expect.not.objectContaining({ committer: expect.anything() })
+      );
+
+      await createApiCommit('token', 'feat: x', 'feature', author, committer);
+      expect(octokit.rest.git.createCommit).toHaveBeenLastCalledWith(
+        expect.objectContaining({ author, committer })
+      );
+    });
+
+    test('creates the branch when it does not exist on the remote yet', async () => {
+      octokit.rest.git.updateRef.mockRejectedValueOnce(
+        Object.assign(new Error('Reference does not exist'), { status: 422 })
+      );
+      const { createApiCommit } = await import('../src/commits.js');
+
+      await createApiCommit('token', 'feat: x', 'feature', {});
+      expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        ref: 'refs/heads/feature',
+        sha: 'commit-sha',
+      });
+    });
+
+    test('does not create the branch twice when a failed create went through', async () => {
+      octokit.rest.git.updateRef.mockRejectedValueOnce(
+        Object.assign(new Error('Reference does not exist'), { status: 422 })
+      );
+      octokit.rest.git.createRef.mockRejectedValueOnce(
+        Object.assign(new Error('Bad Gateway'), { status: 502 })
+      );
+      octokit.rest.git.getRef = vi
+        .fn()
+        .mockResolvedValue({ data: { object: { sha: 'commit-sha' } } });
+      const { createApiCommit } = await import('../src/commits.js');
+
+      await expect(createApiCommit('token', 'feat: x', 'feature', {})).resolves.toBe('commit-sha');
+      expect(octokit.rest.git.getRef).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        ref: 'heads/feature',
+      });
+      expect(octokit.rest.git.createRef).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses submodules and other unsupported modes', async () => {
+      mockExec.getExecOutput.mockImplementation((cmd, args) =>
+        Promise.resolve({
+          stdout: args[0] === 'rev-parse' ? 'sha\n' : ':000000 160000 000 eee A\0vendor/lib\0',
+        })
+      );
+      const { createApiCommit } = await import('../src/commits.js');
+
+      await expect(createApiCommit('token', 'feat: x', 'feature', {})).rejects.toThrow(
+        "Can't commit vendor/lib through the API (mode 160000)"
+      );
+      expect(octokit.rest.git.createCommit).not.toHaveBeenCalled();
+    });
+  });
+});
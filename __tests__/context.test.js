@@ -0,0 +1,110 @@
+import { mockCore } from './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+
+describe('Context files', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    fs.mkdirSync('context.tmp/schemas/v2', { recursive: true });
+    fs.writeFileSync('context.tmp/design.md', 'd'.repeat(40));
+    fs.writeFileSync('context.tmp/schemas/order.json', 'o'.repeat(30));
+    fs.writeFileSync('context.tmp/schemas/v2/user.json', 'u'.repeat(20));
+    fs.writeFileSync('context.tmp/task.md', 't'.repeat(10));
+  });
+
+  afterEach(() => {
+    fs.rmSync('context.tmp', { recursive: true, force: true });
+  });
+
+  test('returns null without entries', async () => {
+    const { resolveContextFiles } = await import('../src/context.js');
+    expect(await resolveContextFiles([])).toBeNull();
+  });
+
+  test('expands files, directories and globs once each, in order', async () => {
+    const { resolveContextFiles } = await import('../src/context.js');
+    const context = await resolveContextFiles(
+      [
+        './context.tmp/design.md',
+        'context.tmp/schemas/',
+        'context.tmp/**/*.json',
+        'context.tmp/*.md',
+      ],
+      { exclude: ['context.tmp/task.md'] }
+    );
+
+    expect(context).toEqual({
+      files: [
+        { path: 'context.tmp/design.md', size: 40 },
+        { path: 'context.tmp/schemas/order.json', size: 30 },
+        { path: 'context.tmp/schemas/v2/user.json', size: 20 },
+      ],
+      dropped: [],
+      bytes: 90,
+      budget: 256 * 1024,
+    });
+    expect(mockCore.warning).not.toHaveBeenCalled();
+  });
+
+  test('drops files over the budget and keeps trying smaller ones', async () => {
+    const { resolveContextFiles } = await import('../src/context.js');
+    const context = await resolveContextFiles(
+      [
+        'context.tmp/schemas/order.json',
+        'context.tmp/design.md',
+        'context.tmp/schemas/v2/user.json',
+      ],
+      { budget: 55 }
+    );
+
+    expect(context.files.map((file) => file.path)).toEqual([
+      'context.tmp/schemas/order.json',
+      'context.tmp/schemas/v2/user.json',
+    ]);
+    expect(context.dropped).toEqual([
+      {
+        path: 'context.tmp/design.md',
+        size: 40,
+        reason: 'exceeds the 55-byte context budget',
+      },
+    ]);
+    expect(context.bytes).toBe(50);
+    expect(mockCore.warning).toHaveBeenCalledWith(
+      'Dropped 1 context file(s): context.tmp/design.md (exceeds the 55-byte context budget)'
+    );
+  });
+
+  test('reports missing files and entries that match nothing', async () => {
+    const { resolveContextFiles } = await import('../src/context.js');
+    const context = await resolveContextFiles(['context.tmp/missing.md', 'context.tmp/*.yaml']);
+
+    expect(context.dropped).toEqual([
+      {
+        path: 'context.tmp/missing.md',
+        size: null,
+        reason: 'File not found: context.tmp/missing.md',
+      },
+    ]);
+    expect(mockCore.warning).toHaveBeenCalledWith(
+      'Context entry context.tmp/*.yaml matched no files'
+    );
+  });
+
+  test('drops files over the maximum file size', async () => {
+    fs.writeFileSync('context.tmp/large.log', Buffer.alloc(1024 * 1024 + 1));
+    const { resolveContextFiles } = await import('../src/context.js');
+    const context = await resolveContextFiles(['context.tmp/large.log']);
+
+    expect(context.files).toEqual([]);
+    expect(context.dropped[0].reason).toMatch(/exceeds maximum size/);
+  });
+
+  test.each([
+    ['/etc/passwd', 'Invalid context: /etc/passwd is an absolute path'],
+    ['docs/../../secrets', 'Invalid context: docs/../../secrets contains path traversal'],
+  ])('rejects %s', async (entry, message) => {
+    const { resolveContextFiles } = await import('../src/context.js');
+    await expect(resolveContextFiles([entry])).rejects.toThrow(message);
+  });
+});
@@ -0,0 +1,83 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { mockCore, mockExec } from './mocks.js';
+
+describe('Dry run', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delegate-test-'));
+    process.env.RUNNER_TEMP = tempDir;
+    mockExec.exec.mockResolvedValue(0);
+    mockExec.getExecOutput.mockImplementation((cmd, args) =>
+      Promise.resolve({
+        exitCode: 0,
+        stdout: args.includes('--name-only')
+          ? 'src/a.js\nREADME.md\n'
+          : 'diff --git a/src/a.js b/src/a.js\n',
+        stderr: '',
+      })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.RUNNER_TEMP;
+  });
+
+  describe('collectChanges', () => {
+    test('stages the working tree and returns the diff', async () => {
+      const { collectChanges } = await import('../src/dry-run.js');
+      const changes = await collectChanges();
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['add', '-A']);
+      expect(changes).toEqual({
+        patch: 'diff --git a/src/a.js b/src/a.js\n',
+        files: ['src/a.js', 'README.md'],
+      });
+    });
+  });
+
+  describe('writePatchFile', () => {
+    test('writes the patch to RUNNER_TEMP', async () => {
+      const { writePatchFile } = await import('../src/dry-run.js');
+      const patchPath = writePatchFile('patch');
+      expect(path.dirname(patchPath)).toBe(tempDir);
+      expect(patchPath).toMatch(/\.patch$/);
+      expect(fs.readFileSync(patchPath, 'utf8')).toBe('patch');
+    });
+  });
+
+  describe('writeDryRunReport', () => {
+    test('sets outputs and writes the job summary', async () => {
+      const { writeDryRunReport } = await import('../src/dry-run.js');
+      const report = await writeDryRunReport({ title: 'Title', body: 'Body' });
+
+      expect(report.files).toEqual(['src/a.js', 'README.md']);
+      expect(mockCore.setOutput).toHaveBeenCalledWith('patch_path', report.patchPath);
+      expect(mockCore.setOutput).toHaveBeenCalledWith(
+        'changed_files',
+        JSON.stringify(['src/a.js', 'README.md'])
+      );
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pr_title', 'Title');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pr_body', 'Body');
+      expect(mockCore.summary.addList).toHaveBeenCalled();
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('**Title**\n\nBody', true);
+      expect(mockCore.summary.write).toHaveBeenCalled();
+    });
+
+    test('reports an empty diff without a PR preview', async () => {
+      mockExec.getExecOutput.mockResolvedValue({ exitCode: 0, stdout: '', stderr: '' });
+      const { writeDryRunReport } = await import('../src/dry-run.js');
+      const report = await writeDryRunReport({ title: 'Review', body: null });
+
+      expect(report.files).toEqual([]);
+      expect(mockCore.setOutput).not.toHaveBeenCalledWith('pr_body', expect.anything());
+      expect(mockCore.summary.addRaw).toHaveBeenCalledWith('No changes.', true);
+    });
+  });
+});
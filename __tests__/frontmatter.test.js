@@ -0,0 +1,89 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+describe('Frontmatter', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('parseFrontmatter', () => {
+    test('returns content unchanged without frontmatter', async () => {
+      const { parseFrontmatter } = await import('../src/frontmatter.js');
+      expect(parseFrontmatter('# Task\n\nDo things')).toEqual({
+        attributes: {},
+        body: '# Task\n\nDo things',
+      });
+    });
+
+    test('splits attributes from body', async () => {
+      const { parseFrontmatter } = await import('../src/frontmatter.js');
+      const result = parseFrontmatter("---\ntitle: 'Docs'\nmodel: gpt-5\n---\n\n## Mission\n");
+      expect(result.attributes).toEqual({ title: 'Docs', model: 'gpt-5' });
+      expect(result.body).toBe('## Mission\n');
+    });
+
+    test('handles empty frontmatter and CRLF line endings', async () => {
+      const { parseFrontmatter } = await import('../src/frontmatter.js');
+      expect(parseFrontmatter('---\n\n---\nBody')).toEqual({ attributes: {}, body: 'Body' });
+      expect(parseFrontmatter('---\r\nmodel: x\r\n---\r\nBody')).toEqual({
+        attributes: { model: 'x' },
+        body: 'Body',
+      });
+    });
+
+    test('rejects invalid frontmatter', async () => {
+      const { parseFrontmatter } = await import('../src/frontmatter.js');
+      expect(() => parseFrontmatter('---\nmodel: [\n---\nBody')).toThrow('Invalid frontmatter');
+      expect(() => parseFrontmatter('---\n- a\n---\nBody')).toThrow('expected a mapping');
+    });
+  });
+
+  describe('resolveTaskSettings', () => {
+    test('maps supported keys', async () => {
+      const { resolveTaskSettings } = await import('../src/frontmatter.js');
+      expect(
+        resolveTaskSettings({
+          model: 'claude-sonnet-4.5',
+          'pr-title': 'docs: sync',
+          labels: ['docs', 'automated'],
+          reviewers: 'alice, bob',
+          'base-branch': 'develop',
+          'branch-prefix': 'copilot/docs',
+          timeout: 15,
+        })
+      ).toEqual({
+        model: 'claude-sonnet-4.5',
+        prTitle: 'docs: sync',
+        labels: ['docs', 'automated'],
+        reviewers: ['alice', 'bob'],
+        baseBranch: 'develop',
+        branchPrefix: 'copilot/docs',
+        timeoutMinutes: 15,
+      });
+    });
+
+    test('falls back to title for the PR title', async () => {
+      const { resolveTaskSettings } = await import('../src/frontmatter.js');
+      const settings = resolveTaskSettings({ title: 'Generate docs', status: 'draft' });
+      expect(settings.prTitle).toBe('Generate docs');
+      expect(settings.labels).toEqual([]);
+      expect(settings.timeoutMinutes).toBeUndefined();
+    });
+
+    test('ignores unknown keys', async () => {
+      const { resolveTaskSettings } = await import('../src/frontmatter.js');
+      expect(resolveTaskSettings({ colour: 'blue' }).model).toBeUndefined();
+    });
+
+    test('rejects invalid values', async () => {
+      const { resolveTaskSettings } = await import('../src/frontmatter.js');
+      expect(() => resolveTaskSettings({ timeout: 'soon' })).toThrow('timeout');
+      expect(() => resolveTaskSettings({ timeout: -1 })).toThrow('timeout');
+      expect(() => resolveTaskSettings({ labels: [1, 2] })).toThrow('labels');
+      expect(() => resolveTaskSettings({ model: 5 })).toThrow('model');
+      expect(() => resolveTaskSettings({ 'branch-prefix': 'a b' })).toThrow('branch-prefix');
+      expect(() => resolveTaskSettings({ 'branch-prefix': 'a/../b' })).toThrow('branch-prefix');
+    });
+  });
+});
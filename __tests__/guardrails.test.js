@@ -0,0 +1,282 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import * as fs from 'fs';
+import { mockCore, mockExec } from './mocks.js';
+
+const GITHUB_TOKEN = `ghp_${'a1B2'.repeat(9)}`;
+
+/**
+ * Mock the staged changes seen by the guardrails
+ * @param {string} numstat - git diff --numstat -z output
+ * @param {string} [diff] - git diff -U0 output
+ * @param {string|null} [gitleaks] - .gitleaks.toml committed at HEAD
+ */
+function mockChanges(numstat, diff = '', gitleaks = null) {
+  mockExec.getExecOutput.mockImplementation((command, args) => {
+    if (args[0] === 'show') {
+      return Promise.resolve({
+        exitCode: gitleaks === null ? 128 : 0,
+        stdout: gitleaks ?? '',
+        stderr: '',
+      });
+    }
+    return Promise.resolve({
+      exitCode: 0,
+      stdout: args.includes('--numstat') ? numstat : diff,
+      stderr: '',
+    });
+  });
+}
+
+describe('Diff guardrails', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    mockExec.exec.mockResolvedValue(0);
+  });
+
+  describe('parseGuardrails', () => {
+    test('normalizes a guardrails document', async () => {
+      const { parseGuardrails } = await import('../src/guardrails.js');
+      expect(
+        parseGuardrails(
+          [
+            'protected-paths: [.github/workflows/**]',
+            'max-files: 10',
+            'max-lines: 500',
+            'max-file-size: 1000',
+            'block-binary: true',
+            'scan-secrets: false',
+            'on-violation: revert',
+          ].join('\n')
+        )
+      ).toEqual({
+        protectedPaths: ['.github/workflows/**'],
+        maxFiles: 10,
+        maxLines: 500,
+        maxFileSize: 1000,
+        blockBinary: true,
+        scanSecrets: false,
+        onViolation: 'revert',
+      });
+    });
+
+    test('rejects invalid documents', async () => {
+      const { parseGuardrails } = await import('../src/guardrails.js');
+      expect(() => parseGuardrails('[')).toThrow('Invalid guardrails');
+      expect(() => parseGuardrails('- a')).toThrow('expected a mapping');
+      expect(() => parseGuardrails('protected-paths: a')).toThrow('protected-paths must be');
+      expect(() => parseGuardrails('max-files: 0')).toThrow('max-files must be');
+      expect(() => parseGuardrails('block-binary: maybe')).toThrow('block-binary must be');
+      expect(() => parseGuardrails('on-violation: ignore')).toThrow('on-violation must be');
+    });
+  });
+
+  describe('loadGuardrails', () => {
+    test('defaults to secret scanning only', async () => {
+      const { DEFAULT_GUARDRAILS, loadGuardrails } = await import('../src/guardrails.js');
+      await expect(loadGuardrails('')).resolves.toEqual(DEFAULT_GUARDRAILS);
+      expect(DEFAULT_GUARDRAILS.scanSecrets).toBe(true);
+    });
+
+    test('loads inline YAML and guardrails files', async () => {
+      const { loadGuardrails } = await import('../src/guardrails.js');
+      await expect(loadGuardrails('max-files: 3')).resolves.toMatchObject({ maxFiles: 3 });
+
+      fs.writeFileSync('guardrails.tmp', 'max-lines: 20');
+      try {
+        await expect(loadGuardrails('guardrails.tmp')).resolves.toMatchObject({ maxLines: 20 });
+      } finally {
+        fs.unlinkSync('guardrails.tmp');
+      }
+    });
+  });
+
+  describe('checkChanges', () => {
+    test('reports protected paths, binaries and change limits', async () => {
+      mockChanges('3\t1\t.github/workflows/ci.yml\x00-\t-\tlogo.png\x0010\t0\tsrc/a.js\x00');
+      const { checkChanges, parseGuardrails } = await import('../src/guardrails.js');
+      const violations = await checkChanges(
+        parseGuardrails(
+          [
+            'protected-paths: [.github/workflows/**]',
+            'block-binary: true',
+            'max-files: 2',
+            'max-lines: 10',
+            'scan-secrets: false',
+          ].join('\n')
+        )
+      );
+
+      expect(violations).toEqual([
+        {
+          rule: 'protected-path',
+          file: '.github/workflows/ci.yml',
+          message: '.github/workflows/ci.yml matches protected path .github/workflows/**',
+        },
+        { rule: 'binary-file', file: 'logo.png', message: 'logo.png is a binary file' },
+        { rule: 'max-files', file: null, message: '3 files changed (limit 2)' },
+        { rule: 'max-lines', file: null, message: '14 lines changed (limit 10)' },
+      ]);
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['add', '-A']);
+    });
+
+    test('reports files renamed into protected paths', async () => {
+      mockChanges('0\t3\tscripts/build.yml\x003\t0\t.github/workflows/build.yml\x00');
+      const { checkChanges, parseGuardrails } = await import('../src/guardrails.js');
+
+      await expect(
+        checkChanges(
+          parseGuardrails('protected-paths: [.github/workflows/**]\nscan-secrets: false')
+        )
+      ).resolves.toEqual([
+        {
+          rule: 'protected-path',
+          file: '.github/workflows/build.yml',
+          message: '.github/workflows/build.yml matches protected path .github/workflows/**',
+        },
+      ]);
+    });
+
+    test('reports files over the size limit', async () => {
+      fs.writeFileSync('large.tmp', 'x'.repeat(100));
+      try {
+        mockChanges('1\t0\tlarge.tmp\x00');
+        const { checkChanges, parseGuardrails } = await import('../src/guardrails.js');
+        await expect(
+          checkChanges(parseGuardrails('max-file-size: 50\nscan-secrets: false'))
+        ).resolves.toEqual([
+          { rule: 'file-size', file: 'large.tmp', message: 'large.tmp is 100 bytes (limit 50)' },
+        ]);
+      } finally {
+        fs.unlinkSync('large.tmp');
+      }
+    });
+
+    test('scans added lines for secrets', async () => {
+      mockChanges(
+        '1\t0\tsrc/config.js\x00',
+        `diff --git a/src/config.js b/src/config.js\n+++ b/src/config.js\n@@ -0,0 +1 @@\n+const token = '${GITHUB_TOKEN}';\n`
+      );
+      const { checkChanges, DEFAULT_GUARDRAILS } = await import('../src/guardrails.js');
+      const violations = await checkChanges(DEFAULT_GUARDRAILS);
+
+      expect(violations).toEqual([
+        {
+          rule: 'secret',
+          file: 'src/config.js',
+          message: 'src/config.js:1 looks like a secret (github-pat)',
+        },
+      ]);
+      expect(violations[0].message).not.toContain(GITHUB_TOKEN);
+    });
+
+    test('scans with the secret rules committed at HEAD', async () => {
+      mockChanges(
+        '1\t0\tsrc/config.js\x00',
+        `diff --git a/src/config.js b/src/config.js\n+++ b/src/config.js\n@@ -0,0 +1 @@\n+internal_abcdefgh\n`,
+        "[[rules]]\nid = 'internal'\nregex = '''internal_[a-z]{8}'''"
+      );
+      const { checkChanges, DEFAULT_GUARDRAILS } = await import('../src/guardrails.js');
+
+      await expect(checkChanges(DEFAULT_GUARDRAILS)).resolves.toEqual([
+        {
+          rule: 'secret',
+          file: 'src/config.js',
+          message: 'src/config.js:1 looks like a secret (internal)',
+        },
+      ]);
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['show', 'HEAD:.gitleaks.toml'],
+        expect.anything()
+      );
+    });
+
+    test('reports changes to the secret scan config', async () => {
+      mockChanges('1\t0\t.gitleaks.toml\x00');
+      const { checkChanges, DEFAULT_GUARDRAILS } = await import('../src/guardrails.js');
+
+      await expect(checkChanges(DEFAULT_GUARDRAILS)).resolves.toEqual([
+        {
+          rule: 'secret',
+          file: '.gitleaks.toml',
+          message: ".gitleaks.toml configures the secret scan and can't be changed by the agent",
+        },
+      ]);
+    });
+  });
+
+  describe('enforceGuardrails', () => {
+    test('blocks violations by default', async () => {
+      mockChanges('1\t0\t.env\x00');
+      const { enforceGuardrails, parseGuardrails } = await import('../src/guardrails.js');
+      const report = await enforceGuardrails(
+        parseGuardrails('protected-paths: [.env]\nscan-secrets: false')
+      );
+
+      expect(report).toEqual([
+        expect.objectContaining({ rule: 'protected-path', file: '.env', action: 'blocked' }),
+      ]);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        'Guardrail protected-path (blocked): .env matches protected path .env'
+      );
+    });
+
+    test('only reports violations in a dry run', async () => {
+      mockChanges('1\t0\t.env\x00');
+      const { enforceGuardrails, parseGuardrails } = await import('../src/guardrails.js');
+      const report = await enforceGuardrails(
+        parseGuardrails('protected-paths: [.env]\non-violation: revert\nscan-secrets: false'),
+        true
+      );
+
+      expect(report[0].action).toBe('reported');
+      expect(mockExec.exec).not.toHaveBeenCalledWith('git', ['checkout', 'HEAD', '--', '.env']);
+    });
+
+    test('reverts offending files and checks the rest again', async () => {
+      mockExec.getExecOutput
+        .mockResolvedValueOnce({ exitCode: 0, stdout: '1\t0\tpackage.json\x002\t0\tnew.key\x00' })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: '' });
+      mockExec.exec.mockImplementation((command, args) =>
+        Promise.resolve(args[0] === 'cat-file' && args[2] === 'HEAD:new.key' ? 128 : 0)
+      );
+      fs.writeFileSync('new.key', 'key');
+
+      const { enforceGuardrails, parseGuardrails } = await import('../src/guardrails.js');
+      const report = await enforceGuardrails(
+        parseGuardrails(
+          'protected-paths: [package.json, "*.key"]\non-violation: revert\nscan-secrets: false'
+        )
+      );
+
+      expect(report.map((violation) => [violation.file, violation.action])).toEqual([
+        ['package.json', 'reverted'],
+        ['new.key', 'reverted'],
+      ]);
+      expect(mockExec.exec).toHaveBeenCalledWith('git', ['checkout', 'HEAD', '--', 'package.json']);
+      expect(fs.existsSync('new.key')).toBe(false);
+    });
+
+    test('still blocks change limits after reverting', async () => {
+      mockExec.getExecOutput
+        .mockResolvedValueOnce({
+          exitCode: 0,
+          stdout: '1\t0\t.env\x001\t0\ta.js\x001\t0\tb.js\x00',
+        })
+        .mockResolvedValueOnce({ exitCode: 0, stdout: '1\t0\ta.js\x001\t0\tb.js\x00' });
+      const { enforceGuardrails, parseGuardrails } = await import('../src/guardrails.js');
+      const report = await enforceGuardrails(
+        parseGuardrails(
+          'protected-paths: [.env]\nmax-files: 1\non-violation: revert\nscan-secrets: false'
+        )
+      );
+
+      expect(report.map((violation) => `${violation.rule}:${violation.action}`)).toEqual([
+        'protected-path:reverted',
+        'max-files:blocked',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mockCore, mockGitHub } from './mocks.js';
+
+vi.mock('timers/promises', () => ({ setTimeout: vi.fn().mockResolvedValue(undefined) }));
+
+const issueContext = (overrides = {}) => ({
+  eventName: 'issues',
+  payload: {
+    action: 'opened',
+    issue: {
+      number: 7,
+      title: 'Add dark mode',
+      body: '/delegate\nSupport a dark theme',
+      user: { login: 'alice' },
+      author_association: 'MEMBER',
+    },
+    ...overrides,
+  },
+});
+
+describe('Issue delegation', () => {
+  let octokit;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    octokit = {
+      rest: {
+        reactions: {
+          createForIssue: vi.fn().mockResolvedValue({}),
+          createForIssueComment: vi.fn().mockResolvedValue({}),
+        },
+        repos: {
+          getCollaboratorPermissionLevel: vi.fn(),
+        },
+        issues: {
+          createComment: vi.fn().mockResolvedValue({ data: { id: 99 } }),
+          updateComment: vi.fn().mockResolvedValue({}),
+        },
+      },
+    };
+    mockGitHub.getOctokit.mockReturnValue(octokit);
+  });
+
+  describe('parseDelegateCommand', () => {
+    test('parses the command with and without extra text', async () => {
+      const { parseDelegateCommand } = await import('../src/issues.js');
+      expect(parseDelegateCommand('/delegate')).toBe('');
+      expect(parseDelegateCommand('  /delegate  use TypeScript\n')).toBe('use TypeScript');
+      expect(parseDelegateCommand('/delegate\nmulti\nline')).toBe('multi\nline');
+    });
+
+    test('ignores other comments', async () => {
+      const { parseDelegateCommand } = await import('../src/issues.js');
+      expect(parseDelegateCommand('please /delegate')).toBeNull();
+      expect(parseDelegateCommand('/delegated')).toBeNull();
+      expect(parseDelegateCommand('')).toBeNull();
+      expect(parseDelegateCommand(undefined)).toBeNull();
+    });
+  });
+
+  describe('getIssueTask', () => {
+    test('builds a task from an issue opened with /delegate', async () => {
+      const { getIssueTask } = await import('../src/issues.js');
+      expect(await getIssueTask(issueContext())).toEqual({
+        issueNumber: 7,
+        title: 'Add dark mode',
+        body: 'Support a dark theme',
+        commentId: null,
+        author: 'alice',
+        extraInstructions: '',
+      });
+    });
+
+    test('ignores issues opened without /delegate', async () => {
+      const { getIssueTask } = await import('../src/issues.js');
+      const context = issueContext();
+      context.payload.issue.body = 'The build is broken\n\n/delegate';
+      expect(await getIssueTask(context)).toBeNull();
+    });
+
+    test('builds a task from a /delegate comment', async () => {
+      const { getIssueTask } = await import('../src/issues.js');
+      const context = issueContext({
+        action: 'created',
+        comment: {
+          id: 5,
+          body: '/delegate keep it small',
+          user: { login: 'bob' },
+          author_association: 'OWNER',
+        },
+      });
+      context.eventName = 'issue_comment';
+      expect(await getIssueTask(context)).toMatchObject({
+        issueNumber: 7,
+        commentId: 5,
+        author: 'bob',
+        extraInstructions: 'keep it small',
+      });
+    });
+
+    test('ignores unrelated events and comments', async () => {
+      const { getIssueTask } = await import('../src/issues.js');
+      expect(await getIssueTask({ eventName: 'push', payload: {} })).toBeNull();
+
+      const comment = issueContext({
+        action: 'created',
+        comment: { id: 5, body: 'looks good', author_association: 'OWNER' },
+      });
+      comment.eventName = 'issue_comment';
+      expect(await getIssueTask(comment)).toBeNull();
+
+      const prComment = issueContext();
+      prComment.payload.issue.pull_request = { url: 'https://api' };
+      expect(await getIssueTask(prComment)).toBeNull();
+    });
+
+    test('delegates an issue given the delegate label by a writer', async () => {
+      octokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+        data: { permission: 'write' },
+      });
+      const { getIssueTask } = await import('../src/issues.js');
+      const context = issueContext({
+        action: 'labeled',
+        label: { name: 'delegate' },
+        sender: { login: 'maintainer' },
+      });
+      context.payload.issue.author_association = 'NONE';
+      expect(await getIssueTask(context, 'token')).toMatchObject({
+        issueNumber: 7,
+        author: 'maintainer',
+      });
+      expect(octokit.rest.repos.getCollaboratorPermissionLevel).toHaveBeenCalledWith({
+        owner: 'testowner',
+        repo: 'testrepo',
+        username: 'maintainer',
+      });
+      expect(
+        await getIssueTask(issueContext({ action: 'labeled', label: { name: 'bug' } }))
+      ).toBeNull();
+    });
+
+    test('ignores the delegate label applied without write permission', async () => {
+      const { getIssueTask } = await import('../src/issues.js');
+      const context = issueContext({
+        action: 'labeled',
+        label: { name: 'delegate' },
+        sender: { login: 'triager' },
+      });
+
+      octokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValueOnce({
+        data: { permission: 'read' },
+      });
+      expect(await getIssueTask(context, 'token')).toBeNull();
+
+      octokit.rest.repos.getCollaboratorPermissionLevel.mockRejectedValueOnce(new Error('gone'));
+      expect(await getIssueTask(context, 'token')).toBeNull();
+
+      delete context.payload.sender;
+      expect(await getIssueTask(context, 'token')).toBeNull();
+      expect(octokit.rest.repos.getCollaboratorPermissionLevel).toHaveBeenCalledTimes(2);
+    });
+
+    test.each(['edited', 'closed', 'reopened', 'assigned', 'unlabeled'])(
+      'ignores issues %s',
+      async (action) => {
+        const { getIssueTask } = await import('../src/issues.js');
+        expect(await getIssueTask(issueContext({ action }))).toBeNull();
+      }
+    );
+
+    test.each(['edited', 'deleted'])(
+      'ignores commands in comments that were %s',
+      async (action) => {
+        const { getIssueTask } = await import('../src/issues.js');
+        const context = issueContext({
+          action,
+          comment: { id: 5, body: '/delegate', author_association: 'OWNER' },
+        });
+        context.eventName = 'issue_comment';
+        expect(await getIssueTask(context)).toBeNull();
+      }
+    );
+
+    test('ignores requests from untrusted authors', async () => {
+      const { getIssueTask } = await import('../src/issues.js');
+      const context = issueContext({
+        action: 'created',
+        comment: { id: 5, body: '/delegate', author_association: 'NONE' },
+      });
+      context.eventName = 'issue_comment';
+      expect(await getIssueTask(context)).toBeNull();
+    });
+  });
+
+  describe('buildIssueInstructions', () => {
+    test('includes issue text and extra instructions', async () => {
+      const { buildIssueInstructions } = await import('../src/issues.js');
+      const instructions = buildIssueInstructions({
+        issueNumber: 7,
+        title: 'Add dark mode',
+        body: 'Support a dark theme',
+        author: 'bob',
+        extraInstructions: 'keep it small',
+      });
+      expect(instructions).toContain('Resolve GitHub issue #7: Add dark mode');
+      expect(instructions).toContain('Support a dark theme');
+      expect(instructions).toContain('Additional instructions from @bob:\n\nkeep it small');
+    });
+  });
+
+  describe('acknowledgeIssue', () => {
+    test('reacts to the comment and posts progress', async () => {
+      const { acknowledgeIssue } = await import('../src/issues.js');
+      const id = await acknowledgeIssue('token', { issueNumber: 7, commentId: 5 });
+      expect(id).toBe(99);
+      expect(octokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+        expect.objectContaining({ comment_id: 5, content: 'eyes' })
+      );
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 7 })
+      );
+    });
+
+    test('reacts to the issue when there is no comment', async () => {
+      const { acknowledgeIssue } = await import('../src/issues.js');
+      await acknowledgeIssue('token', { issueNumber: 7, commentId: null });
+      expect(octokit.rest.reactions.createForIssue).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 7, content: 'eyes' })
+      );
+    });
+
+    test('tolerates API failures', async () => {
+      octokit.rest.reactions.createForIssue.mockRejectedValueOnce(new Error('forbidden'));
+      octokit.rest.issues.createComment.mockRejectedValueOnce(new Error('forbidden'));
+      const { acknowledgeIssue } = await import('../src/issues.js');
+      await expect(acknowledgeIssue('token', { issueNumber: 7 })).resolves.toBeNull();
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to post progress comment')
+      );
+    });
+  });
+
+  describe('updateIssueProgress', () => {
+    test('updates the progress comment', async () => {
+      const { updateIssueProgress } = await import('../src/issues.js');
+      await updateIssueProgress('token', { issueNumber: 7 }, 99, 'done');
+      expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith(
+        expect.objectContaining({ comment_id: 99, body: 'done' })
+      );
+    });
+
+    test('posts a new comment without a progress comment', async () => {
+      const { updateIssueProgress } = await import('../src/issues.js');
+      await updateIssueProgress('token', { issueNumber: 7 }, null, 'done');
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 7, body: 'done' })
+      );
+    });
+
+    test('does not post the comment twice when a failed post went through', async () => {
+      octokit.rest.issues.createComment.mockRejectedValueOnce(
+        Object.assign(new Error('Bad Gateway'), { status: 502 })
+      );
+      octokit.paginate = vi.fn().mockResolvedValue([{ id: 42, body: 'done' }]);
+      octokit.rest.issues.listComments = vi.fn();
+      const { updateIssueProgress } = await import('../src/issues.js');
+      await updateIssueProgress('token', { issueNumber: 7 }, null, 'done');
+      expect(octokit.paginate).toHaveBeenCalledWith(
+        octokit.rest.issues.listComments,
+        expect.objectContaining({ issue_number: 7 })
+      );
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+    });
+
+    test('tolerates API failures', async () => {
+      octokit.rest.issues.updateComment.mockRejectedValueOnce(new Error('gone'));
+      const { updateIssueProgress } = await import('../src/issues.js');
+      await expect(
+        updateIssueProgress('token', { issueNumber: 7 }, 99, 'done')
+      ).resolves.not.toThrow();
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to update issue progress')
+      );
+    });
+  });
+});
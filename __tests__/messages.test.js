@@ -0,0 +1,112 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mockExec } from './mocks.js';
+
+describe('Generated messages', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('getDiffForPrompt', () => {
+    test('returns the stat followed by the patch', async () => {
+      mockExec.getExecOutput
+        .mockResolvedValueOnce({ stdout: ' a.js | 2 +-\n' })
+        .mockResolvedValueOnce({ stdout: 'diff --git a/a.js b/a.js\n' });
+      const { getDiffForPrompt } = await import('../src/messages.js');
+
+      await expect(getDiffForPrompt(['--cached', 'HEAD'])).resolves.toBe(
+        'a.js | 2 +-\n\ndiff --git a/a.js b/a.js'
+      );
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--no-color', '--cached', 'HEAD'],
+        { silent: true }
+      );
+    });
+
+    test('returns nothing when there is no diff and truncates long ones', async () => {
+      const { getDiffForPrompt } = await import('../src/messages.js');
+
+      mockExec.getExecOutput.mockResolvedValueOnce({ stdout: '' });
+      await expect(getDiffForPrompt(['--cached', 'HEAD'])).resolves.toBe('');
+      expect(mockExec.getExecOutput).toHaveBeenCalledTimes(1);
+
+      mockExec.getExecOutput
+        .mockResolvedValueOnce({ stdout: 'big.txt | 1 +\n' })
+        .mockResolvedValueOnce({ stdout: 'x'.repeat(50000) });
+      const diff = await getDiffForPrompt(['a', 'b']);
+      expect(diff.length).toBeLessThan(31000);
+      expect(diff.endsWith('… (diff truncated)')).toBe(true);
+    });
+  });
+
+  describe('prompts', () => {
+    test('include the diff and the allowed types', async () => {
+      const { buildCommitMessagePrompt, buildPullRequestPrompt } =
+        await import('../src/messages.js');
+
+      for (const prompt of [buildCommitMessagePrompt('DIFF'), buildPullRequestPrompt('DIFF')]) {
+        expect(prompt).toContain('```diff\nDIFF\n```');
+        expect(prompt).toContain('feat, fix, docs');
+      }
+    });
+  });
+
+  describe('parseCommitMessage', () => {
+    test('keeps the body and appends the attribution', async () => {
+      const { parseCommitMessage } = await import('../src/messages.js');
+
+      expect(
+        parseCommitMessage(
+          '```\nfeat(auth): add token refresh\n\nRefresh tokens before they expire.\n\nSigned-off-by: Bot <bot@example.com>\n```',
+          'octocat'
+        )
+      ).toBe(
+        'feat(auth): add token refresh\n\nRefresh tokens before they expire.\n\n' +
+          'Generated with GitHub Copilot as directed by @octocat\n\n' +
+          'Generated-by: GitHub Copilot <copilot@github.com>'
+      );
+    });
+
+    test('rejects replies that are not Conventional Commits', async () => {
+      const { parseCommitMessage } = await import('../src/messages.js');
+
+      expect(() => parseCommitMessage('Added token refresh', 'octocat')).toThrow(
+        'Invalid commit message: "Added token refresh" is not in type(scope): subject form'
+      );
+      expect(() => parseCommitMessage('feature: add refresh', 'octocat')).toThrow(
+        'Invalid commit message: type must be one of'
+      );
+      expect(() => parseCommitMessage(`feat: ${'a'.repeat(100)}`, 'octocat')).toThrow(
+        'header is longer than 100 characters'
+      );
+      expect(() => parseCommitMessage('feat: ADD REFRESH', 'octocat')).toThrow(
+        'subject must not be upper case'
+      );
+      expect(() => parseCommitMessage('', 'octocat')).toThrow('Invalid commit message');
+    });
+  });
+
+  describe('parsePullRequestText', () => {
+    test('splits the title from the description', async () => {
+      const { parsePullRequestText } = await import('../src/messages.js');
+
+      expect(parsePullRequestText('# fix: handle empty input\n\nGuards the parser.')).toEqual({
+        title: 'fix: handle empty input',
+        body: 'Guards the parser.',
+      });
+    });
+
+    test('rejects replies without a description or a valid title', async () => {
+      const { parsePullRequestText } = await import('../src/messages.js');
+
+      expect(() => parsePullRequestText('fix: handle empty input')).toThrow(
+        'Invalid pull request description'
+      );
+      expect(() => parsePullRequestText('Handle empty input\n\nBody')).toThrow(
+        'Invalid pull request title'
+      );
+    });
+  });
+});
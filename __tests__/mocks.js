@@ -11,6 +11,7 @@ const mocks = vi.hoisted(() => {
         sessionId: 'mock-123',
         on: vi.fn(),
         sendAndWait: vi.fn().mockResolvedValue({ content: 'response' }),
+        abort: vi.fn(),
         destroy: vi.fn(),
       };
     }
@@ -22,6 +23,18 @@ const mocks = vi.hoisted(() => {
     }
   };
 
+  const mockSummary = {
+    addHeading: vi.fn().mockReturnThis(),
+    addRaw: vi.fn().mockReturnThis(),
+    addList: vi.fn().mockReturnThis(),
+    addTable: vi.fn().mockReturnThis(),
+    addDetails: vi.fn().mockReturnThis(),
+    addLink: vi.fn().mockReturnThis(),
+    addCodeBlock: vi.fn().mockReturnThis(),
+    addSeparator: vi.fn().mockReturnThis(),
+    write: vi.fn().mockResolvedValue(undefined),
+  };
+
   return {
     mockCore: {
       getInput: vi.fn(),
@@ -30,9 +43,11 @@ const mocks = vi.hoisted(() => {
       error: vi.fn(),
       warning: vi.fn(),
       info: vi.fn(),
+      summary: mockSummary,
     },
     mockExec: {
       exec: vi.fn(),
+      getExecOutput: vi.fn(),
     },
     mockGitHub: {
       context: {
@@ -0,0 +1,78 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mockCore, mockExec } from './mocks.js';
+
+describe('Run outputs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('createRunResult', () => {
+    test('starts as a failure', async () => {
+      const { createRunResult } = await import('../src/outputs.js');
+      expect(createRunResult()).toMatchObject({ status: 'failed', commits: {}, files: [] });
+    });
+  });
+
+  describe('getDiffStats', () => {
+    test('parses numstat output', async () => {
+      mockExec.getExecOutput.mockResolvedValueOnce({
+        exitCode: 0,
+        stdout: '10\t2\tsrc/a.js\x00-\t-\timg.png\x000\t4\tdocs/old name.md\x00',
+        stderr: '',
+      });
+      const { getDiffStats } = await import('../src/outputs.js');
+      await expect(getDiffStats(['base', 'HEAD'])).resolves.toEqual([
+        { path: 'src/a.js', additions: 10, deletions: 2 },
+        { path: 'img.png', additions: null, deletions: null },
+        { path: 'docs/old name.md', additions: 0, deletions: 4 },
+      ]);
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--numstat', '--no-renames', '-z', 'base', 'HEAD'],
+        { silent: true }
+      );
+    });
+
+    test('returns no files when git fails', async () => {
+      mockExec.getExecOutput.mockRejectedValueOnce(new Error('bad revision'));
+      const { getDiffStats } = await import('../src/outputs.js');
+      await expect(getDiffStats(['base', 'HEAD'])).resolves.toEqual([]);
+    });
+  });
+
+  describe('publishRunResult', () => {
+    test('sets every output and the result JSON', async () => {
+      const { createRunResult, publishRunResult } = await import('../src/outputs.js');
+      const result = Object.assign(createRunResult(), {
+        status: 'pr_created',
+        prNumber: 7,
+        prUrl: 'https://github.com/o/r/pull/7',
+        commits: { implementation: 'abc' },
+        files: [{ path: 'a.js', additions: 1, deletions: 0 }],
+      });
+      const summary = publishRunResult(result, {
+        sessions: [{ phase: 'implementation', sessionId: 's-1' }],
+      });
+
+      expect(summary).toMatchObject({
+        status: 'pr_created',
+        pr_number: 7,
+        sessions: [{ phase: 'implementation', session_id: 's-1' }],
+      });
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'pr_created');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('pr_url', 'https://github.com/o/r/pull/7');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('changed_files', '["a.js"]');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('session_ids', '["s-1"]');
+      expect(mockCore.setOutput).toHaveBeenCalledWith('result', JSON.stringify(summary));
+    });
+
+    test('omits the PR URL when no pull request was opened', async () => {
+      const { createRunResult, publishRunResult } = await import('../src/outputs.js');
+      publishRunResult(createRunResult(), { sessions: [] });
+      expect(mockCore.setOutput).not.toHaveBeenCalledWith('pr_url', expect.anything());
+      expect(mockCore.setOutput).toHaveBeenCalledWith('status', 'failed');
+    });
+  });
+});
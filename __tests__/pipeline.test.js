@@ -0,0 +1,153 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import * as fs from 'fs';
+
+describe('Pipeline', () => {
+  beforeEach(() => {
+    vi.resetModules();
+  });
+
+  describe('parsePipeline', () => {
+    test('normalizes stages', async () => {
+      const { parsePipeline } = await import('../src/pipeline.js');
+      const { stages } = parsePipeline(
+        [
+          'stages:',
+          '  - name: implement',
+          '    model: gpt-5',
+          '    timeout: 20',
+          '  - name: security',
+          '    prompt: Review {{changes}} for security issues',
+          '    condition: changed',
+          "    commit-message: 'fix: address security review'",
+        ].join('\n')
+      );
+
+      expect(stages).toEqual([
+        {
+          name: 'implement',
+          prompt: null,
+          promptFile: null,
+          model: 'gpt-5',
+          policy: null,
+          commitMessage: 'feat: delegate action changes',
+          condition: 'always',
+          timeoutMinutes: 20,
+        },
+        {
+          name: 'security',
+          prompt: 'Review {{changes}} for security issues',
+          promptFile: null,
+          model: null,
+          policy: null,
+          commitMessage: 'fix: address security review',
+          condition: 'changed',
+          timeoutMinutes: null,
+        },
+      ]);
+    });
+
+    test('defaults the commit message of prompt stages', async () => {
+      const { parsePipeline } = await import('../src/pipeline.js');
+      const { stages } = parsePipeline(
+        'stages:\n  - name: task\n  - name: lint\n    prompt: Fix lint warnings'
+      );
+      expect(stages[1].commitMessage).toBe('chore: apply lint stage');
+    });
+
+    test('rejects invalid documents', async () => {
+      const { parsePipeline } = await import('../src/pipeline.js');
+      expect(() => parsePipeline('[')).toThrow('Invalid pipeline');
+      expect(() => parsePipeline('- a')).toThrow('expected a mapping');
+      expect(() => parsePipeline('stages: []')).toThrow('stages must be a non-empty list');
+      expect(() => parsePipeline('stages: [a]')).toThrow('stages[0] must be a mapping');
+      expect(() => parsePipeline('stages: [{name: a, run: b}]')).toThrow('unknown keys run');
+      expect(() => parsePipeline('stages: [{name: "a b"}]')).toThrow('stages[0].name');
+      expect(() => parsePipeline('stages: [{name: a, condition: maybe}]')).toThrow(
+        'stages[0].condition'
+      );
+      expect(() => parsePipeline('stages: [{name: a, timeout: 0}]')).toThrow('stages[0].timeout');
+      expect(() => parsePipeline('stages: [{name: a, permission-policy: 3}]')).toThrow(
+        'stages[0].permission-policy'
+      );
+      expect(() => parsePipeline('stages: [{name: a, prompt: x, prompt-file: y}]')).toThrow(
+        "can't have both"
+      );
+      expect(() => parsePipeline('stages: [{name: a}, {name: a}]')).toThrow(
+        'duplicate stage name a'
+      );
+      expect(() => parsePipeline('stages: [{name: a, prompt: x}]')).toThrow(
+        'at least one stage must run the task instructions'
+      );
+    });
+  });
+
+  describe('loadPipeline', () => {
+    test('returns the implementation and review stages without a source', async () => {
+      const { DEFAULT_PIPELINE, loadPipeline } = await import('../src/pipeline.js');
+      await expect(loadPipeline('')).resolves.toBe(DEFAULT_PIPELINE);
+      expect(DEFAULT_PIPELINE.stages.map((stage) => stage.name)).toEqual([
+        'implementation',
+        'review',
+      ]);
+    });
+
+    test('reads prompt files and loads stage permission policies', async () => {
+      const { loadPipeline } = await import('../src/pipeline.js');
+      fs.writeFileSync('security-prompt.tmp', 'Look for injection bugs');
+      fs.writeFileSync(
+        'pipeline.tmp',
+        [
+          'stages:',
+          '  - name: implementation',
+          '  - name: security',
+          '    prompt-file: security-prompt.tmp',
+          '    permission-policy:',
+          '      kinds:',
+          '        write: deny',
+        ].join('\n')
+      );
+
+      try {
+        const { stages } = await loadPipeline('pipeline.tmp');
+        expect(stages[1].prompt).toBe('Look for injection bugs');
+        expect(stages[1].policy.kinds.write).toBe('deny');
+        expect(stages[0].policy).toBeNull();
+      } finally {
+        fs.unlinkSync('pipeline.tmp');
+        fs.unlinkSync('security-prompt.tmp');
+      }
+    });
+
+    test('names the stage with an invalid permission policy', async () => {
+      const { loadPipeline } = await import('../src/pipeline.js');
+      await expect(
+        loadPipeline('stages:\n  - name: docs\n    permission-policy:\n      default: sometimes')
+      ).rejects.toThrow('Invalid pipeline: stage docs: Invalid permission policy');
+    });
+  });
+
+  describe('shouldRunStage', () => {
+    test('applies stage conditions to the previous outcome', async () => {
+      const { shouldRunStage } = await import('../src/pipeline.js');
+      expect(shouldRunStage({ condition: 'changed' }, null)).toBe(true);
+      expect(shouldRunStage({ condition: 'always' }, false)).toBe(true);
+      expect(shouldRunStage({ condition: 'changed' }, true)).toBe(true);
+      expect(shouldRunStage({ condition: 'changed' }, false)).toBe(false);
+      expect(shouldRunStage({ condition: 'unchanged' }, false)).toBe(true);
+      expect(shouldRunStage({ condition: 'unchanged' }, true)).toBe(false);
+    });
+  });
+
+  describe('renderStagePrompt', () => {
+    test('fills known placeholders and keeps unknown ones', async () => {
+      const { renderStagePrompt } = await import('../src/pipeline.js');
+      expect(
+        renderStagePrompt('Review {{ changes }} on {{branch}} for {{team}}', {
+          changes: 'the changes',
+          branch: 'copilot/x',
+        })
+      ).toBe('Review the changes on copilot/x for {{team}}');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { setTimeout as sleep } from 'timers/promises';
+
+vi.mock('timers/promises', () => ({ setTimeout: vi.fn().mockResolvedValue(undefined) }));
+
+const httpError = (status, message = 'Request failed', headers = {}) =>
+  Object.assign(new Error(message), { status, response: { headers } });
+
+describe('Retry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('isRetryableError', () => {
+    test.each([
+      [httpError(502), true],
+      [httpError(503), true],
+      [httpError(429), true],
+      [httpError(403, 'You have exceeded a secondary rate limit'), true],
+      [httpError(403, 'API rate limit exceeded', { 'x-ratelimit-remaining': '0' }), true],
+      [Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }), true],
+      [new Error('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } }), true],
+      [new Error('Copilot session error: Service Unavailable'), true],
+      [httpError(403, 'Resource not accessible by integration'), false],
+      [httpError(422, 'Validation Failed'), false],
+      [httpError(404), false],
+      [new Error('Timeout'), false],
+    ])('classifies %s', async (error, retryable) => {
+      const { isRetryableError } = await import('../src/retry.js');
+      expect(isRetryableError(error)).toBe(retryable);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('honors retry-after in seconds or as a date', async () => {
+      const { getRetryDelay } = await import('../src/retry.js');
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      expect(getRetryDelay(httpError(503, 'x', { 'retry-after': '7' }), 1, now)).toBe(7000);
+      expect(
+        getRetryDelay(
+          httpError(503, 'x', { 'retry-after': 'Thu, 01 Jan 2026 00:00:30 GMT' }),
+          1,
+          now
+        )
+      ).toBe(30000);
+    });
+
+    test('waits for the primary rate limit to reset', async () => {
+      const { getRetryDelay } = await import('../src/retry.js');
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      const error = httpError(403, 'API rate limit exceeded', {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(now / 1000 + 90),
+      });
+      expect(getRetryDelay(error, 1, now)).toBe(90000);
+    });
+
+    test('waits a minute for a secondary rate limit without headers', async () => {
+      const { getRetryDelay } = await import('../src/retry.js');
+      expect(getRetryDelay(httpError(403, 'secondary rate limit'), 1)).toBe(60000);
+    });
+
+    test('backs off exponentially up to a cap', async () => {
+      const { getRetryDelay } = await import('../src/retry.js');
+      expect([1, 2, 3, 10].map((attempt) => getRetryDelay(httpError(502), attempt))).toEqual([
+        1000, 2000, 4000, 30000,
+      ]);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('retries transient failures and records the attempts', async () => {
+      const { createRetryRecorder, withRetry } = await import('../src/retry.js');
+      const recorder = createRetryRecorder();
+      const call = vi
+        .fn()
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(httpError(503, 'x', { 'retry-after': '3' }))
+        .mockResolvedValue('ok');
+
+      await expect(withRetry('create pull request', call, recorder)).resolves.toBe('ok');
+
+      expect(call).toHaveBeenCalledTimes(3);
+      expect(call.mock.calls).toEqual([[1], [2], [3]]);
+      expect(sleep.mock.calls).toEqual([[1000], [3000]]);
+      expect(recorder.records).toEqual([
+        { operation: 'create pull request', attempts: 3, succeeded: true, error: null },
+      ]);
+    });
+
+    test('fails fast on fatal errors', async () => {
+      const { createRetryRecorder, withRetry } = await import('../src/retry.js');
+      const recorder = createRetryRecorder();
+      const call = vi.fn().mockRejectedValue(httpError(422, 'Validation Failed'));
+
+      await expect(withRetry('add labels', call, recorder)).rejects.toMatchObject({ attempts: 1 });
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(recorder.records).toEqual([]);
+    });
+
+    test('gives up after the configured retries', async () => {
+      const { createRetryRecorder, withRetry } = await import('../src/retry.js');
+      const recorder = createRetryRecorder({ maxRetries: 1 });
+      const call = vi.fn().mockRejectedValue(httpError(500, 'Server Error'));
+
+      await expect(withRetry('set milestone', call, recorder)).rejects.toMatchObject({
+        attempts: 2,
+      });
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(recorder.records).toEqual([
+        { operation: 'set milestone', attempts: 2, succeeded: false, error: 'Server Error' },
+      ]);
+    });
+
+    test('keeps the limits and records of each run apart', async () => {
+      const { createRetryRecorder, withRetry } = await import('../src/retry.js');
+      const first = createRetryRecorder({ maxRetries: 0 });
+      const second = createRetryRecorder({ maxRetries: 2 });
+      const failOnce = () => vi.fn().mockRejectedValueOnce(httpError(502)).mockResolvedValue('ok');
+
+      await expect(withRetry('add labels', failOnce(), first)).rejects.toMatchObject({
+        attempts: 1,
+      });
+      await expect(withRetry('add labels', failOnce(), second)).resolves.toBe('ok');
+      expect(first.records).toEqual([
+        { operation: 'add labels', attempts: 1, succeeded: false, error: 'Request failed' },
+      ]);
+      expect(second.records).toEqual([
+        { operation: 'add labels', attempts: 2, succeeded: true, error: null },
+      ]);
+    });
+
+    test('does not retry errors the caller marked as fatal', async () => {
+      const { withRetry } = await import('../src/retry.js');
+      const call = vi.fn().mockRejectedValue(Object.assign(httpError(502), { retryable: false }));
+
+      await expect(withRetry('implementation turn', call)).rejects.toMatchObject({ attempts: 1 });
+      expect(call).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not wait out limits that reset too late', async () => {
+      const { withRetry } = await import('../src/retry.js');
+      const call = vi.fn().mockRejectedValue(httpError(429, 'x', { 'retry-after': '3600' }));
+
+      await expect(withRetry('create tree', call)).rejects.toMatchObject({ attempts: 1 });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('records a fatal error that follows a transient one', async () => {
+      const { createRetryRecorder, withRetry } = await import('../src/retry.js');
+      const recorder = createRetryRecorder();
+      const call = vi
+        .fn()
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValue(httpError(422, 'A pull request already exists'));
+
+      await expect(withRetry('create pull request', call, recorder)).rejects.toThrow(
+        'already exists'
+      );
+      expect(recorder.records).toEqual([
+        {
+          operation: 'create pull request',
+          attempts: 2,
+          succeeded: false,
+          error: 'A pull request already exists',
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mockCore, mockGitHub } from './mocks.js';
+
+vi.mock('timers/promises', () => ({ setTimeout: vi.fn().mockResolvedValue(undefined) }));
+
+const reviewContext = (eventName, overrides = {}) => ({
+  eventName,
+  repo: { owner: 'testowner', repo: 'testrepo' },
+  payload: {
+    action: eventName === 'pull_request_review' ? 'submitted' : 'created',
+    pull_request: {
+      number: 12,
+      body: 'Automated changes\n\n<!-- delegate-action pull-request -->',
+      head: { ref: 'copilot/delegate-2026', repo: { full_name: 'testowner/testrepo' } },
+      base: { ref: 'main' },
+    },
+    review: {
+      id: 3,
+      body: 'Please rename',
+      user: { login: 'carol' },
+      author_association: 'MEMBER',
+    },
+    comment: {
+      id: 8,
+      body: 'Use const here',
+      path: 'src/a.js',
+      line: 4,
+      diff_hunk: '@@ -1 +1 @@\n-let a\n+let b',
+      user: { login: 'carol' },
+      author_association: 'MEMBER',
+    },
+    ...overrides,
+  },
+});
+
+describe('Review iteration', () => {
+  let octokit;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    octokit = {
+      paginate: vi.fn(async (method, params) => (await method(params)).data),
+      rest: {
+        pulls: {
+          listReviewComments: vi.fn(),
+          listCommentsForReview: vi.fn().mockResolvedValue({
+            data: [
+              { id: 1, body: 'Fix typo', path: 'README.md', original_line: 2 },
+              { id: 2, body: 'done <!-- delegate-action -->', path: 'README.md' },
+            ],
+          }),
+          createReplyForReviewComment: vi.fn().mockResolvedValue({}),
+        },
+        issues: { createComment: vi.fn().mockResolvedValue({}), listComments: vi.fn() },
+      },
+    };
+    mockGitHub.getOctokit.mockReturnValue(octokit);
+  });
+
+  describe('getReviewTask', () => {
+    test('builds a task from a review comment', async () => {
+      const { getReviewTask } = await import('../src/review.js');
+      const task = getReviewTask(reviewContext('pull_request_review_comment'));
+      expect(task).toMatchObject({
+        prNumber: 12,
+        branch: 'copilot/delegate-2026',
+        baseBranch: 'main',
+        reviewId: null,
+        reviewer: 'carol',
+      });
+      expect(task.comments).toHaveLength(1);
+    });
+
+    test('recognizes its pull requests by the body marker, whatever the branch', async () => {
+      const { getReviewTask } = await import('../src/review.js');
+      const context = reviewContext('pull_request_review');
+      context.payload.pull_request.head.ref = 'docs/42-readme';
+      expect(getReviewTask(context)).toMatchObject({ branch: 'docs/42-readme' });
+    });
+
+    test('builds a task from a submitted review', async () => {
+      const { getReviewTask } = await import('../src/review.js');
+      const task = getReviewTask(reviewContext('pull_request_review'));
+      expect(task).toMatchObject({ reviewId: 3, reviewBody: 'Please rename', comments: [] });
+    });
+
+    test('ignores pull requests, forks and authors it should not act on', async () => {
+      const { getReviewTask } = await import('../src/review.js');
+      expect(getReviewTask({ eventName: 'push', payload: {} })).toBeNull();
+
+      const manual = reviewContext('pull_request_review');
+      manual.payload.pull_request.body = 'Opened by hand';
+      expect(getReviewTask(manual)).toBeNull();
+
+      const fork = reviewContext('pull_request_review');
+      fork.payload.pull_request.head.repo.full_name = 'someone/testrepo';
+      expect(getReviewTask(fork)).toBeNull();
+
+      const untrusted = reviewContext('pull_request_review');
+      untrusted.payload.review.author_association = 'CONTRIBUTOR';
+      expect(getReviewTask(untrusted)).toBeNull();
+
+      const ownReply = reviewContext('pull_request_review_comment');
+      ownReply.payload.comment.body = 'Addressed\n\n<!-- delegate-action -->';
+      expect(getReviewTask(ownReply)).toBeNull();
+    });
+
+    test.each([
+      ['pull_request_review', 'edited'],
+      ['pull_request_review', 'dismissed'],
+      ['pull_request_review_comment', 'edited'],
+      ['pull_request_review_comment', 'deleted'],
+    ])('ignores %s events that were %s', async (eventName, action) => {
+      const { getReviewTask } = await import('../src/review.js');
+      expect(getReviewTask(reviewContext(eventName, { action }))).toBeNull();
+    });
+
+    test('ties a review comment to its review', async () => {
+      const { getReviewTask } = await import('../src/review.js');
+      const context = reviewContext('pull_request_review_comment');
+      context.payload.comment.pull_request_review_id = 3;
+      expect(getReviewTask(context)).toMatchObject({ reviewId: 3 });
+    });
+  });
+
+  describe('isReviewHandled', () => {
+    const task = { prNumber: 12, reviewId: 3 };
+
+    test('finds a reply marked with the review', async () => {
+      octokit.paginate = vi.fn(async (method) =>
+        method === octokit.rest.issues.listComments
+          ? [{ id: 5, body: 'Done\n\n<!-- delegate-action -->\n<!-- delegate-action review:3 -->' }]
+          : [{ id: 6, body: 'Done <!-- delegate-action review:30 -->' }]
+      );
+      const { isReviewHandled } = await import('../src/review.js');
+      expect(await isReviewHandled('token', task)).toBe(true);
+      expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.pulls.listReviewComments, {
+        owner: 'testowner',
+        repo: 'testrepo',
+        pull_number: 12,
+      });
+    });
+
+    test('is false without a matching reply or a review', async () => {
+      octokit.paginate = vi.fn().mockResolvedValue([{ id: 6, body: 'Nice' }]);
+      const { isReviewHandled } = await import('../src/review.js');
+      expect(await isReviewHandled('token', task)).toBe(false);
+      expect(await isReviewHandled('token', { ...task, reviewId: null })).toBe(false);
+      expect(octokit.paginate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('fetchReviewComments', () => {
+    test('returns the triggering comment without a review', async () => {
+      const { fetchReviewComments } = await import('../src/review.js');
+      const comments = [{ id: 8 }];
+      await expect(fetchReviewComments('token', { reviewId: null, comments })).resolves.toBe(
+        comments
+      );
+    });
+
+    test('loads review comments and skips replies from the action', async () => {
+      const { fetchReviewComments } = await import('../src/review.js');
+      const comments = await fetchReviewComments('token', { prNumber: 12, reviewId: 3 });
+      expect(comments.map((comment) => comment.id)).toEqual([1]);
+      expect(octokit.rest.pulls.listCommentsForReview).toHaveBeenCalledWith(
+        expect.objectContaining({ pull_number: 12, review_id: 3 })
+      );
+    });
+
+    test('loads every page of a large review', async () => {
+      const page = (from, count) =>
+        Array.from({ length: count }, (_, index) => ({ id: from + index, body: 'Fix' }));
+      octokit.rest.pulls.listCommentsForReview
+        .mockResolvedValueOnce({ data: page(1, 30) })
+        .mockResolvedValueOnce({ data: page(31, 5) });
+      octokit.paginate = vi.fn(async (method, params) => {
+        const items = [];
+        for (let number = 1; ; number += 1) {
+          const { data } = await method({ ...params, per_page: 30, page: number });
+          items.push(...data);
+          if (data.length < 30) {
+            return items;
+          }
+        }
+      });
+      const { fetchReviewComments } = await import('../src/review.js');
+
+      const comments = await fetchReviewComments('token', { prNumber: 12, reviewId: 3 });
+      expect(comments).toHaveLength(35);
+      expect(octokit.rest.pulls.listCommentsForReview).toHaveBeenLastCalledWith(
+        expect.objectContaining({ review_id: 3, page: 2 })
+      );
+    });
+  });
+
+  describe('buildReviewInstructions', () => {
+    test('includes review summary and comment context', async () => {
+      const { buildReviewInstructions } = await import('../src/review.js');
+      const instructions = buildReviewInstructions(
+        { prNumber: 12, branch: 'copilot/delegate-1', reviewer: 'carol', reviewBody: 'Nice' },
+        [
+          { body: 'Use const', path: 'src/a.js', line: 4, diff_hunk: '+let b' },
+          { body: 'General note', path: 'README.md' },
+        ]
+      );
+      expect(instructions).toContain('review feedback from @carol on pull request #12');
+      expect(instructions).toContain('## Review summary\n\nNice');
+      expect(instructions).toContain('## Comment 1 on `src/a.js:4`');
+      expect(instructions).toContain('```diff\n+let b\n```');
+      expect(instructions).toContain('## Comment 2 on `README.md`');
+    });
+  });
+
+  describe('replyToReview', () => {
+    test('replies to each comment with the marker', async () => {
+      const { replyToReview } = await import('../src/review.js');
+      await replyToReview('token', { prNumber: 12 }, [{ id: 1 }, { id: 2 }], 'Done');
+      expect(octokit.rest.pulls.createReplyForReviewComment).toHaveBeenCalledTimes(2);
+      expect(octokit.rest.pulls.createReplyForReviewComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          pull_number: 12,
+          comment_id: 1,
+          body: 'Done\n\n<!-- delegate-action -->',
+        })
+      );
+    });
+
+    test('comments on the PR for a review without inline comments', async () => {
+      const { replyToReview } = await import('../src/review.js');
+      await replyToReview('token', { prNumber: 12, reviewId: 3 }, [], 'Done');
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          issue_number: 12,
+          body: 'Done\n\n<!-- delegate-action -->\n<!-- delegate-action review:3 -->',
+        })
+      );
+    });
+
+    test('does not reply twice when a failed reply went through', async () => {
+      octokit.rest.pulls.createReplyForReviewComment.mockRejectedValueOnce(
+        Object.assign(new Error('Bad Gateway'), { status: 502 })
+      );
+      octokit.paginate = vi
+        .fn()
+        .mockResolvedValue([
+          { id: 9, in_reply_to_id: 1, body: 'Done\n\n<!-- delegate-action -->' },
+        ]);
+      const { replyToReview } = await import('../src/review.js');
+      await replyToReview('token', { prNumber: 12 }, [{ id: 1 }], 'Done');
+      expect(octokit.paginate).toHaveBeenCalledWith(
+        octokit.rest.pulls.listReviewComments,
+        expect.objectContaining({ pull_number: 12 })
+      );
+      expect(octokit.rest.pulls.createReplyForReviewComment).toHaveBeenCalledTimes(1);
+      expect(mockCore.warning).not.toHaveBeenCalled();
+    });
+
+    test('keeps replying when one reply fails', async () => {
+      octokit.rest.pulls.createReplyForReviewComment.mockRejectedValueOnce(new Error('gone'));
+      octokit.rest.issues.createComment.mockRejectedValueOnce(new Error('locked'));
+      const { replyToReview } = await import('../src/review.js');
+      await replyToReview('token', { prNumber: 12 }, [{ id: 1 }, { id: 2 }], 'Done');
+      await replyToReview('token', { prNumber: 12 }, [], 'Done');
+      expect(octokit.rest.pulls.createReplyForReviewComment).toHaveBeenCalledTimes(2);
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to reply to review comment 1')
+      );
+      expect(mockCore.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Failed to reply to review: locked')
+      );
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { mockExec } from './mocks.js';
+
+// Built at runtime so the fixtures themselves don't trip secret scanners
+const GITHUB_TOKEN = `ghp_${'a1B2'.repeat(9)}`;
+const AWS_KEY = `AKIA${'ABCDEFGHIJKLMNOP'}`;
+
+const diffAdding = (file, lines, start = 1) =>
+  [
+    `diff --git a/${file} b/${file}`,
+    `+++ b/${file}`,
+    `@@ -0,0 +${start},${lines.length} @@`,
+    ...lines.map((line) => `+${line}`),
+  ].join('\n');
+
+describe('Secret scanning', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+  });
+
+  describe('parseGitleaksConfig', () => {
+    test('uses the default rules without a config', async () => {
+      const { parseGitleaksConfig } = await import('../src/secrets.js');
+      const { rules } = parseGitleaksConfig(null);
+      expect(rules.map((rule) => rule.id)).toContain('github-pat');
+    });
+
+    test('combines default and custom rules, minus disabled ones', async () => {
+      const { parseGitleaksConfig } = await import('../src/secrets.js');
+      const { rules, allowlist } = parseGitleaksConfig(
+        [
+          '[extend]',
+          'useDefault = true',
+          'disabledRules = ["aws-access-token"]',
+          '[[rules]]',
+          'id = "internal"',
+          "regex = '''(?i)internal_[a-z]{8}'''",
+          '[allowlist]',
+          "paths = ['''dist/''']",
+        ].join('\n')
+      );
+
+      const ids = rules.map((rule) => rule.id);
+      expect(ids).toContain('internal');
+      expect(ids).toContain('github-pat');
+      expect(ids).not.toContain('aws-access-token');
+      expect(rules.find((rule) => rule.id === 'internal').regex.flags).toBe('gi');
+      expect(allowlist.paths[0].test('dist/index.js')).toBe(true);
+    });
+
+    test('reads rule tables with multi-line arrays and nested allowlists', async () => {
+      const { parseGitleaksConfig } = await import('../src/secrets.js');
+      const { rules } = parseGitleaksConfig(
+        [
+          '# comment',
+          'title = "Config"',
+          '[[rules]]',
+          "id = 'custom'",
+          "regex = '''token_([a-z]{8})'''",
+          'secretGroup = 1',
+          'keywords = [',
+          '  "token_",',
+          ']',
+          '[rules.allowlist]',
+          "paths = ['''fixtures/''']",
+        ].join('\n')
+      );
+
+      expect(rules).toEqual([
+        expect.objectContaining({ id: 'custom', secretGroup: 1, keywords: ['token_'] }),
+      ]);
+      expect(rules[0].allowlist.paths[0].test('fixtures/a.txt')).toBe(true);
+    });
+
+    test('rejects invalid TOML', async () => {
+      const { parseGitleaksConfig } = await import('../src/secrets.js');
+      expect(() => parseGitleaksConfig('not toml')).toThrow('Invalid .gitleaks.toml');
+    });
+
+    test('skips rules with unsupported expressions', async () => {
+      const { parseGitleaksConfig } = await import('../src/secrets.js');
+      const { rules } = parseGitleaksConfig("[[rules]]\nid = 'bad'\nregex = '''(?P<x>a)+('''");
+      expect(rules).toEqual([]);
+    });
+  });
+
+  describe('loadSecretRules', () => {
+    test('reads the config committed at the given ref', async () => {
+      mockExec.getExecOutput.mockResolvedValueOnce({
+        exitCode: 0,
+        stdout: "[[rules]]\nid = 'internal'\nregex = '''internal_[a-z]{8}'''",
+        stderr: '',
+      });
+      const { loadSecretRules } = await import('../src/secrets.js');
+      const { rules } = await loadSecretRules('abc123');
+
+      expect(rules.map((rule) => rule.id)).toEqual(['internal']);
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['show', 'abc123:.gitleaks.toml'],
+        { ignoreReturnCode: true, silent: true }
+      );
+    });
+
+    test('uses the default rules when no config is committed', async () => {
+      mockExec.getExecOutput.mockResolvedValueOnce({ exitCode: 128, stdout: '', stderr: '' });
+      const { loadSecretRules } = await import('../src/secrets.js');
+      const { rules } = await loadSecretRules();
+
+      expect(rules.map((rule) => rule.id)).toContain('github-pat');
+      expect(mockExec.getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['show', 'HEAD:.gitleaks.toml'],
+        expect.anything()
+      );
+    });
+  });
+
+  describe('scanDiffForSecrets', () => {
+    test('reports the rule, file and line of added secrets', async () => {
+      const { parseGitleaksConfig, scanDiffForSecrets } = await import('../src/secrets.js');
+      const diff = [
+        diffAdding('src/config.js', ['const a = 1;', `const token = '${GITHUB_TOKEN}';`], 10),
+        diffAdding('deploy.sh', [`export KEY=${AWS_KEY}`]),
+      ].join('\n');
+
+      const findings = scanDiffForSecrets(diff, parseGitleaksConfig(null));
+      expect(findings).toEqual([
+        { rule: 'github-pat', file: 'src/config.js', line: 11 },
+        { rule: 'aws-access-token', file: 'deploy.sh', line: 1 },
+      ]);
+      expect(JSON.stringify(findings)).not.toContain(GITHUB_TOKEN);
+    });
+
+    test('ignores removed lines and allowlisted paths', async () => {
+      const { parseGitleaksConfig, scanDiffForSecrets } = await import('../src/secrets.js');
+      const rules = parseGitleaksConfig(
+        "[extend]\nuseDefault = true\n[allowlist]\npaths = ['''^fixtures/''']"
+      );
+      const diff = [
+        'diff --git a/a.js b/a.js',
+        '+++ b/a.js',
+        '@@ -1 +0,0 @@',
+        `-${GITHUB_TOKEN}`,
+        diffAdding('fixtures/token.txt', [GITHUB_TOKEN]),
+      ].join('\n');
+
+      expect(scanDiffForSecrets(diff, rules)).toEqual([]);
+    });
+
+    test('scans added lines that start with ++', async () => {
+      const { parseGitleaksConfig, scanDiffForSecrets } = await import('../src/secrets.js');
+      const diff = diffAdding('notes.txt', ['first', `++ b/${GITHUB_TOKEN}`]);
+
+      expect(scanDiffForSecrets(diff, parseGitleaksConfig(null))).toEqual([
+        { rule: 'github-pat', file: 'notes.txt', line: 2 },
+      ]);
+    });
+
+    test('requires a rule keyword before matching', async () => {
+      const { parseGitleaksConfig, scanDiffForSecrets } = await import('../src/secrets.js');
+      const rules = parseGitleaksConfig(
+        "[[rules]]\nid = 'keyed'\nregex = '''[a-f0-9]{32}'''\nkeywords = ['secret']"
+      );
+      const hash = 'abcdef0123456789abcdef0123456789';
+
+      expect(scanDiffForSecrets(diffAdding('a.txt', [`sha ${hash}`]), rules)).toEqual([]);
+      expect(scanDiffForSecrets(diffAdding('a.txt', [`SECRET=${hash}`]), rules)).toEqual([
+        { rule: 'keyed', file: 'a.txt', line: 1 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { mockCore, mockGitHub } from './mocks.js';
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+const summary = mockCore.summary;
+
+const createResult = (overrides = {}) => ({
+  status: 'pr_created',
+  startedAt: Date.now() - 125000,
+  prNumber: 42,
+  prUrl: 'https://github.com/testowner/testrepo/pull/42',
+  branch: 'copilot/delegate-1',
+  baseBranch: 'main',
+  model: 'gpt-5',
+  dryRun: false,
+  files: [],
+  violations: [],
+  verification: null,
+  retries: [],
+  context: null,
+  budget: null,
+  denials: [],
+  findings: [],
+  error: null,
+  ...overrides,
+});
+
+const rawText = () => summary.addRaw.mock.calls.map(([text]) => text).join('\n');
+
+const tableAfter = (heading) => {
+  const headings = summary.addHeading.mock.invocationCallOrder;
+  const index = summary.addHeading.mock.calls.findIndex(([text]) => text.startsWith(heading));
+  const table = summary.addTable.mock.invocationCallOrder.findIndex(
+    (order) => order > headings[index]
+  );
+  return summary.addTable.mock.calls[table][0];
+};
+
+describe('Job summary', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    mockGitHub.context.serverUrl = 'https://github.com';
+  });
+
+  describe('getInputsUsed', () => {
+    test('lists set inputs without credentials and shortens long values', async () => {
+      const { getInputsUsed } = await import('../src/summary.js');
+      expect(
+        getInputsUsed({
+          INPUT_PRIVATE_TOKEN: 'ghp_secret',
+          INPUT_MODEL: 'gpt-5',
+          INPUT_FILENAME: '',
+          INPUT_PIPELINE: 'stages:\n  - name: implement',
+          INPUT_API_KEY: 'secret',
+          PATH: '/usr/bin',
+        })
+      ).toEqual([
+        ['model', 'gpt-5'],
+        ['pipeline', 'stages:…'],
+      ]);
+    });
+  });
+
+  describe('writeJobSummary', () => {
+    test('reports the run, its stages and changed files', async () => {
+      const { writeJobSummary } = await import('../src/summary.js');
+      await writeJobSummary(
+        createResult({
+          files: [
+            { path: 'src/a.js', additions: 3, deletions: 1 },
+            { path: 'logo.png', additions: null, deletions: null },
+          ],
+          retries: [{ operation: 'create pull request', attempts: 2, succeeded: true }],
+        }),
+        {
+          sessions: [
+            {
+              phase: 'implementation',
+              sessionId: 's-1',
+              endedAt: 'x',
+              durationMs: 65000,
+              entries: [{ type: 'tool' }, { type: 'message' }, { type: 'tool' }],
+            },
+            {
+              phase: 'review',
+              sessionId: 's-2',
+              endedAt: 'x',
+              durationMs: 4000,
+              entries: [{ type: 'error', message: 'Timeout' }],
+            },
+          ],
+        },
+        { INPUT_MODEL: 'gpt-5', INPUT_PRIVATE_TOKEN: 'ghp_secret' }
+      );
+
+      expect(summary.addHeading).toHaveBeenCalledWith('Delegate run', 2);
+      expect(rawText()).toContain('**Status:** ✅ `pr_created`');
+      expect(rawText()).toContain(
+        '**Branch:** [`copilot/delegate-1`](https://github.com/testowner/testrepo/tree/copilot/delegate-1)'
+      );
+      expect(rawText()).toContain(
+        '**Pull request:** [#42](https://github.com/testowner/testrepo/pull/42)'
+      );
+      expect(rawText()).toContain('**Duration:** 2m 5s');
+      expect(tableAfter('Inputs')).toEqual([
+        [
+          { data: 'Input', header: true },
+          { data: 'Value', header: true },
+        ],
+        ['<code>model</code>', '<code>gpt-5</code>'],
+      ]);
+      expect(tableAfter('Stages').slice(1)).toEqual([
+        ['implementation', '<code>s-1</code>', '1m 5s', '2', '✅ completed'],
+        ['review', '<code>s-2</code>', '4s', '0', '❌ Timeout'],
+      ]);
+      expect(tableAfter('Changed files (2)').slice(1)).toEqual([
+        ['<code>src/a.js</code>', '3', '1'],
+        ['<code>logo.png</code>', 'binary', 'binary'],
+      ]);
+      expect(summary.addList).toHaveBeenCalledWith(['create pull request: 2 attempts, succeeded']);
+      expect(summary.addCodeBlock).not.toHaveBeenCalled();
+      expect(summary.write).toHaveBeenCalled();
+    });
+
+    test('lists the context files attached and dropped', async () => {
+      const { writeJobSummary } = await import('../src/summary.js');
+      await writeJobSummary(
+        createResult({
+          context: {
+            files: [{ path: 'docs/design.md', size: 120 }],
+            dropped: [
+              {
+                path: 'docs/history.md',
+                size: 900,
+                reason: 'exceeds the 1000-byte context budget',
+              },
+              { path: 'docs/gone.md', size: null, reason: 'File not found: docs/gone.md' },
+            ],
+            bytes: 120,
+            budget: 1000,
+          },
+        }),
+        { sessions: [] },
+        {}
+      );
+
+      expect(tableAfter('Context files (120 of 1000 bytes)').slice(1)).toEqual([
+        ['<code>docs/design.md</code>', '120', '✅'],
+        ['<code>docs/history.md</code>', '900', '❌ exceeds the 1000-byte context budget'],
+        ['<code>docs/gone.md</code>', '-', '❌ File not found: docs/gone.md'],
+      ]);
+    });
+
+    test('shows the budgets and the one that tripped', async () => {
+      const { writeJobSummary } = await import('../src/summary.js');
+      await writeJobSummary(
+        createResult({
+          status: 'failed',
+          budget: {
+            limits: {
+              max_tool_calls: null,
+              max_shell_commands: 5,
+              max_files_modified: 10,
+              max_minutes: 15,
+            },
+            usage: { tool_calls: 12, shell_commands: 6, files_modified: 2, minutes: 3.25 },
+            exceeded: { budget: 'max-shell-commands', limit: 5 },
+          },
+        }),
+        { sessions: [] },
+        {}
+      );
+
+      expect(tableAfter('Budgets').slice(1)).toEqual([
+        ['<code>max-tool-calls</code>', '12', 'none', '✅'],
+        ['<code>max-shell-commands</code>', '6', '5', '❌ exceeded'],
+        ['<code>max-files-modified</code>', '2', '10', '✅'],
+        ['<code>max-minutes</code>', '3.25', '15', '✅'],
+      ]);
+    });
+
+    test('reports findings, denials and the end of the error of a failed run', async () => {
+      const { writeJobSummary } = await import('../src/summary.js');
+      const error = Array.from({ length: 25 }, (_, index) => `line ${index + 1}`).join('\n');
+      await writeJobSummary(
+        createResult({
+          status: 'failed',
+          prNumber: null,
+          prUrl: null,
+          branch: null,
+          violations: [
+            { rule: 'protected-path', message: 'a matches <protected>', action: 'blocked' },
+          ],
+          findings: [
+            { rule: 'fake-system-tag', source: 'issue #7', line: 4, excerpt: '<!-- [SYSTEM] -->' },
+          ],
+          denials: [{ kind: 'shell', target: 'rm -rf /', reason: 'denied by policy' }],
+          error,
+        }),
+        { sessions: [] },
+        {}
+      );
+
+      expect(rawText()).toContain('**Status:** ❌ `failed`');
+      expect(rawText()).not.toContain('Pull request');
+      expect(tableAfter('Guardrail violations')[1]).toEqual([
+        '<code>protected-path</code>',
+        'blocked',
+        'a matches &lt;protected&gt;',
+      ]);
+      expect(tableAfter('Prompt injection findings')[1]).toEqual([
+        '<code>fake-system-tag</code>',
+        'issue #7',
+        '4',
+        '<code>&lt;!-- [SYSTEM] --&gt;</code>',
+      ]);
+      expect(summary.addList).toHaveBeenCalledWith([
+        '<code>shell</code> rm -rf /: denied by policy',
+      ]);
+      const [code] = summary.addCodeBlock.mock.calls[0];
+      expect(code.split('\n')).toHaveLength(21);
+      expect(code).toMatch(/^…\nline 6\n/);
+      expect(code).toMatch(/line 25$/);
+    });
+
+    test('does not fail the run when the summary cannot be written', async () => {
+      summary.write.mockRejectedValueOnce(new Error('Unable to find environment variable'));
+      const { writeJobSummary } = await import('../src/summary.js');
+      await expect(writeJobSummary(createResult(), { sessions: [] }, {})).resolves.toBe(undefined);
+    });
+  });
+});
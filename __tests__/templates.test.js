@@ -0,0 +1,126 @@
+import { mockGitHub } from './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+
+describe('Templates', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.resetModules();
+    fs.mkdirSync('templates.tmp', { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync('templates.tmp', { recursive: true, force: true });
+  });
+
+  describe('parseTemplateVars', () => {
+    test('reads scalar values as strings', async () => {
+      const { parseTemplateVars } = await import('../src/templates.js');
+      expect(parseTemplateVars('release: v2.1.0\nattempt: 3\nstrict: true')).toEqual({
+        release: 'v2.1.0',
+        attempt: '3',
+        strict: 'true',
+      });
+      expect(parseTemplateVars('')).toEqual({});
+    });
+
+    test.each([
+      ['release: [', 'Invalid vars'],
+      ['- a', 'expected a mapping of names to values'],
+      ['"a.b": x', 'a.b must only contain letters, digits, - and _'],
+      ['repo: other/repo', 'repo is a built-in variable'],
+      ['release:\n  name: x', 'release must be a string, number or boolean'],
+    ])('rejects %j', async (text, message) => {
+      const { parseTemplateVars } = await import('../src/templates.js');
+      expect(() => parseTemplateVars(text)).toThrow(message);
+    });
+  });
+
+  describe('loadTemplateVars', () => {
+    test('loads inline YAML, a vars file, or nothing', async () => {
+      fs.writeFileSync('templates.tmp/vars.yml', 'release: v3');
+      const { loadTemplateVars } = await import('../src/templates.js');
+      expect(await loadTemplateVars('')).toEqual({});
+      expect(await loadTemplateVars('release: v2')).toEqual({ release: 'v2' });
+      expect(await loadTemplateVars('templates.tmp/vars.yml')).toEqual({ release: 'v3' });
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('fills in built-in, event and custom variables', async () => {
+      mockGitHub.context.eventName = 'issues';
+      mockGitHub.context.payload = { issue: { number: 7, title: 'Add dark mode' } };
+      const { getTemplateVariables, renderTemplate } = await import('../src/templates.js');
+      const variables = getTemplateVariables(mockGitHub.context, {
+        baseBranch: 'develop',
+        vars: { release: 'v2' },
+      });
+
+      expect(
+        renderTemplate(
+          '{{repo}} by {{ actor }} on {{base_branch}}: #{{event.issue.number}} {{event.issue.title}} ({{release}})',
+          variables
+        )
+      ).toBe('testowner/testrepo by testuser on develop: #7 Add dark mode (v2)');
+      delete mockGitHub.context.eventName;
+      delete mockGitHub.context.payload;
+    });
+
+    test('leaves unknown variables and Actions expressions as written', async () => {
+      const { getTemplateVariables, renderTemplate } = await import('../src/templates.js');
+      const variables = getTemplateVariables(mockGitHub.context, { baseBranch: 'main' });
+
+      expect(
+        renderTemplate('{{missing}} {{event.issue.title}} {{event}} ${{ actor }}', variables)
+      ).toBe('{{missing}} {{event.issue.title}} {{event}} ${{ actor }}');
+    });
+  });
+
+  describe('expandIncludes', () => {
+    test('replaces include lines with the files, recursively', async () => {
+      fs.writeFileSync(
+        'templates.tmp/style.md',
+        'Use sentence case.\n@include templates.tmp/tone.md\n'
+      );
+      fs.writeFileSync('templates.tmp/tone.md', 'Be brief.\n');
+      const { expandIncludes } = await import('../src/templates.js');
+
+      expect(await expandIncludes('# Task\n@include templates.tmp/style.md\n\nDo it.')).toBe(
+        '# Task\nUse sentence case.\nBe brief.\n\nDo it.'
+      );
+      expect(await expandIncludes('See `@include x` for details')).toBe(
+        'See `@include x` for details'
+      );
+    });
+
+    test('rejects unsafe, missing and recursive includes', async () => {
+      fs.writeFileSync('templates.tmp/loop.md', '@include templates.tmp/loop.md');
+      const { expandIncludes } = await import('../src/templates.js');
+
+      await expect(expandIncludes('@include ../secrets.md')).rejects.toThrow(
+        'Invalid @include ../secrets.md: Path traversal detected'
+      );
+      await expect(expandIncludes('@include templates.tmp/none.md')).rejects.toThrow(
+        'Invalid @include templates.tmp/none.md: File not found'
+      );
+      await expect(expandIncludes('@include templates.tmp/loop.md')).rejects.toThrow(
+        'Invalid @include templates.tmp/loop.md: the file includes itself'
+      );
+    });
+
+    test('limits how deep includes nest', async () => {
+      for (let level = 0; level < 6; level++) {
+        fs.writeFileSync(
+          `templates.tmp/level-${level}.md`,
+          `@include templates.tmp/level-${level + 1}.md`
+        );
+      }
+      fs.writeFileSync('templates.tmp/level-6.md', 'bottom');
+      const { expandIncludes } = await import('../src/templates.js');
+
+      await expect(expandIncludes('@include templates.tmp/level-0.md')).rejects.toThrow(
+        'includes nest deeper than 5'
+      );
+    });
+  });
+});
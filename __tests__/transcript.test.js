@@ -0,0 +1,180 @@
+import './mocks.js';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+describe('Transcript', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    vi.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delegate-test-'));
+    process.env.RUNNER_TEMP = tempDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.RUNNER_TEMP;
+  });
+
+  const recordSession = async () => {
+    const { createTranscript, startSession, recordEvent, endSession } =
+      await import('../src/transcript.js');
+    const transcript = createTranscript();
+    const session = startSession(transcript, {
+      phase: 'implementation',
+      sessionId: 's-1',
+      model: 'gpt-5',
+      prompt: 'Add a feature',
+    });
+
+    recordEvent(session, { type: 'assistant.message_delta', data: { deltaContent: 'I will' } });
+    recordEvent(session, { type: 'assistant.message', data: { content: 'I will add it.' } });
+    recordEvent(session, {
+      type: 'tool.execution_start',
+      data: { toolCallId: 't-1', toolName: 'bash', arguments: { command: 'npm test' } },
+    });
+    recordEvent(session, {
+      type: 'tool.execution_end',
+      data: { toolCallId: 't-1', toolName: 'bash', result: { content: 'all passed' } },
+    });
+    recordEvent(session, { type: 'tool.execution_start', data: { toolName: 'edit' } });
+    recordEvent(session, {
+      type: 'tool.execution_end',
+      data: { toolName: 'edit', error: 'file is read-only' },
+    });
+    recordEvent(session, { type: 'tool.execution_end', data: { toolName: 'unknown' } });
+    recordEvent(session, { type: 'session.error', data: { message: 'rate limited' } });
+    endSession(session);
+
+    return transcript;
+  };
+
+  describe('recordEvent', () => {
+    test('records messages, tool calls and errors', async () => {
+      const transcript = await recordSession();
+      const [session] = transcript.sessions;
+
+      expect(session).toMatchObject({ phase: 'implementation', sessionId: 's-1', model: 'gpt-5' });
+      expect(session.durationMs).toBeGreaterThanOrEqual(0);
+      expect(session.entries.map((entry) => entry.type)).toEqual([
+        'message',
+        'tool',
+        'tool',
+        'error',
+      ]);
+      expect(session.entries[1]).toMatchObject({
+        toolName: 'bash',
+        arguments: { command: 'npm test' },
+        result: 'all passed',
+        success: true,
+      });
+      expect(session.entries[2]).toMatchObject({
+        toolName: 'edit',
+        arguments: null,
+        result: 'file is read-only',
+        success: false,
+      });
+    });
+
+    test('truncates long tool results', async () => {
+      const { createTranscript, startSession, recordEvent } = await import('../src/transcript.js');
+      const session = startSession(createTranscript(), {
+        phase: 'review',
+        sessionId: 's-2',
+        model: 'gpt-5',
+        prompt: 'Review',
+      });
+      recordEvent(session, { type: 'tool.execution_start', data: { toolName: 'view' } });
+      recordEvent(session, {
+        type: 'tool.execution_end',
+        data: { toolName: 'view', result: { lines: 'x'.repeat(5000) } },
+      });
+
+      expect(session.entries[0].result).toMatch(/more characters\)$/);
+      expect(session.entries[0].result.length).toBeLessThan(4100);
+    });
+  });
+
+  describe('endSession', () => {
+    test('records the error that ended the session', async () => {
+      const { createTranscript, startSession, endSession } = await import('../src/transcript.js');
+      const session = startSession(createTranscript(), {
+        phase: 'review',
+        sessionId: 's-2',
+        model: 'gpt-5',
+        prompt: 'Review',
+      });
+      endSession(session, new Error('timed out'));
+      expect(session.entries).toEqual([
+        expect.objectContaining({ type: 'error', message: 'timed out' }),
+      ]);
+    });
+  });
+
+  describe('renderTranscriptMarkdown', () => {
+    test('renders prompts, messages and tool calls', async () => {
+      const { renderTranscriptMarkdown } = await import('../src/transcript.js');
+      const markdown = renderTranscriptMarkdown(await recordSession());
+
+      expect(markdown).toContain('## implementation (`gpt-5`, session `s-1`');
+      expect(markdown).toContain('**Prompt:**\n\nAdd a feature');
+      expect(markdown).toContain('**Assistant:**\n\nI will add it.');
+      expect(markdown).toMatch(/\*\*Tool `bash`\*\* \(ok, \d+ ms\)/);
+      expect(markdown).toContain('"command": "npm test"');
+      expect(markdown).toContain('**Tool `edit`** (failed');
+      expect(markdown).toContain('**Error:** rate limited');
+    });
+
+    test('marks tool calls that never finished', async () => {
+      const { createTranscript, startSession, recordEvent, renderTranscriptMarkdown } =
+        await import('../src/transcript.js');
+      const transcript = createTranscript();
+      const session = startSession(transcript, {
+        phase: 'review',
+        sessionId: 's-2',
+        model: 'gpt-5',
+        prompt: 'Review',
+      });
+      recordEvent(session, { type: 'tool.execution_start', data: { toolName: 'view' } });
+
+      expect(renderTranscriptMarkdown(transcript)).toContain('**Tool `view`** (no result)');
+    });
+  });
+
+  describe('summarizeTranscript', () => {
+    test('renders a collapsible summary', async () => {
+      const { summarizeTranscript } = await import('../src/transcript.js');
+      const summary = summarizeTranscript(await recordSession());
+
+      expect(summary).toMatch(
+        /^<details>\n<summary>Copilot session transcript \(1 sessions, 2 tool calls, 1 errors\)<\/summary>/
+      );
+      expect(summary).toContain('> I will add it.');
+      expect(summary).toContain('- 🔧 `bash`');
+      expect(summary).toContain('- 🔧 `edit` ❌');
+      expect(summary).toContain('- ⚠️ rate limited');
+      expect(summary).not.toContain('all passed');
+      expect(summary).toMatch(/<\/details>$/);
+    });
+
+    test('is empty without sessions', async () => {
+      const { createTranscript, summarizeTranscript } = await import('../src/transcript.js');
+      expect(summarizeTranscript(createTranscript())).toBe('');
+    });
+  });
+
+  describe('writeTranscript', () => {
+    test('writes Markdown and JSON files to RUNNER_TEMP', async () => {
+      const { writeTranscript } = await import('../src/transcript.js');
+      const transcript = await recordSession();
+      const { markdownPath, jsonPath } = writeTranscript(transcript);
+
+      expect(path.dirname(markdownPath)).toBe(tempDir);
+      expect(markdownPath).toMatch(/\.md$/);
+      expect(fs.readFileSync(markdownPath, 'utf8')).toContain('# Copilot session transcript');
+      expect(JSON.parse(fs.readFileSync(jsonPath, 'utf8'))).toEqual(transcript);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+import { logger } from './logger.js';
+import { validateFile, validateFilename } from './validation.js';
+
+const AGENTS_DIR = '.github/agents';
+const AGENT_SUFFIX = '.agent.md';
+
+// Remote servers need credentials the runner does not have
+const LOCAL_SERVER_TYPES = ['local', 'stdio'];
+
+/**
+ * Resolve an agent input to a profile path in the repository
+ * A bare name such as hlbpa refers to .github/agents/hlbpa.agent.md.
+ * @param {string} agent - Agent name or repository-relative profile path
+ * @returns {string} Repository-relative profile path
+ */
+function resolveAgentPath(agent) {
+  if (agent.includes('/') || agent.endsWith('.md')) {
+    return agent;
+  }
+
+  return `${AGENTS_DIR}/${validateFilename(agent)}${AGENT_SUFFIX}`;
+}
+
+/**
+ * Ensure a profile value is a list of strings
+ * @param {*} value - Raw frontmatter value
+ * @param {string} field - Field name used in error messages
+ * @param {string[]} fallback - List to use when the value is unset
+ * @returns {string[]} Validated list
+ */
+function toStringList(value, field, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`Invalid agent profile: ${field} must be a list of strings`);
+  }
+
+  return value;
+}
+
+/**
+ * Normalize the local MCP servers of a profile into Copilot SDK server configs
+ * Servers of other types are skipped with a warning.
+ * @param {*} raw - Raw mcp-servers frontmatter value
+ * @returns {Object} Server names to configs with type, command, args, tools and optional env
+ */
+function parseMcpServers(raw) {
+  if (raw === undefined || raw === null) {
+    return {};
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid agent profile: mcp-servers must be a mapping of server names');
+  }
+
+  const servers = {};
+  for (const [name, server] of Object.entries(raw)) {
+    const field = `mcp-servers.${name}`;
+    if (!server || typeof server !== 'object' || Array.isArray(server)) {
+      throw new Error(`Invalid agent profile: ${field} must be a mapping`);
+    }
+
+    const type = server.type ?? 'local';
+    if (!LOCAL_SERVER_TYPES.includes(type)) {
+      logger.warn({ server: name, type }, 'Skipping MCP server that is not a local command');
+      continue;
+    }
+
+    if (typeof server.command !== 'string' || !server.command.trim()) {
+      throw new Error(`Invalid agent profile: ${field}.command must be a non-empty string`);
+    }
+
+    const config = {
+      type: 'local',
+      command: server.command.trim(),
+      args: toStringList(server.args, `${field}.args`, []),
+      tools: toStringList(server.tools, `${field}.tools`, ['*']),
+    };
+
+    if (server.env !== undefined && server.env !== null) {
+      if (
+        typeof server.env !== 'object' ||
+        Array.isArray(server.env) ||
+        Object.values(server.env).some((value) => typeof value !== 'string')
+      ) {
+        throw new Error(`Invalid agent profile: ${field}.env must map names to strings`);
+      }
+      config.env = server.env;
+    }
+
+    servers[name] = config;
+  }
+
+  return servers;
+}
+
+/**
+ * Parse a custom agent profile
+ * @param {string} content - Profile Markdown with YAML frontmatter
+ * @param {string} fallbackName - Name used when the frontmatter has none
+ * @returns {Object} Agent name, instructions, model (or null) and MCP servers
+ */
+function parseAgentProfile(content, fallbackName) {
+  let parsed;
+  try {
+    parsed = parseFrontmatter(content);
+  } catch (error) {
+    throw new Error(`Invalid agent profile: ${error.message}`, { cause: error });
+  }
+
+  const { attributes, body } = parsed;
+  if (!body.trim()) {
+    throw new Error('Invalid agent profile: the profile has no instructions');
+  }
+
+  for (const field of ['name', 'model']) {
+    const value = attributes[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !value.trim())) {
+      throw new Error(`Invalid agent profile: ${field} must be a non-empty string`);
+    }
+  }
+
+  return {
+    name: attributes.name?.trim() || fallbackName,
+    instructions: body.trim(),
+    model: attributes.model?.trim() || null,
+    mcpServers: parseMcpServers(attributes['mcp-servers']),
+  };
+}
+
+/**
+ * Load a custom agent profile from the repository
+ * @param {string} agent - Agent name, a repository-relative profile path, or empty
+ * @returns {Promise<Object|null>} Agent profile with its path, or null when no agent is set
+ */
+async function loadAgentProfile(agent) {
+  if (!agent || !agent.trim()) {
+    return null;
+  }
+
+  const profilePath = await validateFile(resolveAgentPath(agent.trim()));
+  logger.info({ profilePath }, 'Loading agent profile');
+
+  const fallbackName = path.basename(profilePath).replace(/\.agent\.md$|\.md$/, '');
+  const profile = parseAgentProfile(fs.readFileSync(profilePath, 'utf8'), fallbackName);
+  logger.info(
+    { agent: profile.name, model: profile.model, mcpServers: Object.keys(profile.mcpServers) },
+    'Agent profile loaded'
+  );
+
+  return { ...profile, path: profilePath };
+}
+
+export { AGENTS_DIR, resolveAgentPath, parseAgentProfile, loadAgentProfile };
@@ -0,0 +1,403 @@
+import * as exec from '@actions/exec';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { getCopilotClient } from './copilot-loader.js';
+import { logger } from './logger.js';
+import { validateFile, validateFilename } from './validation.js';
+
+// An agent backend is created by a factory function and has:
+//   start()                   Start the backend
+//   listModels()              Optional, models available to the run
+//   createSession(options)    Open a session with { model, onPermissionRequest }
+//   stop() / forceStop()      Shut the backend down
+// Sessions have a sessionId and:
+//   events(handler)           Subscribe to Copilot SDK style session events
+//   send(message, timeout)    Send { prompt, attachments } and wait for the turn to end
+//   abort()                   Stop the turn in progress
+//   destroy()                 Close the session
+const BACKENDS = ['copilot', 'scripted'];
+
+const STEP_TYPES = ['message', 'write', 'delete', 'shell'];
+
+// Keys a step may have besides the one naming its type
+const STEP_OPTIONS = {
+  message: [],
+  write: ['content'],
+  delete: [],
+  shell: ['output', 'exit-code', 'run'],
+};
+
+/**
+ * Create a backend driving the GitHub Copilot SDK
+ * @returns {Promise<Object>} Agent backend
+ */
+async function createCopilotBackend() {
+  logger.info('Initializing GitHub Copilot SDK');
+
+  const CopilotClient = await getCopilotClient();
+  const client = new CopilotClient({
+    logLevel: 'info',
+    autoStart: true,
+    autoRestart: true,
+  });
+
+  return {
+    name: 'copilot',
+    start: () => client.start(),
+    listModels: typeof client.listModels === 'function' ? () => client.listModels() : undefined,
+    async createSession(options) {
+      const session = await client.createSession({ ...options, streaming: true });
+      return {
+        sessionId: session.sessionId,
+        events: (handler) => session.on(handler),
+        send: (message, timeout) => session.sendAndWait(message, timeout),
+        abort: () => session.abort(),
+        destroy: () => session.destroy(),
+      };
+    },
+    stop: () => client.stop(),
+    forceStop: () => client.forceStop(),
+  };
+}
+
+/**
+ * Check that a fixture value is a mapping with only known keys
+ * @param {*} raw - Raw value
+ * @param {string} field - Field path used in error messages
+ * @param {string[]} keys - Allowed keys
+ * @returns {Object} The mapping
+ */
+function toMapping(raw, field, keys) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid agent fixture: ${field} must be a mapping`);
+  }
+
+  const unknownKeys = Object.keys(raw).filter((key) => !keys.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Invalid agent fixture: ${field} has unknown keys ${unknownKeys.join(', ')}`);
+  }
+
+  return raw;
+}
+
+/**
+ * Check that a fixture value is a non-empty list
+ * @param {*} raw - Raw value
+ * @param {string} field - Field path used in error messages
+ * @returns {Array} The list
+ */
+function toList(raw, field) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`Invalid agent fixture: ${field} must be a non-empty list`);
+  }
+
+  return raw;
+}
+
+/**
+ * Validate a path written or deleted by a scripted step
+ * @param {*} value - Raw path
+ * @param {string} field - Field path used in error messages
+ * @returns {string} Repository-relative path
+ */
+function toStepPath(value, field) {
+  if (typeof value !== 'string') {
+    throw new Error(`Invalid agent fixture: ${field} must be a path`);
+  }
+
+  try {
+    return validateFilename(value.trim());
+  } catch (error) {
+    throw new Error(`Invalid agent fixture: ${field}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Validate one recorded step
+ * @param {*} raw - Raw step
+ * @param {string} field - Field path used in error messages
+ * @returns {Object} Step with its type
+ */
+function parseStep(raw, field) {
+  const types = STEP_TYPES.filter((type) => raw && typeof raw === 'object' && type in raw);
+  if (types.length !== 1) {
+    throw new Error(
+      `Invalid agent fixture: ${field} must have exactly one of ${STEP_TYPES.join(', ')}`
+    );
+  }
+
+  const [type] = types;
+  const step = toMapping(raw, field, [type, ...STEP_OPTIONS[type]]);
+
+  switch (type) {
+    case 'message':
+      if (typeof step.message !== 'string') {
+        throw new Error(`Invalid agent fixture: ${field}.message must be a string`);
+      }
+      return { type, content: step.message };
+    case 'write':
+      if (typeof step.content !== 'string') {
+        throw new Error(`Invalid agent fixture: ${field}.content must be a string`);
+      }
+      return { type, path: toStepPath(step.write, `${field}.write`), content: step.content };
+    case 'delete':
+      return { type, path: toStepPath(step.delete, `${field}.delete`) };
+    default: {
+      if (typeof step.shell !== 'string' || !step.shell.trim()) {
+        throw new Error(`Invalid agent fixture: ${field}.shell must be a command`);
+      }
+      const exitCode = step['exit-code'] ?? 0;
+      if (!Number.isInteger(exitCode)) {
+        throw new Error(`Invalid agent fixture: ${field}.exit-code must be an integer`);
+      }
+      if (step.output !== undefined && typeof step.output !== 'string') {
+        throw new Error(`Invalid agent fixture: ${field}.output must be a string`);
+      }
+      return {
+        type,
+        command: step.shell.trim(),
+        output: step.output ?? '',
+        exitCode,
+        run: step.run === true,
+      };
+    }
+  }
+}
+
+/**
+ * Parse and validate a recorded session fixture
+ * @param {string} text - YAML or JSON fixture
+ * @returns {Object} Script with its models and sessions
+ */
+function parseAgentFixture(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid agent fixture: ${error.message}`, { cause: error });
+  }
+
+  const fixture = toMapping(raw, 'fixture', ['models', 'sessions']);
+  if (
+    fixture.models !== undefined &&
+    (!Array.isArray(fixture.models) || fixture.models.some((model) => typeof model !== 'string'))
+  ) {
+    throw new Error('Invalid agent fixture: models must be a list of strings');
+  }
+
+  const sessions = toList(fixture.sessions, 'sessions').map((rawSession, sessionIndex) => {
+    const sessionField = `sessions[${sessionIndex}]`;
+    const session = toMapping(rawSession, sessionField, ['turns']);
+
+    const turns = toList(session.turns, `${sessionField}.turns`).map((rawTurn, turnIndex) => {
+      const turnField = `${sessionField}.turns[${turnIndex}]`;
+      const turn = toMapping(rawTurn, turnField, ['expect', 'steps']);
+      if (turn.expect !== undefined && (typeof turn.expect !== 'string' || !turn.expect.trim())) {
+        throw new Error(`Invalid agent fixture: ${turnField}.expect must be a non-empty string`);
+      }
+
+      return {
+        expect: turn.expect ?? null,
+        steps: toList(turn.steps, `${turnField}.steps`).map((step, stepIndex) =>
+          parseStep(step, `${turnField}.steps[${stepIndex}]`)
+        ),
+      };
+    });
+
+    return { turns };
+  });
+
+  return { models: fixture.models ?? null, sessions };
+}
+
+/**
+ * Describe a tool step the way Copilot reports tool arguments
+ * @param {Object} step - Parsed step
+ * @returns {Object} Tool arguments
+ */
+function getStepArguments(step) {
+  return step.type === 'shell' ? { command: step.command } : { path: step.path };
+}
+
+/**
+ * Apply the effect of a tool step to the working tree
+ * @param {Object} step - Parsed write, delete or shell step
+ * @returns {Promise<Object>} Whether it succeeded and its result
+ */
+async function applyStep(step) {
+  if (step.type === 'shell') {
+    if (!step.run) {
+      return { success: step.exitCode === 0, result: step.output };
+    }
+
+    const { exitCode, stdout, stderr } = await exec.getExecOutput('sh', ['-c', step.command], {
+      ignoreReturnCode: true,
+    });
+    return { success: exitCode === 0, result: [stdout, stderr].join('').trim() };
+  }
+
+  const filePath = path.join(process.cwd(), step.path);
+  if (step.type === 'delete') {
+    fs.rmSync(filePath, { force: true });
+    return { success: true, result: `Deleted ${step.path}` };
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, step.content);
+  return { success: true, result: `Wrote ${step.path}` };
+}
+
+/**
+ * Create a factory for backends that replay a recorded fixture
+ * Every session created takes the next recorded session and every message sent
+ * replays its next turn, so sessions must be recorded in the order the run
+ * opens them. Write and shell steps still go through the permission handler.
+ * @param {Object} script - Script from parseAgentFixture
+ * @returns {Function} Backend factory
+ */
+function createScriptedBackend(script) {
+  let sessionCount = 0;
+  let toolCallCount = 0;
+
+  return async () => ({
+    name: 'scripted',
+    start: async () => {},
+    listModels: script.models ? async () => script.models : undefined,
+    async createSession({ onPermissionRequest } = {}) {
+      const recorded = script.sessions[sessionCount];
+      if (!recorded) {
+        throw new Error(`Agent fixture has no session left (it records ${script.sessions.length})`);
+      }
+
+      sessionCount += 1;
+      const sessionId = `scripted-${sessionCount}`;
+      const handlers = [];
+      const emit = (event) => handlers.forEach((handler) => handler(event));
+      let turnCount = 0;
+      let aborted = false;
+
+      const replayStep = async (step) => {
+        if (step.type === 'message') {
+          emit({ type: 'assistant.message', data: { content: step.content } });
+          return;
+        }
+
+        toolCallCount += 1;
+        const toolCallId = `scripted-call-${toolCallCount}`;
+        emit({
+          type: 'tool.execution_start',
+          data: { toolCallId, toolName: step.type, arguments: getStepArguments(step) },
+        });
+
+        const request =
+          step.type === 'shell'
+            ? { kind: 'shell', fullCommandText: step.command }
+            : { kind: 'write', fileName: step.path };
+        const decision = onPermissionRequest
+          ? await onPermissionRequest(request)
+          : { kind: 'approved' };
+        if (decision?.kind !== 'approved') {
+          emit({
+            type: 'tool.execution_end',
+            data: { toolCallId, toolName: step.type, success: false, error: 'Permission denied' },
+          });
+          return;
+        }
+
+        const outcome = await applyStep(step);
+        emit({ type: 'tool.execution_end', data: { toolCallId, toolName: step.type, ...outcome } });
+      };
+
+      return {
+        sessionId,
+        events: (handler) => handlers.push(handler),
+        async send(message) {
+          const turn = recorded.turns[turnCount];
+          if (!turn) {
+            throw new Error(
+              `Scripted session ${sessionId} has no turn left (it records ${recorded.turns.length})`
+            );
+          }
+
+          turnCount += 1;
+          if (turn.expect && !message.prompt.includes(turn.expect)) {
+            throw new Error(
+              `Scripted session ${sessionId} turn ${turnCount} expected a prompt containing "${turn.expect}"`
+            );
+          }
+
+          logger.info({ sessionId, turn: turnCount, steps: turn.steps.length }, 'Replaying turn');
+          aborted = false;
+          for (const step of turn.steps) {
+            if (aborted) {
+              logger.info({ sessionId, turn: turnCount }, 'Turn aborted');
+              break;
+            }
+            await replayStep(step);
+          }
+        },
+        abort: async () => {
+          aborted = true;
+        },
+        destroy: async () => {},
+      };
+    },
+    stop: async () => {},
+    forceStop: async () => {},
+  });
+}
+
+/**
+ * Load a recorded session fixture from inline YAML or a file in the repository
+ * @param {string} source - Inline YAML, or a repository-relative file path
+ * @returns {Promise<Object>} Script from parseAgentFixture
+ */
+async function loadAgentFixture(source) {
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline agent fixture');
+    return parseAgentFixture(source);
+  }
+
+  const fixturePath = await validateFile(source.trim());
+  logger.info({ fixturePath }, 'Loading agent fixture file');
+  return parseAgentFixture(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+/**
+ * Resolve the backend factory for a run
+ * @param {string} name - Backend name, empty for copilot
+ * @param {string} fixtureSource - Fixture for the scripted backend
+ * @returns {Promise<Function>} Backend factory for runCopilot
+ */
+async function loadAgentBackend(name, fixtureSource) {
+  const backend = name?.trim() || 'copilot';
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Invalid agent_backend: expected one of ${BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'copilot') {
+    return createCopilotBackend;
+  }
+
+  if (!fixtureSource?.trim()) {
+    throw new Error('Invalid agent_backend: scripted requires an agent_fixture');
+  }
+
+  const script = await loadAgentFixture(fixtureSource);
+  logger.info(
+    { backend, sessions: script.sessions.length },
+    'Agent backend replays a recorded fixture'
+  );
+  return createScriptedBackend(script);
+}
+
+export {
+  BACKENDS,
+  createCopilotBackend,
+  parseAgentFixture,
+  createScriptedBackend,
+  loadAgentFixture,
+  loadAgentBackend,
+};
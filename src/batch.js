@@ -0,0 +1,140 @@
+import * as core from '@actions/core';
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { logger } from './logger.js';
+import { validateFile } from './validation.js';
+
+const BATCH_MODES = ['separate', 'combined'];
+
+const GLOB_CHARACTERS = /[*?[\]{}]/;
+
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Check whether a filename input selects several instruction files
+ * @param {string} filename - Value of the filename input
+ * @returns {boolean} True for globs and directories
+ */
+function isBatchPattern(filename) {
+  if (!filename) {
+    return false;
+  }
+
+  if (GLOB_CHARACTERS.test(filename)) {
+    return true;
+  }
+
+  const filePath = path.join(process.cwd(), filename);
+  return fs.existsSync(filePath) && fs.statSync(filePath).isDirectory();
+}
+
+/**
+ * List the files in a directory tree, skipping .git and node_modules
+ * @param {string} root - Directory to walk
+ * @param {string} [prefix] - Repository-relative path of the directory
+ * @returns {string[]} Repository-relative file paths using forward slashes
+ */
+function listFiles(root, prefix = '') {
+  return fs.readdirSync(root, { withFileTypes: true }).flatMap((entry) => {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return SKIPPED_DIRECTORIES.has(entry.name)
+        ? []
+        : listFiles(path.join(root, entry.name), relative);
+    }
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+/**
+ * Resolve a glob or directory to the instruction files it selects
+ * A directory selects the Markdown files directly inside it.
+ * @param {string} pattern - Glob or directory, relative to the repository root
+ * @returns {Promise<string[]>} Sorted repository-relative file paths
+ */
+async function resolveTaskFiles(pattern) {
+  if (path.isAbsolute(pattern)) {
+    throw new Error('Absolute paths are not allowed');
+  }
+
+  if (pattern.includes('..')) {
+    throw new Error('Path traversal detected');
+  }
+
+  const glob = GLOB_CHARACTERS.test(pattern) ? pattern : `${pattern.replace(/\/+$/, '')}/*.md`;
+  const files = listFiles(process.cwd())
+    .filter((file) => minimatch(file, glob, { dot: true }))
+    .sort();
+
+  if (files.length === 0) {
+    throw new Error(`No instruction files match ${pattern}`);
+  }
+
+  for (const file of files) {
+    await validateFile(file);
+  }
+
+  logger.info({ pattern, files }, 'Resolved batch instruction files');
+  return files;
+}
+
+/**
+ * Describe where a task's changes ended up
+ * @param {Object} task - Batch task result
+ * @returns {string} Markdown link, commit or dash
+ */
+function describeTaskOutcome(task) {
+  if (task.prNumber) {
+    return `[#${task.prNumber}](${task.prUrl})`;
+  }
+  if (task.commit) {
+    return `\`${task.commit.slice(0, 7)}\``;
+  }
+  return '—';
+}
+
+/**
+ * Render the per-task status table used in the job summary and combined PR body
+ * @param {Array<Object>} tasks - Batch task results
+ * @returns {string} Markdown table
+ */
+function renderTaskTable(tasks) {
+  const rows = tasks.map((task) => {
+    const error = task.error ? task.error.replace(/\|/g, '\\|').replace(/\n/g, ' ') : '';
+    return `| \`${task.file}\` | ${task.status} | ${describeTaskOutcome(task)} | ${task.files.length} | ${error} |`;
+  });
+
+  return [
+    '| Task | Status | Changes | Files | Error |',
+    '| ---- | ------ | ------- | ----- | ----- |',
+    ...rows,
+  ].join('\n');
+}
+
+/**
+ * Write the per-task status table to the job summary
+ * @param {Array<Object>} tasks - Batch task results
+ * @param {string} mode - Batch mode the tasks ran in
+ * @returns {Promise<void>}
+ */
+async function writeBatchSummary(tasks, mode) {
+  const failed = tasks.filter((task) => task.status === 'failed').length;
+
+  await core.summary
+    .addHeading('Delegate batch', 2)
+    .addRaw(`${tasks.length} tasks in ${mode} mode, ${failed} failed.`, true)
+    .addRaw(renderTaskTable(tasks), true)
+    .write();
+  logger.info({ tasks: tasks.length, failed }, 'Batch summary written');
+}
+
+export {
+  BATCH_MODES,
+  GLOB_CHARACTERS,
+  isBatchPattern,
+  listFiles,
+  resolveTaskFiles,
+  renderTaskTable,
+  writeBatchSummary,
+};
@@ -0,0 +1,234 @@
+import * as core from '@actions/core';
+import * as exec from '@actions/exec';
+import path from 'path';
+import { logger } from './logger.js';
+
+const BRANCH_TOKENS = ['prefix', 'actor', 'slug', 'issue', 'date', 'timestamp'];
+
+const DEFAULT_BRANCH_TEMPLATE = '{{prefix}}-{{timestamp}}';
+
+// Separate batch branches need the task in their name to stay apart
+const DEFAULT_BATCH_BRANCH_TEMPLATE = '{{prefix}}-{{slug}}-{{timestamp}}';
+
+// How many numbered names are tried before giving up on a colliding branch
+const MAX_BRANCH_SUFFIX = 20;
+
+const TOKEN_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Turn a title into a branch-safe slug
+ * @param {string} text - Issue title or file name without extension
+ * @returns {string} Lowercase slug, `task` when nothing is left
+ */
+function slugify(text) {
+  const slug = text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+  return slug || 'task';
+}
+
+/**
+ * Slug of an instruction file's name
+ * @param {string} file - Instruction file path
+ * @returns {string} Slug of the file name without directory or extension
+ */
+function slugifyFile(file) {
+  return slugify(path.basename(file, path.extname(file)));
+}
+
+/**
+ * Validate a branch name template
+ * @param {string} template - Template such as `{{prefix}}/{{issue}}-{{slug}}`
+ * @returns {string} The template
+ */
+function parseBranchTemplate(template) {
+  const tokens = [...template.matchAll(TOKEN_PATTERN)].map((match) => match[1]);
+  const unknown = tokens.filter((token) => !BRANCH_TOKENS.includes(token));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid branch_template: unknown token ${unknown.join(', ')} (expected ${BRANCH_TOKENS.join(', ')})`
+    );
+  }
+
+  if (!tokens.some((token) => token !== 'prefix')) {
+    throw new Error(
+      'Invalid branch_template: it must include a token besides prefix, e.g. {{timestamp}}'
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Check that a rendered name is a valid git branch name
+ * @param {string} name - Branch name
+ * @returns {boolean} True when git accepts the name
+ */
+function isValidBranchName(name) {
+  return (
+    /^[\w./-]+$/.test(name) &&
+    !name.includes('..') &&
+    !name.includes('//') &&
+    !/^[-/.]|[/.]$|\.lock$|\/\./.test(name)
+  );
+}
+
+/**
+ * Fill in a branch name template
+ * Tokens that are empty, like issue outside issue events, leave no stray
+ * separators behind.
+ * @param {string} template - Template from parseBranchTemplate
+ * @param {Object} values - Token values by name
+ * @returns {string} Branch name
+ */
+function renderBranchName(template, values) {
+  const rendered = template.replace(TOKEN_PATTERN, (placeholder, token) =>
+    String(values[token] ?? '')
+      .replace(/[^\w./-]+/g, '-')
+      .replace(/\.{2,}/g, '.')
+  );
+  const name = rendered
+    .split('/')
+    .map((segment) => segment.replace(/-{2,}/g, '-').replace(/^[-.]+|[-.]+$/g, ''))
+    .filter(Boolean)
+    .join('/');
+
+  if (!isValidBranchName(name)) {
+    throw new Error(`Invalid branch_template: "${name}" is not a valid branch name`);
+  }
+
+  return name;
+}
+
+/**
+ * Build the token values shared by every branch of a run
+ * @param {Object} details - Run details
+ * @param {string} details.prefix - Branch prefix
+ * @param {string} details.actor - User who triggered the run
+ * @param {string} details.slug - Slug of the prompt file or issue title
+ * @param {number|null} [details.issue] - Issue number
+ * @param {Date} [details.now] - Time of the run
+ * @returns {Object} Token values for renderBranchName
+ */
+function getBranchValues({ prefix, actor, slug, issue = null, now = new Date() }) {
+  const timestamp = now.toISOString().replace(/[:.]/g, '-');
+  return {
+    prefix,
+    actor: actor.toLowerCase(),
+    slug,
+    issue: issue ?? '',
+    date: timestamp.slice(0, 10),
+    timestamp,
+  };
+}
+
+/**
+ * Check whether a branch exists locally or on the remote
+ * @param {string} name - Branch name
+ * @returns {Promise<boolean>} True when the name is taken
+ */
+async function branchExists(name) {
+  const local = await exec.exec('git', ['rev-parse', '--verify', '--quiet', `refs/heads/${name}`], {
+    ignoreReturnCode: true,
+    silent: true,
+  });
+  if (local === 0) {
+    return true;
+  }
+
+  // ls-remote exits with 2 when no ref matches
+  const remote = await exec.exec('git', ['ls-remote', '--exit-code', '--heads', 'origin', name], {
+    ignoreReturnCode: true,
+    silent: true,
+  });
+  return remote === 0;
+}
+
+/**
+ * Find a free branch name, numbering the name when it is already taken
+ * @param {string} name - Rendered branch name
+ * @returns {Promise<string>} The name, or the name with the first free `-<n>` suffix
+ */
+async function resolveBranchCollision(name) {
+  if (!(await branchExists(name))) {
+    return name;
+  }
+
+  for (let suffix = 2; suffix <= MAX_BRANCH_SUFFIX; suffix++) {
+    const candidate = `${name}-${suffix}`;
+    if (!(await branchExists(candidate))) {
+      logger.warn({ branch: name, candidate }, 'Branch already exists, using a numbered name');
+      core.warning(`Branch ${name} already exists, using ${candidate}`);
+      return candidate;
+    }
+  }
+
+  throw new Error(`Branch ${name} and its numbered variants up to -${MAX_BRANCH_SUFFIX} exist`);
+}
+
+/**
+ * Fetch the base branch into its remote-tracking ref
+ * @param {string} baseBranch - Base branch name
+ * @returns {Promise<string>} Remote-tracking ref, e.g. origin/main
+ */
+async function fetchBase(baseBranch) {
+  const ref = `origin/${baseBranch}`;
+  await exec.exec('git', [
+    'fetch',
+    '-q',
+    'origin',
+    `+refs/heads/${baseBranch}:refs/remotes/${ref}`,
+  ]);
+  return ref;
+}
+
+/**
+ * Read the commit SHA at HEAD
+ * @returns {Promise<string>} Commit SHA
+ */
+async function readHead() {
+  const { stdout } = await exec.getExecOutput('git', ['rev-parse', 'HEAD'], { silent: true });
+  return stdout.trim();
+}
+
+/**
+ * Rebase the current branch onto the latest base branch
+ * A rebase that conflicts is aborted, leaving the branch as it was. Only a rebase
+ * that moved HEAD rewrote history, so only then does the push need to force.
+ * @param {string} baseBranch - Base branch name
+ * @returns {Promise<boolean>} True when the rebase rewrote the branch
+ */
+async function rebaseOntoBase(baseBranch) {
+  const ref = await fetchBase(baseBranch);
+  const before = await readHead();
+  const exitCode = await exec.exec('git', ['rebase', '-q', ref], { ignoreReturnCode: true });
+  if (exitCode === 0) {
+    const rewritten = (await readHead()) !== before;
+    logger.info(
+      { baseBranch, rewritten },
+      rewritten ? 'Rebased onto the base branch' : 'Already up to date with the base branch'
+    );
+    return rewritten;
+  }
+
+  await exec.exec('git', ['rebase', '--abort'], { ignoreReturnCode: true });
+  logger.warn({ baseBranch }, 'Rebase conflicted, pushing without rebasing');
+  core.warning(`Couldn't rebase onto ${baseBranch} without conflicts, pushing without rebasing`);
+  return false;
+}
+
+export {
+  DEFAULT_BRANCH_TEMPLATE,
+  DEFAULT_BATCH_BRANCH_TEMPLATE,
+  slugify,
+  slugifyFile,
+  parseBranchTemplate,
+  renderBranchName,
+  getBranchValues,
+  resolveBranchCollision,
+  fetchBase,
+  rebaseOntoBase,
+};
@@ -0,0 +1,296 @@
+import * as exec from '@actions/exec';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { getDiffStats } from './outputs.js';
+import { denyRequest, splitShellCommands } from './permissions.js';
+import { validateFile } from './validation.js';
+
+const BUDGET_KEYS = ['max-tool-calls', 'max-shell-commands', 'max-files-modified', 'max-minutes'];
+
+const DEFAULT_BUDGETS = {
+  maxToolCalls: null,
+  maxShellCommands: null,
+  maxFilesModified: null,
+  maxMinutes: null,
+};
+
+/**
+ * Ensure a count budget is a positive integer
+ * @param {*} value - Raw value from the budgets document
+ * @param {string} field - Field name used in error messages
+ * @returns {number|null} Validated limit, or null when unset
+ */
+function toCount(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid budgets: ${field} must be a positive integer`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse and validate execution budgets
+ * @param {string} text - YAML budgets document
+ * @returns {Object} Normalized budgets; unset budgets are null
+ */
+function parseBudgets(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid budgets: ${error.message}`, { cause: error });
+  }
+
+  if (raw === null || raw === undefined) {
+    return DEFAULT_BUDGETS;
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid budgets: expected a mapping');
+  }
+
+  const unknownKeys = Object.keys(raw).filter((key) => !BUDGET_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Invalid budgets: unknown keys ${unknownKeys.join(', ')} (expected ${BUDGET_KEYS.join(', ')})`
+    );
+  }
+
+  const maxMinutes = raw['max-minutes'];
+  if (
+    maxMinutes !== undefined &&
+    maxMinutes !== null &&
+    (typeof maxMinutes !== 'number' || !Number.isFinite(maxMinutes) || maxMinutes <= 0)
+  ) {
+    throw new Error('Invalid budgets: max-minutes must be a positive number');
+  }
+
+  return {
+    maxToolCalls: toCount(raw['max-tool-calls'], 'max-tool-calls'),
+    maxShellCommands: toCount(raw['max-shell-commands'], 'max-shell-commands'),
+    maxFilesModified: toCount(raw['max-files-modified'], 'max-files-modified'),
+    maxMinutes: maxMinutes ?? null,
+  };
+}
+
+/**
+ * Load execution budgets from inline YAML or a budgets file in the repository
+ * @param {string} source - Inline YAML, a repository-relative file path, or empty
+ * @returns {Promise<Object|null>} Normalized budgets, or null when none are configured
+ */
+async function loadBudgets(source) {
+  if (!source || !source.trim()) {
+    return null;
+  }
+
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline budgets');
+    return parseBudgets(source);
+  }
+
+  const budgetsPath = await validateFile(source.trim());
+  logger.info({ budgetsPath }, 'Loading budgets file');
+  return parseBudgets(fs.readFileSync(budgetsPath, 'utf8'));
+}
+
+/**
+ * Start tracking a run against its budgets
+ * One tracker is shared by every session of the run, so the limits cover the run as a whole.
+ * @param {Object} budgets - Budgets from loadBudgets
+ * @param {number} [startedAt] - When the run started, in milliseconds
+ * @returns {Object} Budget tracker
+ */
+function createBudgetTracker(budgets, startedAt = Date.now()) {
+  return {
+    budgets,
+    startedAt,
+    toolCalls: 0,
+    shellCommands: 0,
+    files: new Set(),
+    exceeded: null,
+  };
+}
+
+/**
+ * Record the first budget a run exceeds
+ * @param {Object} tracker - Budget tracker
+ * @param {string} budget - Budget key, e.g. max-shell-commands
+ * @param {number} limit - Configured limit
+ * @returns {Object} The exceeded budget
+ */
+function trip(tracker, budget, limit) {
+  if (!tracker.exceeded) {
+    tracker.exceeded = { budget, limit };
+    logger.warn({ budget, limit }, 'Budget exceeded');
+  }
+
+  return tracker.exceeded;
+}
+
+/**
+ * Count a tool execution against the tool call budget
+ * @param {Object} tracker - Budget tracker
+ * @returns {Object|null} The exceeded budget, or null while within budget
+ */
+function recordToolCall(tracker) {
+  tracker.toolCalls += 1;
+  const limit = tracker.budgets.maxToolCalls;
+  return limit !== null && tracker.toolCalls > limit
+    ? trip(tracker, 'max-tool-calls', limit)
+    : null;
+}
+
+/**
+ * Count a permission request against the shell command and modified file budgets
+ * Each command of a chain counts, so `a && b` uses two shell commands. Written
+ * files are tracked by their workspace-relative path, like the paths of a diff.
+ * @param {Object} tracker - Budget tracker
+ * @param {Object} request - Permission request from the session
+ * @returns {Object|null} The exceeded budget, or null while within budget
+ */
+function recordPermissionRequest(tracker, request) {
+  const { maxShellCommands, maxFilesModified } = tracker.budgets;
+
+  if (request.kind === 'shell') {
+    const commandText = request.fullCommandText || request.command || '';
+    tracker.shellCommands += Math.max(1, splitShellCommands(commandText).length);
+    if (maxShellCommands !== null && tracker.shellCommands > maxShellCommands) {
+      return trip(tracker, 'max-shell-commands', maxShellCommands);
+    }
+  }
+
+  const fileName = request.fileName || request.path;
+  const relativePath = fileName && path.relative(process.cwd(), path.resolve(fileName));
+  if (request.kind === 'write' && relativePath && !tracker.files.has(relativePath)) {
+    if (maxFilesModified !== null && tracker.files.size >= maxFilesModified) {
+      return trip(tracker, 'max-files-modified', maxFilesModified);
+    }
+    tracker.files.add(relativePath);
+  }
+
+  return null;
+}
+
+/**
+ * Count the files a turn actually changed against the modified file budget
+ * Shell commands change files without a write request, so after each turn the
+ * working tree is diffed against HEAD. Untracked files are marked intent-to-add
+ * so the diff lists them without staging their content.
+ * @param {Object} tracker - Budget tracker
+ * @returns {Promise<Object|null>} The exceeded budget, or null while within budget
+ */
+async function recordModifiedFiles(tracker) {
+  const { maxFilesModified } = tracker.budgets;
+  if (maxFilesModified === null) {
+    return null;
+  }
+
+  await exec.exec('git', ['add', '-A', '--intent-to-add'], { silent: true });
+  for (const file of await getDiffStats(['HEAD'])) {
+    tracker.files.add(file.path);
+  }
+
+  return tracker.files.size > maxFilesModified
+    ? trip(tracker, 'max-files-modified', maxFilesModified)
+    : null;
+}
+
+/**
+ * Wrap a permission handler so requests over budget are denied
+ * @param {Object} tracker - Budget tracker
+ * @param {Function} handler - Permission handler from createPermissionHandler
+ * @param {Function} onExceeded - Called when a request exceeds a budget
+ * @returns {Function} Async permission handler
+ */
+function guardPermissions(tracker, handler, onExceeded) {
+  return async (request) => {
+    if (tracker.exceeded || recordPermissionRequest(tracker, request)) {
+      onExceeded();
+      return denyRequest(request);
+    }
+
+    return handler(request);
+  };
+}
+
+/**
+ * Shorten a turn timeout to the wall-clock time left in the run
+ * @param {Object} tracker - Budget tracker
+ * @param {number} timeout - Turn timeout in milliseconds
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Timeout in milliseconds
+ */
+function getTurnTimeout(tracker, timeout, now = Date.now()) {
+  const { maxMinutes } = tracker.budgets;
+  if (maxMinutes === null) {
+    return timeout;
+  }
+
+  return Math.max(0, Math.min(timeout, tracker.startedAt + maxMinutes * 60000 - now));
+}
+
+/**
+ * Throw when the run has exceeded a budget or run out of wall-clock time
+ * @param {Object} tracker - Budget tracker
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {void}
+ */
+function assertWithinBudget(tracker, now = Date.now()) {
+  const { maxMinutes } = tracker.budgets;
+  if (maxMinutes !== null && now - tracker.startedAt >= maxMinutes * 60000) {
+    trip(tracker, 'max-minutes', maxMinutes);
+  }
+
+  if (tracker.exceeded) {
+    const { budget, limit } = tracker.exceeded;
+    const error = new Error(`Budget exceeded: ${budget} of ${limit} reached`);
+    error.budget = tracker.exceeded;
+    throw error;
+  }
+}
+
+/**
+ * Report the budgets of a run and what it used
+ * @param {Object} tracker - Budget tracker
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} Limits, usage and the exceeded budget (or null)
+ */
+function summarizeBudgets(tracker, now = Date.now()) {
+  const { budgets } = tracker;
+  return {
+    limits: {
+      max_tool_calls: budgets.maxToolCalls,
+      max_shell_commands: budgets.maxShellCommands,
+      max_files_modified: budgets.maxFilesModified,
+      max_minutes: budgets.maxMinutes,
+    },
+    usage: {
+      tool_calls: tracker.toolCalls,
+      shell_commands: tracker.shellCommands,
+      files_modified: tracker.files.size,
+      minutes: Math.round((now - tracker.startedAt) / 600) / 100,
+    },
+    exceeded: tracker.exceeded,
+  };
+}
+
+export {
+  DEFAULT_BUDGETS,
+  parseBudgets,
+  loadBudgets,
+  createBudgetTracker,
+  recordToolCall,
+  recordPermissionRequest,
+  recordModifiedFiles,
+  guardPermissions,
+  getTurnTimeout,
+  assertWithinBudget,
+  summarizeBudgets,
+};
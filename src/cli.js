@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+import * as exec from '@actions/exec';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+
+const USAGE = `Usage: delegate-action run [options]
+
+Runs a delegation against the local checkout with the same inputs as the action.
+
+Options:
+  -f, --file <path>              Instruction file, glob or directory (filename)
+  -b, --base <branch>            Base branch to start from and target (branch)
+  -m, --model <model>            Copilot model (model)
+      --dry-run                  Write a patch and PR preview instead of pushing (dry_run)
+      --no-pr                    Push the changes without opening a pull request
+      --pipeline <yaml|path>     Pipeline stages (pipeline)
+      --verify <command>         Verification command (verify_command)
+      --permission-policy <yaml|path>
+      --guardrails <yaml|path>
+      --branch-template <template>
+      --actor <login>            GitHub login to credit and assign (default: GITHUB_ACTOR or your user name)
+      --token <token>            Token (default: INPUT_PRIVATE_TOKEN, GH_TOKEN or GITHUB_TOKEN)
+      --allow-dirty              Run even though the working tree has uncommitted changes
+  -i, --input <name=value>       Any other action input, repeatable
+  -h, --help                     Show this help
+
+Inputs can also be set as INPUT_<NAME> environment variables; flags win.`;
+
+// Flags that set an action input directly
+const FLAG_INPUTS = {
+  file: 'filename',
+  base: 'branch',
+  model: 'model',
+  pipeline: 'pipeline',
+  verify: 'verify_command',
+  'permission-policy': 'permission_policy',
+  guardrails: 'guardrails',
+  'branch-template': 'branch_template',
+};
+
+const OPTIONS = {
+  file: { type: 'string', short: 'f' },
+  base: { type: 'string', short: 'b' },
+  model: { type: 'string', short: 'm' },
+  'dry-run': { type: 'boolean' },
+  'no-pr': { type: 'boolean' },
+  pipeline: { type: 'string' },
+  verify: { type: 'string' },
+  'permission-policy': { type: 'string' },
+  guardrails: { type: 'string' },
+  'branch-template': { type: 'string' },
+  actor: { type: 'string' },
+  token: { type: 'string' },
+  'allow-dirty': { type: 'boolean' },
+  input: { type: 'string', short: 'i', multiple: true },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Object} Command, action inputs by name, actor, token and help flag
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (values.help) {
+    return { command: null, inputs: {}, help: true };
+  }
+
+  const [command, ...extra] = positionals;
+  if (command !== 'run' || extra.length > 0) {
+    throw new Error(`Unknown command: ${positionals.join(' ') || '(none)'}`);
+  }
+
+  const inputs = {};
+  for (const entry of values.input ?? []) {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --input "${entry}": expected name=value`);
+    }
+    inputs[entry.slice(0, separator).trim()] = entry.slice(separator + 1);
+  }
+
+  for (const [flag, input] of Object.entries(FLAG_INPUTS)) {
+    if (values[flag] !== undefined) {
+      inputs[input] = values[flag];
+    }
+  }
+  if (values['dry-run']) {
+    inputs.dry_run = 'true';
+  }
+  if (values['no-pr']) {
+    inputs.create_pull_request = 'false';
+  }
+
+  return {
+    command,
+    inputs,
+    actor: values.actor,
+    token: values.token,
+    allowDirty: Boolean(values['allow-dirty']),
+    help: false,
+  };
+}
+
+/**
+ * Read owner/repo from a GitHub remote URL
+ * @param {string} url - HTTPS or SSH remote URL
+ * @returns {string|null} owner/repo, or null for other hosts
+ */
+function parseRepository(url) {
+  const match = url.trim().match(/github\.com[:/]([^/\s]+)\/([^/\s]+?)(?:\.git)?\/?$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Create an empty file unless it already exists
+ * @param {string} filePath - File to create
+ * @returns {string} The path
+ */
+function touch(filePath) {
+  fs.closeSync(fs.openSync(filePath, 'a'));
+  return filePath;
+}
+
+/**
+ * Build the environment a workflow run would provide
+ * Values already in the environment are kept, so a run can still be pointed at
+ * another repository or runner directory.
+ * @param {Object} options - Parsed command line from parseCliArgs
+ * @param {Object} env - Current environment
+ * @returns {Promise<Object>} Variables to add to the environment
+ */
+async function buildEnvironment(options, env) {
+  const token = options.token || env.INPUT_PRIVATE_TOKEN || env.GH_TOKEN || env.GITHUB_TOKEN;
+  if (!token) {
+    throw new Error('Missing token: pass --token or set GH_TOKEN');
+  }
+
+  let repository = env.GITHUB_REPOSITORY;
+  if (!repository) {
+    const { stdout } = await exec.getExecOutput('git', ['remote', 'get-url', 'origin'], {
+      silent: true,
+    });
+    repository = parseRepository(stdout);
+    if (!repository) {
+      throw new Error(
+        "Can't tell the GitHub repository from the origin remote, set GITHUB_REPOSITORY"
+      );
+    }
+  }
+
+  const runnerTemp = env.RUNNER_TEMP || fs.mkdtempSync(path.join(os.tmpdir(), 'delegate-action-'));
+  const variables = {
+    INPUT_PRIVATE_TOKEN: token,
+    GITHUB_REPOSITORY: repository,
+    GITHUB_ACTOR: options.actor || env.GITHUB_ACTOR || os.userInfo().username,
+    GITHUB_EVENT_NAME: env.GITHUB_EVENT_NAME || 'workflow_dispatch',
+    RUNNER_TEMP: runnerTemp,
+    GITHUB_OUTPUT: env.GITHUB_OUTPUT || touch(path.join(runnerTemp, 'outputs.txt')),
+    GITHUB_STEP_SUMMARY: env.GITHUB_STEP_SUMMARY || touch(path.join(runnerTemp, 'summary.md')),
+  };
+
+  for (const [name, value] of Object.entries(options.inputs)) {
+    variables[`INPUT_${name.replace(/ /g, '_').toUpperCase()}`] = value;
+  }
+
+  return variables;
+}
+
+/**
+ * Refuse to run against a working tree with uncommitted or untracked changes
+ * The action commits everything in the tree, and batch runs reset and clean it
+ * between tasks, so local work would be pushed or lost.
+ * @returns {Promise<void>}
+ */
+async function assertCleanTree() {
+  const { stdout } = await exec.getExecOutput('git', ['status', '--porcelain'], { silent: true });
+  if (stdout.trim()) {
+    throw new Error(
+      'The working tree has uncommitted changes, which the run would commit or discard. Commit or stash them, or pass --allow-dirty'
+    );
+  }
+}
+
+/**
+ * Run the CLI
+ * @actions/github reads the GitHub context from the environment when it is
+ * first imported, so the action is only loaded once the environment is set up.
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [env] - Environment to read and extend
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, env = process.env) {
+  let options;
+  let variables;
+  try {
+    options = parseCliArgs(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    variables = await buildEnvironment(options, env);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (!options.allowDirty) {
+    try {
+      await assertCleanTree();
+    } catch (error) {
+      console.error(error.message);
+      return 1;
+    }
+  }
+
+  Object.assign(env, variables);
+  const { run } = await import('./index.js');
+  await run();
+
+  console.log(`Outputs: ${variables.GITHUB_OUTPUT}\nSummary: ${variables.GITHUB_STEP_SUMMARY}`);
+  return process.exitCode ?? 0;
+}
+
+// npx runs the script through a symlink in node_modules/.bin
+if (process.argv[1] && import.meta.url === `file://${fs.realpathSync(process.argv[1])}`) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+export { USAGE, parseCliArgs, parseRepository, buildEnvironment, assertCleanTree, main };
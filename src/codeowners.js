@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { logger } from './logger.js';
+
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Parse a CODEOWNERS file into ordered rules
+ * @param {string} content - CODEOWNERS file content
+ * @returns {Array<Object>} Rules with pattern and owners
+ */
+function parseCodeowners(content) {
+  return content
+    .split('\n')
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners };
+    });
+}
+
+/**
+ * Check whether a file path matches a CODEOWNERS pattern
+ * Follows the gitignore-style rules GitHub uses: a leading slash anchors the
+ * pattern to the repository root, a pattern without a slash matches at any
+ * depth, and a trailing slash matches everything below a directory.
+ * @param {string} file - Repository-relative file path
+ * @param {string} pattern - CODEOWNERS pattern
+ * @returns {boolean} True when the pattern matches
+ */
+function matchesCodeownersPattern(file, pattern) {
+  const trimmed = pattern.replace(/\/$/, '');
+  const anchored = trimmed.startsWith('/') || trimmed.includes('/');
+  let glob = trimmed.replace(/^\//, '');
+
+  if (pattern.endsWith('/')) {
+    glob += '/**';
+  }
+
+  if (!anchored) {
+    glob = `**/${glob}`;
+  }
+
+  return minimatch(file, glob, { dot: true }) || minimatch(file, `${glob}/**`, { dot: true });
+}
+
+/**
+ * Find the owners of a file; the last matching rule wins
+ * @param {Array<Object>} rules - Parsed CODEOWNERS rules
+ * @param {string} file - Repository-relative file path
+ * @returns {string[]} Owners of the file
+ */
+function findOwners(rules, file) {
+  let owners = [];
+  for (const rule of rules) {
+    if (matchesCodeownersPattern(file, rule.pattern)) {
+      owners = rule.owners;
+    }
+  }
+  return owners;
+}
+
+/**
+ * Load the repository's CODEOWNERS rules
+ * @returns {Array<Object>} Parsed rules, empty when there is no CODEOWNERS file
+ */
+function loadCodeowners() {
+  for (const location of CODEOWNERS_LOCATIONS) {
+    const filePath = path.join(process.cwd(), location);
+    if (fs.existsSync(filePath)) {
+      logger.info({ location }, 'Loaded CODEOWNERS');
+      return parseCodeowners(fs.readFileSync(filePath, 'utf8'));
+    }
+  }
+
+  logger.info('No CODEOWNERS file found');
+  return [];
+}
+
+/**
+ * Resolve the reviewers CODEOWNERS assigns to a set of changed files
+ * Email owners are skipped because reviews can only be requested from users and teams.
+ * @param {Array<Object>} rules - Parsed CODEOWNERS rules
+ * @param {string[]} files - Changed file paths
+ * @returns {Object} Users and team slugs to request reviews from
+ */
+function resolveCodeowners(rules, files) {
+  const reviewers = new Set();
+  const teamReviewers = new Set();
+
+  for (const file of files) {
+    for (const owner of findOwners(rules, file)) {
+      if (!owner.startsWith('@')) {
+        continue;
+      }
+
+      const name = owner.slice(1);
+      if (name.includes('/')) {
+        teamReviewers.add(name.split('/')[1]);
+      } else {
+        reviewers.add(name);
+      }
+    }
+  }
+
+  return { reviewers: [...reviewers], teamReviewers: [...teamReviewers] };
+}
+
+export { parseCodeowners, matchesCodeownersPattern, findOwners, loadCodeowners, resolveCodeowners };
@@ -0,0 +1,272 @@
+import * as exec from '@actions/exec';
+import * as github from '@actions/github';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { withRetry } from './retry.js';
+
+const COMMIT_METHODS = ['git', 'api'];
+
+const DEFAULT_IDENTITY = {
+  name: 'github-actions[bot]',
+  email: 'github-actions[bot]@users.noreply.github.com',
+};
+
+const DEFAULT_COMMIT_OPTIONS = {
+  method: 'git',
+  author: DEFAULT_IDENTITY,
+  committer: DEFAULT_IDENTITY,
+  coAuthors: [],
+  token: null,
+};
+
+const CO_AUTHOR_PATTERN = /^(.+?)\s*<([^<>\s]+@[^<>\s]+)>$/;
+
+// Git file modes of the entries the Git Data API can write
+const GIT_MODES = ['100644', '100755', '120000'];
+
+/**
+ * Build a git identity from name and email inputs
+ * @param {string} name - Name input
+ * @param {string} email - Email input
+ * @param {Object} fallback - Identity used for whichever part is empty
+ * @returns {Object} Identity with name and email
+ */
+function toIdentity(name, email, fallback) {
+  const identity = { name: name || fallback.name, email: email || fallback.email };
+  if (!/^[^<>\s]+@[^<>\s]+$/.test(identity.email)) {
+    throw new Error(`Invalid commit identity: "${identity.email}" is not an email address`);
+  }
+  return identity;
+}
+
+/**
+ * Format the Co-authored-by identity of the user who triggered the run
+ * Uses the ID-based noreply address when the event includes the sender's ID.
+ * @param {Object} context - GitHub Actions context
+ * @returns {string} Co-author in "Name <email>" form
+ */
+function getActorCoAuthor(context) {
+  const id = context.payload?.sender?.login === context.actor ? context.payload.sender.id : null;
+  const email = id
+    ? `${id}+${context.actor}@users.noreply.github.com`
+    : `${context.actor}@users.noreply.github.com`;
+  return `${context.actor} <${email}>`;
+}
+
+/**
+ * Validate and normalize the commit inputs
+ * @param {Object} inputs - Raw action inputs
+ * @param {string} inputs.method - git or api
+ * @param {string} inputs.authorName - Author name, defaults to github-actions[bot]
+ * @param {string} inputs.authorEmail - Author email
+ * @param {string} inputs.committerName - Committer name, defaults to the author
+ * @param {string} inputs.committerEmail - Committer email, defaults to the author
+ * @param {string[]} inputs.coAuthors - Extra co-authors in "Name <email>" form
+ * @param {boolean} inputs.creditActor - Add the triggering user as a co-author
+ * @param {string} inputs.token - Token used to create commits through the API
+ * @returns {Object} Commit options for commitAndPush
+ */
+function resolveCommitOptions(inputs) {
+  const method = inputs.method || 'git';
+  if (!COMMIT_METHODS.includes(method)) {
+    throw new Error(`Invalid commit_method: expected one of ${COMMIT_METHODS.join(', ')}`);
+  }
+
+  const author = toIdentity(inputs.authorName, inputs.authorEmail, DEFAULT_IDENTITY);
+  const committer = toIdentity(inputs.committerName, inputs.committerEmail, author);
+
+  const coAuthors = inputs.coAuthors.map((entry) => {
+    const match = entry.match(CO_AUTHOR_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid co_authors entry "${entry}": expected "Name <email>"`);
+    }
+    return `${match[1]} <${match[2]}>`;
+  });
+
+  if (inputs.creditActor) {
+    coAuthors.unshift(getActorCoAuthor(github.context));
+  }
+
+  return { method, author, committer, coAuthors: [...new Set(coAuthors)], token: inputs.token };
+}
+
+/**
+ * Append Co-authored-by trailers to a commit message
+ * They join the message's last paragraph when that is already a trailer block,
+ * since git only reads trailers from the last paragraph.
+ * @param {string} message - Commit message
+ * @param {string[]} coAuthors - Co-authors in "Name <email>" form
+ * @returns {string} Message with a trailer paragraph
+ */
+function addCoAuthorTrailers(message, coAuthors) {
+  if (coAuthors.length === 0) {
+    return message;
+  }
+
+  const trailers = coAuthors.map((coAuthor) => `Co-authored-by: ${coAuthor}`).join('\n');
+  const lastParagraph = message.split('\n\n').at(-1);
+  const endsWithTrailers =
+    message.includes('\n\n') && lastParagraph.split('\n').every((line) => /^[\w-]+: \S/.test(line));
+  return `${message}${endsWithTrailers ? '\n' : '\n\n'}${trailers}`;
+}
+
+/**
+ * List the staged changes against HEAD
+ * @returns {Promise<Array<Object>>} Changed paths with their new mode, null for deletions
+ */
+async function getStagedEntries() {
+  const { stdout } = await exec.getExecOutput(
+    'git',
+    ['diff', '--cached', '--raw', '--no-renames', '-z', 'HEAD'],
+    { silent: true }
+  );
+
+  const fields = stdout.split('\0');
+  const entries = [];
+  for (let index = 0; index + 1 < fields.length; index += 2) {
+    const [, mode, , , status] = fields[index].split(' ');
+    entries.push({ path: fields[index + 1], mode: status === 'D' ? null : mode });
+  }
+  return entries;
+}
+
+/**
+ * Read the commit a branch points to on GitHub
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} branch - Branch name
+ * @returns {Promise<string|null>} Commit SHA, or null when the branch doesn't exist
+ */
+async function getRemoteBranchSha(octokit, branch) {
+  const { owner, repo } = github.context.repo;
+  try {
+    const { data } = await octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` });
+    return data.object.sha;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Commit the staged changes through the Git Data API so GitHub signs the commit
+ * Builds blobs, a tree and a commit on top of HEAD, moves the branch to it and
+ * then resets the local branch to the new commit. Unless a committer other than
+ * the author is configured, none is sent, so GitHub records itself as committer
+ * and marks the commit verified.
+ * @param {string} token - GitHub token
+ * @param {string} message - Commit message
+ * @param {string} branch - Branch to move to the new commit
+ * @param {Object} author - Commit author with name and email
+ * @param {Object} [committer] - Commit committer with name and email, defaults to GitHub
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<string>} SHA of the new commit
+ */
+async function createApiCommit(token, message, branch, author, committer = author, retries = null) {
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+  const parent = (
+    await exec.getExecOutput('git', ['rev-parse', 'HEAD'], { silent: true })
+  ).stdout.trim();
+  const baseTree = (
+    await exec.getExecOutput('git', ['rev-parse', 'HEAD^{tree}'], { silent: true })
+  ).stdout.trim();
+
+  const tree = [];
+  for (const entry of await getStagedEntries()) {
+    if (entry.mode === null) {
+      tree.push({ path: entry.path, mode: '100644', type: 'blob', sha: null });
+      continue;
+    }
+
+    if (!GIT_MODES.includes(entry.mode)) {
+      throw new Error(`Can't commit ${entry.path} through the API (mode ${entry.mode})`);
+    }
+
+    const filePath = path.join(process.cwd(), entry.path);
+    const content =
+      entry.mode === '120000' ? Buffer.from(fs.readlinkSync(filePath)) : fs.readFileSync(filePath);
+    const { data: blob } = await withRetry(
+      'create blob',
+      () =>
+        octokit.rest.git.createBlob({
+          owner,
+          repo,
+          content: content.toString('base64'),
+          encoding: 'base64',
+        }),
+      retries
+    );
+    tree.push({ path: entry.path, mode: entry.mode, type: 'blob', sha: blob.sha });
+  }
+
+  const { data: newTree } = await withRetry(
+    'create tree',
+    () => octokit.rest.git.createTree({ owner, repo, base_tree: baseTree, tree }),
+    retries
+  );
+  const { data: commit } = await withRetry(
+    'create commit',
+    () =>
+      octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: newTree.sha,
+        parents: [parent],
+        author,
+        ...(committer.name === author.name && committer.email === author.email
+          ? {}
+          : { committer }),
+      }),
+    retries
+  );
+
+  try {
+    await withRetry(
+      'update branch',
+      () => octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha }),
+      retries
+    );
+  } catch (error) {
+    if (error.status !== 404 && error.status !== 422) {
+      throw error;
+    }
+    await withRetry(
+      'create branch',
+      async (attempt) => {
+        // A create that failed in transit may have gone through, and repeating it would fail
+        if (attempt > 1 && (await getRemoteBranchSha(octokit, branch)) === commit.sha) {
+          return;
+        }
+        await octokit.rest.git.createRef({
+          owner,
+          repo,
+          ref: `refs/heads/${branch}`,
+          sha: commit.sha,
+        });
+      },
+      retries
+    );
+  }
+
+  await exec.exec('git', ['fetch', '-q', 'origin', branch]);
+  await exec.exec('git', ['reset', '-q', 'FETCH_HEAD']);
+
+  logger.info(
+    { sha: commit.sha, branch, files: tree.length, verified: commit.verification?.verified },
+    'Commit created through the API'
+  );
+  return commit.sha;
+}
+
+export {
+  COMMIT_METHODS,
+  DEFAULT_IDENTITY,
+  DEFAULT_COMMIT_OPTIONS,
+  resolveCommitOptions,
+  addCoAuthorTrailers,
+  createApiCommit,
+};
@@ -0,0 +1,118 @@
+import * as core from '@actions/core';
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { GLOB_CHARACTERS, listFiles } from './batch.js';
+import { logger } from './logger.js';
+import { validateFile } from './validation.js';
+
+// Enough for a handful of design docs and schemas without crowding out the task
+const DEFAULT_CONTEXT_BUDGET = 256 * 1024;
+
+/**
+ * Expand a context entry to the repository files it selects
+ * A directory selects every file below it.
+ * @param {string} entry - File, directory or glob, relative to the repository root
+ * @param {Function} getFiles - Returns every repository file, listed once on first use
+ * @returns {string[]} Sorted repository-relative file paths
+ */
+function expandContextEntry(entry, getFiles) {
+  if (path.isAbsolute(entry)) {
+    throw new Error(`Invalid context: ${entry} is an absolute path`);
+  }
+
+  if (entry.includes('..')) {
+    throw new Error(`Invalid context: ${entry} contains path traversal`);
+  }
+
+  if (GLOB_CHARACTERS.test(entry)) {
+    return getFiles()
+      .filter((file) => minimatch(file, entry, { dot: true }))
+      .sort();
+  }
+
+  const relative = entry.replace(/^\.\/+/, '').replace(/\/+$/, '');
+  const entryPath = path.join(process.cwd(), relative);
+  if (fs.existsSync(entryPath) && fs.statSync(entryPath).isDirectory()) {
+    return getFiles()
+      .filter((file) => file.startsWith(`${relative}/`))
+      .sort();
+  }
+
+  return [relative];
+}
+
+/**
+ * Resolve the context input to the files attached to the sessions
+ * Files are deduplicated and taken in the order given until the byte budget is
+ * spent; files that fail validation or no longer fit are dropped with a reason.
+ * @param {string[]} entries - Files, directories and globs from the context input
+ * @param {Object} [options] - Resolution options
+ * @param {number} [options.budget] - Total bytes that may be attached
+ * @param {string[]} [options.exclude] - Files already attached, such as the instruction file
+ * @returns {Promise<Object|null>} Included and dropped files with the bytes used, or null without entries
+ */
+async function resolveContextFiles(
+  entries,
+  { budget = DEFAULT_CONTEXT_BUDGET, exclude = [] } = {}
+) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  let repositoryFiles = null;
+  const getFiles = () => (repositoryFiles ??= listFiles(process.cwd()));
+
+  const seen = new Set(exclude.map((file) => path.normalize(file)));
+  const files = [];
+  const dropped = [];
+  let bytes = 0;
+
+  for (const entry of entries) {
+    const matches = expandContextEntry(entry, getFiles);
+    if (matches.length === 0) {
+      logger.warn({ entry }, 'Context entry matched no files');
+      core.warning(`Context entry ${entry} matched no files`);
+    }
+
+    for (const match of matches) {
+      const normalized = path.normalize(match);
+      if (seen.has(normalized)) {
+        continue;
+      }
+      seen.add(normalized);
+
+      let filePath;
+      try {
+        filePath = await validateFile(match);
+      } catch (error) {
+        dropped.push({ path: match, size: null, reason: error.message });
+        continue;
+      }
+
+      const relative = path.relative(process.cwd(), filePath);
+      const { size } = fs.statSync(filePath);
+      if (bytes + size > budget) {
+        dropped.push({ path: relative, size, reason: `exceeds the ${budget}-byte context budget` });
+        continue;
+      }
+
+      files.push({ path: relative, size });
+      bytes += size;
+    }
+  }
+
+  logger.info(
+    { files: files.map((file) => file.path), dropped: dropped.length, bytes, budget },
+    'Resolved context files'
+  );
+  if (dropped.length > 0) {
+    core.warning(
+      `Dropped ${dropped.length} context file(s): ${dropped.map((file) => `${file.path} (${file.reason})`).join('; ')}`
+    );
+  }
+
+  return { files, dropped, bytes, budget };
+}
+
+export { DEFAULT_CONTEXT_BUDGET, resolveContextFiles };
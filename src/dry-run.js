@@ -0,0 +1,89 @@
+import * as core from '@actions/core';
+import * as exec from '@actions/exec';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Stage everything in the working tree and collect the resulting diff
+ * @returns {Promise<Object>} Patch text and list of changed files
+ */
+async function collectChanges() {
+  await exec.exec('git', ['add', '-A']);
+
+  const { stdout: patch } = await exec.getExecOutput(
+    'git',
+    ['diff', '--cached', '--binary', 'HEAD'],
+    { silent: true }
+  );
+  const { stdout: names } = await exec.getExecOutput(
+    'git',
+    ['diff', '--cached', '--name-only', 'HEAD'],
+    { silent: true }
+  );
+
+  const files = names.split('\n').filter(Boolean);
+  logger.info({ files: files.length, patchLength: patch.length }, 'Collected working tree changes');
+
+  return { patch, files };
+}
+
+/**
+ * Write a patch to the runner's temporary directory
+ * @param {string} patch - Patch contents
+ * @returns {string} Path of the written patch file
+ */
+function writePatchFile(patch) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const patchPath = path.join(
+    process.env.RUNNER_TEMP || os.tmpdir(),
+    `delegate-${timestamp}.patch`
+  );
+
+  fs.writeFileSync(patchPath, patch);
+  logger.info({ patchPath }, 'Patch file written');
+
+  return patchPath;
+}
+
+/**
+ * Report the changes a dry run would have pushed, as outputs and in the job summary
+ * @param {Object} preview - What would have been published
+ * @param {string} preview.title - Pull request title
+ * @param {string|null} preview.body - Pull request body, or null when no PR would be opened
+ * @returns {Promise<Object>} Patch path and changed files
+ */
+async function writeDryRunReport({ title, body }) {
+  const { patch, files } = await collectChanges();
+  const patchPath = writePatchFile(patch);
+
+  core.setOutput('patch_path', patchPath);
+  core.setOutput('changed_files', JSON.stringify(files));
+  core.setOutput('pr_title', title);
+  if (body) {
+    core.setOutput('pr_body', body);
+  }
+
+  const summary = core.summary
+    .addHeading('Delegate dry run', 2)
+    .addRaw(`Nothing was pushed. The full diff was written to \`${patchPath}\`.`, true)
+    .addHeading(`Changed files (${files.length})`, 3);
+
+  if (files.length > 0) {
+    summary.addList(files.map((file) => `<code>${file}</code>`));
+  } else {
+    summary.addRaw('No changes.', true);
+  }
+
+  if (body) {
+    summary.addHeading('Pull request preview', 3).addRaw(`**${title}**\n\n${body}`, true);
+  }
+
+  await summary.write();
+  logger.info({ patchPath, files: files.length }, 'Dry run report written');
+
+  return { patchPath, files };
+}
+
+export { collectChanges, writePatchFile, writeDryRunReport };
@@ -0,0 +1,128 @@
+import YAML from 'yaml';
+import { logger } from './logger.js';
+
+const FRONTMATTER_PATTERN = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+const TASK_SETTING_KEYS = [
+  'title',
+  'description',
+  'status',
+  'model',
+  'pr-title',
+  'labels',
+  'reviewers',
+  'base-branch',
+  'branch-prefix',
+  'timeout',
+];
+
+/**
+ * Split YAML frontmatter from a Markdown document
+ * @param {string} content - Raw file content
+ * @returns {Object} Parsed attributes and the remaining body
+ */
+function parseFrontmatter(content) {
+  const match = content.match(FRONTMATTER_PATTERN);
+  if (!match) {
+    return { attributes: {}, body: content };
+  }
+
+  let attributes;
+  try {
+    attributes = YAML.parse(match[1]) ?? {};
+  } catch (error) {
+    throw new Error(`Invalid frontmatter: ${error.message}`, { cause: error });
+  }
+
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('Invalid frontmatter: expected a mapping');
+  }
+
+  return { attributes, body: content.slice(match[0].length).replace(/^\s+/, '') };
+}
+
+/**
+ * Normalize a frontmatter value into a list of non-empty strings
+ * Accepts either a YAML list or a comma-separated string.
+ * @param {*} value - Raw frontmatter value
+ * @param {string} key - Frontmatter key used in error messages
+ * @returns {string[]} List of values
+ */
+function toList(value, key) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const items = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+    throw new Error(`Invalid frontmatter: ${key} must be a list of strings`);
+  }
+
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize an optional string frontmatter value
+ * @param {*} value - Raw frontmatter value
+ * @param {string} key - Frontmatter key used in error messages
+ * @returns {string|undefined} Trimmed string
+ */
+function toOptionalString(value, key) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Invalid frontmatter: ${key} must be a non-empty string`);
+  }
+
+  return value.trim();
+}
+
+/**
+ * Normalize and validate a branch prefix
+ * @param {*} value - Raw frontmatter value
+ * @returns {string|undefined} Branch prefix
+ */
+function toBranchPrefix(value) {
+  const prefix = toOptionalString(value, 'branch-prefix');
+  if (prefix !== undefined && (!/^[\w./-]+$/.test(prefix) || prefix.includes('..'))) {
+    throw new Error(
+      'Invalid frontmatter: branch-prefix contains characters not allowed in branch names'
+    );
+  }
+
+  return prefix;
+}
+
+/**
+ * Extract per-task settings from instruction file frontmatter
+ * @param {Object} attributes - Parsed frontmatter attributes
+ * @returns {Object} Task settings; unset keys are undefined
+ */
+function resolveTaskSettings(attributes) {
+  const unknownKeys = Object.keys(attributes).filter((key) => !TASK_SETTING_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    logger.warn({ keys: unknownKeys }, 'Ignoring unknown frontmatter keys');
+  }
+
+  let timeout;
+  if (attributes.timeout !== undefined && attributes.timeout !== null) {
+    timeout = Number(attributes.timeout);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+      throw new Error('Invalid frontmatter: timeout must be a positive number of minutes');
+    }
+  }
+
+  return {
+    model: toOptionalString(attributes.model, 'model'),
+    prTitle: toOptionalString(attributes['pr-title'] ?? attributes.title, 'pr-title'),
+    labels: toList(attributes.labels, 'labels'),
+    reviewers: toList(attributes.reviewers, 'reviewers'),
+    baseBranch: toOptionalString(attributes['base-branch'], 'base-branch'),
+    branchPrefix: toBranchPrefix(attributes['branch-prefix']),
+    timeoutMinutes: timeout,
+  };
+}
+
+export { parseFrontmatter, resolveTaskSettings };
@@ -0,0 +1,280 @@
+import * as core from '@actions/core';
+import * as exec from '@actions/exec';
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { getDiffStats } from './outputs.js';
+import { GITLEAKS_CONFIG, loadSecretRules, scanDiffForSecrets } from './secrets.js';
+import { validateFile } from './validation.js';
+
+const VIOLATION_ACTIONS = ['fail', 'revert'];
+
+const DEFAULT_GUARDRAILS = {
+  protectedPaths: [],
+  maxFiles: null,
+  maxLines: null,
+  maxFileSize: null,
+  blockBinary: false,
+  scanSecrets: true,
+  onViolation: 'fail',
+};
+
+/**
+ * Ensure a guardrail limit is a positive integer
+ * @param {*} value - Raw value from the guardrails document
+ * @param {string} field - Field name used in error messages
+ * @returns {number|null} Validated limit, or null when unset
+ */
+function toLimit(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid guardrails: ${field} must be a positive integer`);
+  }
+
+  return value;
+}
+
+/**
+ * Ensure a guardrail flag is a boolean
+ * @param {*} value - Raw value from the guardrails document
+ * @param {string} field - Field name used in error messages
+ * @param {boolean} fallback - Value when unset
+ * @returns {boolean} Validated flag
+ */
+function toFlag(value, field, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  if (typeof value !== 'boolean') {
+    throw new Error(`Invalid guardrails: ${field} must be true or false`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse and validate a YAML guardrails document
+ * @param {string} text - YAML guardrails document
+ * @returns {Object} Normalized guardrails
+ */
+function parseGuardrails(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid guardrails: ${error.message}`, { cause: error });
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid guardrails: expected a mapping');
+  }
+
+  const protectedPaths = raw['protected-paths'] ?? [];
+  if (!Array.isArray(protectedPaths) || protectedPaths.some((glob) => typeof glob !== 'string')) {
+    throw new Error('Invalid guardrails: protected-paths must be a list of strings');
+  }
+
+  const onViolation = raw['on-violation'] ?? 'fail';
+  if (!VIOLATION_ACTIONS.includes(onViolation)) {
+    throw new Error(
+      `Invalid guardrails: on-violation must be one of ${VIOLATION_ACTIONS.join(', ')}`
+    );
+  }
+
+  return {
+    protectedPaths,
+    maxFiles: toLimit(raw['max-files'], 'max-files'),
+    maxLines: toLimit(raw['max-lines'], 'max-lines'),
+    maxFileSize: toLimit(raw['max-file-size'], 'max-file-size'),
+    blockBinary: toFlag(raw['block-binary'], 'block-binary', false),
+    scanSecrets: toFlag(raw['scan-secrets'], 'scan-secrets', true),
+    onViolation,
+  };
+}
+
+/**
+ * Load guardrails from inline YAML or a guardrails file in the repository
+ * @param {string} source - Inline YAML, a repository-relative file path, or empty
+ * @returns {Promise<Object>} Normalized guardrails
+ */
+async function loadGuardrails(source) {
+  if (!source || !source.trim()) {
+    logger.info('No guardrails configured, only scanning for secrets');
+    return DEFAULT_GUARDRAILS;
+  }
+
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline guardrails');
+    return parseGuardrails(source);
+  }
+
+  const guardrailsPath = await validateFile(source.trim());
+  logger.info({ guardrailsPath }, 'Loading guardrails file');
+  return parseGuardrails(fs.readFileSync(guardrailsPath, 'utf8'));
+}
+
+/**
+ * Stage the working tree and check it against the guardrails
+ * @param {Object} guardrails - Guardrails from loadGuardrails
+ * @returns {Promise<Array<Object>>} Violations, each with rule, file (null for limits) and message
+ */
+async function checkChanges(guardrails) {
+  await exec.exec('git', ['add', '-A']);
+  const files = await getDiffStats(['--cached', 'HEAD']);
+  const violations = [];
+
+  for (const file of files) {
+    const glob = guardrails.protectedPaths.find((pattern) =>
+      minimatch(file.path, pattern, { dot: true })
+    );
+    if (glob) {
+      violations.push({
+        rule: 'protected-path',
+        file: file.path,
+        message: `${file.path} matches protected path ${glob}`,
+      });
+    }
+
+    if (guardrails.blockBinary && file.additions === null) {
+      violations.push({
+        rule: 'binary-file',
+        file: file.path,
+        message: `${file.path} is a binary file`,
+      });
+    }
+
+    const filePath = path.join(process.cwd(), file.path);
+    if (guardrails.maxFileSize && fs.existsSync(filePath)) {
+      const { size } = fs.statSync(filePath);
+      if (size > guardrails.maxFileSize) {
+        violations.push({
+          rule: 'file-size',
+          file: file.path,
+          message: `${file.path} is ${size} bytes (limit ${guardrails.maxFileSize})`,
+        });
+      }
+    }
+  }
+
+  if (guardrails.scanSecrets && files.length > 0) {
+    // The scan uses the committed config, so the agent may not change it either
+    if (files.some((file) => file.path === GITLEAKS_CONFIG)) {
+      violations.push({
+        rule: 'secret',
+        file: GITLEAKS_CONFIG,
+        message: `${GITLEAKS_CONFIG} configures the secret scan and can't be changed by the agent`,
+      });
+    }
+
+    const { stdout: diff } = await exec.getExecOutput(
+      'git',
+      ['diff', '--cached', '-U0', '--no-color', '--no-renames', 'HEAD'],
+      { silent: true }
+    );
+    for (const finding of scanDiffForSecrets(diff, await loadSecretRules('HEAD'))) {
+      violations.push({
+        rule: 'secret',
+        file: finding.file,
+        message: `${finding.file}:${finding.line} looks like a secret (${finding.rule})`,
+      });
+    }
+  }
+
+  if (guardrails.maxFiles && files.length > guardrails.maxFiles) {
+    violations.push({
+      rule: 'max-files',
+      file: null,
+      message: `${files.length} files changed (limit ${guardrails.maxFiles})`,
+    });
+  }
+
+  const lines = files.reduce(
+    (total, file) => total + (file.additions ?? 0) + (file.deletions ?? 0),
+    0
+  );
+  if (guardrails.maxLines && lines > guardrails.maxLines) {
+    violations.push({
+      rule: 'max-lines',
+      file: null,
+      message: `${lines} lines changed (limit ${guardrails.maxLines})`,
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Restore files to their state at HEAD, deleting files that didn't exist there
+ * @param {string[]} files - Repository-relative file paths
+ * @returns {Promise<void>}
+ */
+async function revertFiles(files) {
+  for (const file of files) {
+    await exec.exec('git', ['reset', '-q', 'HEAD', '--', file]);
+
+    const exitCode = await exec.exec('git', ['cat-file', '-e', `HEAD:${file}`], {
+      ignoreReturnCode: true,
+      silent: true,
+    });
+    if (exitCode === 0) {
+      await exec.exec('git', ['checkout', 'HEAD', '--', file]);
+    } else {
+      fs.rmSync(path.join(process.cwd(), file), { force: true });
+    }
+
+    logger.info({ file }, 'Reverted file that violated guardrails');
+  }
+}
+
+/**
+ * Enforce the guardrails on the working tree before it is committed
+ * With on-violation: revert, offending files are restored and the remaining
+ * changes are checked again; change-size limits can't be fixed by reverting a
+ * single file, so they are always blocked.
+ * @param {Object} guardrails - Guardrails from loadGuardrails
+ * @param {boolean} dryRun - Only report violations
+ * @returns {Promise<Array<Object>>} Violations with the action taken: reverted, blocked or reported
+ */
+async function enforceGuardrails(guardrails, dryRun = false) {
+  let violations = await checkChanges(guardrails);
+  let reverted = [];
+
+  if (!dryRun && guardrails.onViolation === 'revert') {
+    const files = [
+      ...new Set(
+        violations.filter((violation) => violation.file).map((violation) => violation.file)
+      ),
+    ];
+    if (files.length > 0) {
+      await revertFiles(files);
+      reverted = violations
+        .filter((violation) => violation.file)
+        .map((violation) => ({ ...violation, action: 'reverted' }));
+      violations = await checkChanges(guardrails);
+    }
+  }
+
+  const action = dryRun ? 'reported' : 'blocked';
+  const report = [...reverted, ...violations.map((violation) => ({ ...violation, action }))];
+
+  for (const violation of report) {
+    core.warning(`Guardrail ${violation.rule} (${violation.action}): ${violation.message}`);
+  }
+
+  if (report.length === 0) {
+    logger.info('Changes passed guardrails');
+  } else {
+    logger.warn({ violations: report }, 'Changes violated guardrails');
+  }
+
+  return report;
+}
+
+export { DEFAULT_GUARDRAILS, parseGuardrails, loadGuardrails, checkChanges, enforceGuardrails };
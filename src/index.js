@@ -3,195 +3,302 @@ import * as exec from '@actions/exec';
 import * as github from '@actions/github';
 import fs from 'fs';
 import path from 'path';
-import sanitizeFilename from 'sanitize-filename';
-import validator from 'validator';
-import pino from 'pino';
-import { getCopilotClient } from './copilot-loader.js';
-
-const logger = pino({
-  level: process.env.LOG_LEVEL || 'info',
-  transport: {
-    target: 'pino-pretty',
-    options: {
-      colorize: false,
-      translateTime: 'SYS:standard',
-      ignore: 'pid,hostname',
-    },
-  },
-});
-
-const MAX_FILE_SIZE = 1024 * 1024;
-
-const PROMPT_INJECTION_PATTERNS = [
-  /ignore\s+(all\s+)?previous\s+(instructions?|prompts?|commands?)/i,
-  /disregard\s+(all\s+)?previous\s+(instructions?|prompts?|commands?)/i,
-  /forget\s+(all\s+)?previous\s+(instructions?|prompts?|commands?)/i,
-  /new\s+(instructions?|prompts?|commands?):/i,
-  /system\s+(prompt|message|instruction):/i,
-  /you\s+are\s+now\s+(a|an)/i,
-  /from\s+now\s+on\s+you\s+(are|will)/i,
-  /\[SYSTEM\]/i,
-  /\[ADMIN\]/i,
-  /\[OVERRIDE\]/i,
-  /<\s*system\s*>/i,
-  /<\s*admin\s*>/i,
-];
+import {
+  BATCH_MODES,
+  isBatchPattern,
+  renderTaskTable,
+  resolveTaskFiles,
+  writeBatchSummary,
+} from './batch.js';
+import {
+  DEFAULT_BATCH_BRANCH_TEMPLATE,
+  DEFAULT_BRANCH_TEMPLATE,
+  fetchBase,
+  getBranchValues,
+  parseBranchTemplate,
+  rebaseOntoBase,
+  renderBranchName,
+  resolveBranchCollision,
+  slugify,
+  slugifyFile,
+} from './branches.js';
+import { loadAgentProfile } from './agents.js';
+import { createCopilotBackend, loadAgentBackend } from './backends.js';
+import {
+  assertWithinBudget,
+  createBudgetTracker,
+  getTurnTimeout,
+  guardPermissions,
+  loadBudgets,
+  recordModifiedFiles,
+  recordToolCall,
+  summarizeBudgets,
+} from './budgets.js';
+import { loadCodeowners, resolveCodeowners } from './codeowners.js';
+import { DEFAULT_CONTEXT_BUDGET, resolveContextFiles } from './context.js';
+import {
+  DEFAULT_COMMIT_OPTIONS,
+  addCoAuthorTrailers,
+  createApiCommit,
+  resolveCommitOptions,
+} from './commits.js';
+import { writeDryRunReport } from './dry-run.js';
+import { parseFrontmatter, resolveTaskSettings } from './frontmatter.js';
+import { enforceGuardrails, loadGuardrails } from './guardrails.js';
+import { loadPipeline, renderStagePrompt, shouldRunStage } from './pipeline.js';
+import {
+  DEFAULT_VERIFY_ATTEMPTS,
+  DEFAULT_VERIFY_TIMEOUT_MINUTES,
+  createVerifier,
+  renderVerification,
+} from './verify.js';
+import {
+  acknowledgeIssue,
+  buildIssueInstructions,
+  getIssueTask,
+  updateIssueProgress,
+} from './issues.js';
+import { logger } from './logger.js';
+import {
+  MESSAGE_POLICY,
+  buildCommitMessagePrompt,
+  buildPullRequestPrompt,
+  getDiffForPrompt,
+  parseCommitMessage,
+  parsePullRequestText,
+} from './messages.js';
+import { createRunResult, getDiffStats, publishRunResult } from './outputs.js';
+import {
+  PULL_REQUEST_MARKER,
+  buildReviewInstructions,
+  fetchReviewComments,
+  getReviewTask,
+  isReviewEvent,
+  isReviewHandled,
+  replyToReview,
+} from './review.js';
+import { DEFAULT_POLICY, createPermissionHandler, loadPermissionPolicy } from './permissions.js';
+import {
+  createTranscript,
+  endSession,
+  recordEvent,
+  startSession,
+  summarizeTranscript,
+  writeTranscript,
+} from './transcript.js';
+import { detectPromptInjection, loadInjectionRules } from './injection.js';
+import { DEFAULT_MAX_RETRIES, createRetryRecorder, withRetry } from './retry.js';
+import { writeJobSummary } from './summary.js';
+import { expandTemplate, getTemplateVariables, loadTemplateVars } from './templates.js';
+import { validateFilename, validateFile } from './validation.js';
+
+const DEFAULT_MODEL = 'gpt-5';
+const DEFAULT_TIMEOUT_MINUTES = 5;
+const DEFAULT_TIMEOUT_MS = DEFAULT_TIMEOUT_MINUTES * 60000;
+const DEFAULT_BRANCH_PREFIX = 'copilot/delegate';
 
 /**
- * Detect and prevent AI prompt injection attempts
- * @param {string} text - Text to validate
- * @returns {Object} Validation result with isValid and reason
+ * Ensure the requested model is offered by the Copilot client
+ * Validation is skipped when the client cannot list its models.
+ * @param {Object} client - Started Copilot client
+ * @param {string} model - Requested model ID
+ * @returns {Promise<void>}
  */
-function detectPromptInjection(text) {
-  if (!text || typeof text !== 'string') {
-    return { isValid: false, reason: 'Invalid input: text must be a non-empty string' };
+async function validateModel(client, model) {
+  if (typeof client.listModels !== 'function') {
+    logger.debug('Agent backend cannot list models, skipping model validation');
+    return;
   }
 
-  for (const pattern of PROMPT_INJECTION_PATTERNS) {
-    if (pattern.test(text)) {
-      logger.warn({ pattern: pattern.source }, 'Potential prompt injection attempt detected');
-      return {
-        isValid: false,
-        reason: 'Instruction contains patterns that could manipulate AI behavior',
-      };
-    }
+  let models;
+  try {
+    models = await client.listModels();
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Failed to list Copilot models, skipping validation');
+    return;
   }
 
-  const suspiciousCharCount = (text.match(/[<>{}[\]]/g) || []).length;
-  if (suspiciousCharCount > text.length * 0.1) {
-    return {
-      isValid: false,
-      reason: 'Excessive use of special characters detected',
-    };
+  const available = models.map((entry) => (typeof entry === 'string' ? entry : entry.id));
+  if (!available.includes(model)) {
+    throw new Error(
+      `Model "${model}" is not available. Available models: ${available.join(', ') || 'none'}`
+    );
   }
 
-  return { isValid: true };
+  logger.info({ model }, 'Model validated');
 }
 
 /**
- * Validate and sanitize a filename
- * @param {string} filename - The filename to sanitize
- * @returns {string} Sanitized filename
+ * Parse a timeout input expressed in minutes
+ * @param {string} name - Input name
+ * @param {number} fallback - Minutes to use when the input is empty
+ * @returns {number} Timeout in milliseconds
  */
-function validateFilename(filename) {
-  if (!filename || !validator.isLength(filename, { min: 1, max: 255 })) {
-    throw new Error('Filename must be between 1 and 255 characters');
-  }
-
-  // Check for absolute paths and path traversal BEFORE sanitization
-  if (path.isAbsolute(filename)) {
-    throw new Error('Absolute paths are not allowed');
+function getTimeoutInput(name, fallback = DEFAULT_TIMEOUT_MINUTES) {
+  const value = core.getInput(name, { required: false });
+  if (!value) {
+    return fallback * 60000;
   }
 
-  if (filename.includes('..')) {
-    throw new Error('Path traversal detected');
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error(`Input ${name} must be a positive number of minutes (got "${value}")`);
   }
 
-  const sanitized = sanitizeFilename(filename, { replacement: '_' });
-
-  if (sanitized !== filename) {
-    logger.warn({ original: filename, sanitized }, 'Filename was sanitized');
-  }
-
-  return sanitized;
+  return minutes * 60000;
 }
 
 /**
- * Validate file safety before reading
- * @param {string} filename - The filename to validate
- * @returns {Promise<string>} Resolved file path
+ * Run a Copilot session with instructions on the agent backend
+ * @param {string} token - GitHub token
+ * @param {string} instructions - Instructions to follow
+ * @param {string|null} instructionFile - Optional file path to attach as context
+ * @param {Object} options - Session options
+ * @param {Object} options.policy - Permission policy applied to tool requests
+ * @param {Array<Object>} options.denials - Collector for denied permission requests
+ * @param {string} options.model - Model to use for the session
+ * @param {number} options.timeout - Timeout in milliseconds to wait for the session to finish
+ * @param {Object} [options.transcript] - Transcript the session events are recorded into
+ * @param {string} [options.phase] - Workflow phase, used to label the session in the transcript
+ * @param {Object} [options.injectionRules] - Repository prompt-injection rules
+ * @param {string} [options.source] - Where the instructions came from, reported with injection findings
+ * @param {Function} [options.followUp] - Called after each turn; a returned prompt is sent to the same session
+ * @param {Function} [options.backend] - Agent backend factory, the Copilot SDK by default
+ * @param {Object} [options.agent] - Custom agent profile from loadAgentProfile
+ * @param {Array<Object>} [options.context] - Context files from resolveContextFiles, attached to the first message
+ * @param {Object} [options.budget] - Budget tracker from createBudgetTracker, shared by the run's sessions
+ * @param {Object} [options.retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<string>} Content of the last assistant message
  */
-async function validateFile(filename) {
-  logger.info({ filename }, 'Validating file');
+async function runCopilot(token, instructions, instructionFile = null, options = {}) {
+  const {
+    policy = DEFAULT_POLICY,
+    denials = [],
+    model = DEFAULT_MODEL,
+    timeout = DEFAULT_TIMEOUT_MS,
+    transcript = null,
+    phase = 'session',
+    injectionRules,
+    source = 'instructions',
+    followUp = null,
+    backend = createCopilotBackend,
+    agent = null,
+    context = [],
+    budget = null,
+    retries = null,
+  } = options;
 
-  const sanitizedFilename = validateFilename(filename);
-  const filePath = path.join(process.cwd(), sanitizedFilename);
-
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`File not found: ${sanitizedFilename}`);
+  const inputs = [{ source, text: instructions }];
+  if (instructionFile) {
+    inputs.push({
+      source: path.basename(instructionFile),
+      text: fs.readFileSync(instructionFile, 'utf8'),
+    });
   }
-
-  const stats = fs.statSync(filePath);
-  if (stats.size > MAX_FILE_SIZE) {
-    throw new Error(
-      `File ${sanitizedFilename} exceeds maximum size of ${MAX_FILE_SIZE} bytes (actual: ${stats.size} bytes)`
-    );
+  if (agent) {
+    inputs.push({ source: path.basename(agent.path), text: agent.instructions });
   }
-
-  if (!stats.isFile()) {
-    throw new Error(`Path ${sanitizedFilename} is not a file`);
+  for (const file of context) {
+    inputs.push({ source: file.path, text: fs.readFileSync(file.path, 'utf8') });
   }
 
-  logger.info({ filePath, size: stats.size }, 'File validated successfully');
-  return filePath;
-}
+  for (const input of inputs) {
+    const injectionCheck = detectPromptInjection(input.text, {
+      rules: injectionRules,
+      source: input.source,
+    });
+    if (!injectionCheck.isValid) {
+      logger.error(
+        { source: input.source, reason: injectionCheck.reason, findings: injectionCheck.findings },
+        'Prompt injection detected'
+      );
+      const error = new Error(`Security: ${injectionCheck.reason}`);
+      error.findings = injectionCheck.findings;
+      throw error;
+    }
+  }
 
-/**
- * Run GitHub Copilot SDK with instructions
- * @param {string} token - GitHub token
- * @param {string} instructions - Instructions to follow
- * @param {string|null} instructionFile - Optional file path to attach as context
- * @returns {Promise<void>}
- */
-async function runCopilot(token, instructions, instructionFile = null) {
-  const injectionCheck = detectPromptInjection(instructions);
-  if (!injectionCheck.isValid) {
-    logger.error({ reason: injectionCheck.reason }, 'Prompt injection detected');
-    throw new Error(`Security: ${injectionCheck.reason}`);
+  if (budget) {
+    assertWithinBudget(budget);
   }
 
-  logger.info('Initializing GitHub Copilot SDK');
+  const client = await backend();
 
-  const CopilotClient = await getCopilotClient();
+  let record = null;
+  let reply = '';
+  let sessionError = null;
+  let toolStarted = false;
+  let session = null;
 
-  const client = new CopilotClient({
-    logLevel: 'info',
-    autoStart: true,
-    autoRestart: true,
-  });
+  // Budgets trip inside event and permission callbacks, so the turn is stopped from there
+  const abortTurn = () => {
+    logger.warn({ budget: budget.exceeded }, 'Aborting the session turn');
+    Promise.resolve(session?.abort()).catch((error) => {
+      logger.error({ error: error.message }, 'Failed to abort the session turn');
+    });
+  };
 
   try {
-    await client.start();
+    await withRetry('start Copilot', () => client.start(), retries);
     logger.info('Copilot client started successfully');
 
-    const session = await client.createSession({
-      model: 'gpt-5',
-      streaming: true,
-      onPermissionRequest: async (request) => {
-        logger.info({ requestKind: request.kind }, 'Permission requested');
-
-        switch (request.kind) {
-          case 'read':
-            return { kind: 'approved' };
-          case 'write':
-            return { kind: 'approved' };
-          case 'shell':
-            return { kind: 'approved' };
-          default:
-            logger.warn({ requestKind: request.kind }, 'Unknown permission request kind');
-            return { kind: 'approved' };
-        }
-      },
-    });
+    await validateModel(client, model);
+
+    const permissionHandler = createPermissionHandler(policy, denials);
+    const sessionOptions = {
+      model,
+      onPermissionRequest: budget
+        ? guardPermissions(budget, permissionHandler, abortTurn)
+        : permissionHandler,
+    };
+    if (agent) {
+      sessionOptions.systemMessage = { mode: 'append', content: agent.instructions };
+      sessionOptions.mcpServers = agent.mcpServers;
+    }
+
+    session = await withRetry(
+      'create Copilot session',
+      () => client.createSession(sessionOptions),
+      retries
+    );
+
+    logger.info({ sessionId: session.sessionId, model, agent: agent?.name }, 'Session created');
+
+    if (transcript) {
+      record = startSession(transcript, {
+        phase,
+        sessionId: session.sessionId,
+        model,
+        prompt: instructions,
+      });
+    }
 
-    logger.info({ sessionId: session.sessionId }, 'Session created');
+    session.events((event) => {
+      if (record) {
+        recordEvent(record, event);
+      }
 
-    session.on((event) => {
       switch (event.type) {
         case 'assistant.message_delta':
           process.stdout.write(event.data.deltaContent);
           break;
         case 'assistant.message':
+          reply = event.data?.content ?? reply;
           logger.info('Assistant response completed');
           break;
         case 'tool.execution_start':
+          toolStarted = true;
           logger.info({ toolName: event.data.toolName }, 'Tool execution started');
+          if (budget && recordToolCall(budget)) {
+            abortTurn();
+          }
           break;
         case 'tool.execution_end':
           logger.info({ toolName: event.data.toolName }, 'Tool execution completed');
           break;
         case 'session.error':
           logger.error({ error: event.data.message }, 'Session error');
+          sessionError = new Error(`Copilot session error: ${event.data.message}`);
           break;
       }
     });
@@ -200,26 +307,77 @@ async function runCopilot(token, instructions, instructionFile = null) {
       prompt: instructions,
     };
 
+    const attachments = context.map((file) => ({
+      type: 'file',
+      path: path.join(process.cwd(), file.path),
+      displayName: file.path,
+    }));
     if (instructionFile) {
-      messageOptions.attachments = [
-        {
-          type: 'file',
-          path: instructionFile,
-          displayName: path.basename(instructionFile),
-        },
-      ];
+      attachments.unshift({
+        type: 'file',
+        path: instructionFile,
+        displayName: path.basename(instructionFile),
+      });
     }
+    if (attachments.length > 0) {
+      messageOptions.attachments = attachments;
+    }
+
+    // A turn that reported a session error failed even though the send resolved;
+    // an exceeded budget takes precedence over whatever the aborted turn reported.
+    // Resending the prompt after a tool ran would repeat what the tools already
+    // did, so only a turn that failed before its first tool call is retried.
+    const sendTurn = (message) =>
+      withRetry(
+        `${phase} turn`,
+        async () => {
+          sessionError = null;
+          toolStarted = false;
+          let error = null;
+          try {
+            await session.send(message, budget ? getTurnTimeout(budget, timeout) : timeout);
+          } catch (sendError) {
+            error = sendError;
+          }
+          if (budget) {
+            await recordModifiedFiles(budget);
+            assertWithinBudget(budget);
+          }
+          error ??= sessionError;
+          if (error) {
+            if (toolStarted) {
+              error.retryable = false;
+            }
+            throw error;
+          }
+        },
+        retries
+      );
 
-    logger.info({ instructionsLength: instructions.length }, 'Sending message to Copilot');
-    await session.sendAndWait(messageOptions, 300000);
+    logger.info({ instructionsLength: instructions.length, timeout }, 'Sending message to Copilot');
+    await sendTurn(messageOptions);
+
+    let followUpPrompt = followUp ? await followUp() : null;
+    while (followUpPrompt) {
+      logger.info({ promptLength: followUpPrompt.length }, 'Sending follow-up to Copilot');
+      await sendTurn({ prompt: followUpPrompt });
+      followUpPrompt = await followUp();
+    }
 
     logger.info('Copilot execution completed successfully');
+    if (record) {
+      endSession(record);
+    }
 
     await session.destroy();
     await client.stop();
+    return reply;
   } catch (error) {
     logger.error({ error: error.message, stack: error.stack }, 'Copilot SDK execution failed');
     core.warning(`Copilot SDK execution failed: ${error.message}`);
+    if (record) {
+      endSession(record, error);
+    }
 
     try {
       await client.forceStop();
@@ -232,38 +390,82 @@ async function runCopilot(token, instructions, instructionFile = null) {
 }
 
 /**
- * Create a new branch
+ * Create a new branch from the latest commit of the base branch
+ * The base is fetched first, so the branch never starts from whatever ref the
+ * checkout step left behind.
  * @param {string} branchName - Name of the branch to create
+ * @param {string} baseBranch - Branch to start from
  * @returns {Promise<void>}
  */
-async function createBranch(branchName) {
-  logger.info({ branchName }, 'Creating new branch');
+async function createBranch(branchName, baseBranch) {
+  logger.info({ branchName, baseBranch }, 'Creating new branch');
 
-  try {
-    await exec.exec('git', ['checkout', '-b', branchName]);
-    logger.info({ branchName }, 'Branch created successfully');
-  } catch (error) {
-    logger.warn({ branchName, error: error.message }, 'Failed to create branch, trying checkout');
-    await exec.exec('git', ['checkout', branchName], { ignoreReturnCode: true });
-  }
+  const baseRef = await fetchBase(baseBranch);
+  await exec.exec('git', ['checkout', '-q', '-b', branchName, baseRef]);
+  logger.info({ branchName, baseRef }, 'Branch created successfully');
+}
+
+/**
+ * Check out an existing branch from the remote
+ * @param {string} branchName - Name of the branch to check out
+ * @returns {Promise<void>}
+ */
+async function checkoutBranch(branchName) {
+  logger.info({ branchName }, 'Checking out existing branch');
+
+  await exec.exec('git', ['fetch', 'origin', branchName]);
+  await exec.exec('git', ['checkout', '-B', branchName, `origin/${branchName}`]);
+
+  logger.info({ branchName }, 'Branch checked out successfully');
+}
+
+/**
+ * Get the commit SHA at HEAD
+ * @returns {Promise<string>} Commit SHA
+ */
+async function getHeadSha() {
+  const { stdout } = await exec.getExecOutput('git', ['rev-parse', 'HEAD'], { silent: true });
+  return stdout.trim();
+}
+
+/**
+ * Stage the working tree and get the hash of the resulting tree
+ * @returns {Promise<string>} Tree SHA, which changes whenever the staged content does
+ */
+async function getStagedTree() {
+  await exec.exec('git', ['add', '-A']);
+  const { stdout } = await exec.getExecOutput('git', ['write-tree'], { silent: true });
+  return stdout.trim();
+}
+
+/**
+ * Discard uncommitted changes, including untracked files
+ * @returns {Promise<void>}
+ */
+async function resetWorkingTree() {
+  await exec.exec('git', ['reset', '-q', '--hard', 'HEAD']);
+  await exec.exec('git', ['clean', '-fdq']);
 }
 
 /**
  * Commit and push changes
+ * With the api method the commit is created through the Git Data API instead
+ * of git commit and git push, so GitHub signs it.
  * @param {string} message - Commit message
  * @param {string} branch - Branch to push to
- * @returns {Promise<void>}
+ * @param {Object} [commitOptions] - Commit method, identities and co-authors from resolveCommitOptions;
+ *   with rebaseOnto set, git commits are rebased onto that base branch before the push
+ * @returns {Promise<boolean>} True when a commit was pushed, false when there was nothing to commit
+ * @throws {Error} When the commit, rebase or push fails, so the run is not reported as unchanged
  */
-async function commitAndPush(message, branch) {
-  logger.info({ branch, message }, 'Committing and pushing changes');
+async function commitAndPush(message, branch, commitOptions = DEFAULT_COMMIT_OPTIONS) {
+  const { method, author, committer, coAuthors, token, rebaseOnto, retries } = commitOptions;
+  const fullMessage = addCoAuthorTrailers(message, coAuthors);
+  logger.info({ branch, message: fullMessage, method }, 'Committing and pushing changes');
 
   try {
-    await exec.exec('git', ['config', 'user.name', 'github-actions[bot]']);
-    await exec.exec('git', [
-      'config',
-      'user.email',
-      'github-actions[bot]@users.noreply.github.com',
-    ]);
+    await exec.exec('git', ['config', 'user.name', committer.name]);
+    await exec.exec('git', ['config', 'user.email', committer.email]);
 
     await exec.exec('git', ['add', '.']);
 
@@ -273,16 +475,35 @@ async function commitAndPush(message, branch) {
 
     const hasChanges = exitCode !== 0;
 
+    if (hasChanges && method === 'api') {
+      await createApiCommit(token, fullMessage, branch, author, committer, retries);
+      logger.info({ branch }, 'Changes committed through the API successfully');
+      return true;
+    }
+
     if (hasChanges) {
-      await exec.exec('git', ['commit', '-m', message]);
-      await exec.exec('git', ['push', '-u', 'origin', branch]);
+      const authorArgs =
+        author.name === committer.name && author.email === committer.email
+          ? []
+          : ['--author', `${author.name} <${author.email}>`];
+      await exec.exec('git', ['commit', '-m', fullMessage, ...authorArgs]);
+      const rebased = rebaseOnto ? await rebaseOntoBase(rebaseOnto) : false;
+      await exec.exec('git', [
+        'push',
+        ...(rebased ? ['--force-with-lease'] : []),
+        '-u',
+        'origin',
+        branch,
+      ]);
       logger.info({ branch }, 'Changes committed and pushed successfully');
-    } else {
-      logger.info('No changes to commit');
+      return true;
     }
+
+    logger.info('No changes to commit');
+    return false;
   } catch (error) {
     logger.error({ error: error.message }, 'Commit/push failed');
-    core.warning(`Commit/push failed: ${error.message}`);
+    throw new Error(`Commit/push failed: ${error.message}`, { cause: error });
   }
 }
 
@@ -293,23 +514,55 @@ async function commitAndPush(message, branch) {
  * @param {string} baseBranch - Base branch
  * @param {string} title - PR title
  * @param {string} body - PR body
+ * @param {boolean} draft - Open the PR as a draft
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
  * @returns {Promise<number|null>} PR number or null
  */
-async function createPullRequest(token, branch, baseBranch, title, body) {
-  logger.info({ branch, baseBranch, title }, 'Creating pull request');
+async function createPullRequest(
+  token,
+  branch,
+  baseBranch,
+  title,
+  body,
+  draft = false,
+  retries = null
+) {
+  logger.info({ branch, baseBranch, title, draft }, 'Creating pull request');
 
   try {
     const octokit = github.getOctokit(token);
     const { context } = github;
 
-    const { data: pr } = await octokit.rest.pulls.create({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      title: title,
-      body: body,
-      head: branch,
-      base: baseBranch,
-    });
+    const pr = await withRetry(
+      'create pull request',
+      async (attempt) => {
+        // A create that failed in transit may have gone through, and repeating it would fail
+        if (attempt > 1) {
+          const { data: open } = await octokit.rest.pulls.list({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            head: `${context.repo.owner}:${branch}`,
+            base: baseBranch,
+            state: 'open',
+          });
+          if (open.length > 0) {
+            return open[0];
+          }
+        }
+
+        const { data } = await octokit.rest.pulls.create({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          title: title,
+          body: body,
+          head: branch,
+          base: baseBranch,
+          draft,
+        });
+        return data;
+      },
+      retries
+    );
 
     logger.info({ prNumber: pr.number, prUrl: pr.html_url }, 'Pull request created successfully');
     return pr.number;
@@ -321,112 +574,1478 @@ async function createPullRequest(token, branch, baseBranch, title, body) {
 }
 
 /**
- * Assign the PR to the actor
+ * Build the web URL of a pull request in the current repository
+ * @param {number} prNumber - PR number
+ * @returns {string} Pull request URL
+ */
+function getPullRequestUrl(prNumber) {
+  const { context } = github;
+  const serverUrl = context.serverUrl || 'https://github.com';
+  return `${serverUrl}/${context.repo.owner}/${context.repo.repo}/pull/${prNumber}`;
+}
+
+/**
+ * Assign the PR to the actor and any extra assignees
  * @param {string} token - GitHub token
  * @param {number} prNumber - PR number
+ * @param {string[]} extraAssignees - Additional users to assign
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
  * @returns {Promise<void>}
  */
-async function assignPR(token, prNumber) {
+async function assignPR(token, prNumber, extraAssignees = [], retries = null) {
   logger.info({ prNumber }, 'Assigning PR to actor');
 
   try {
     const octokit = github.getOctokit(token);
     const { context } = github;
+    const assignees = [...new Set([context.actor, ...extraAssignees])];
 
-    await octokit.rest.issues.addAssignees({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      issue_number: prNumber,
-      assignees: [context.actor],
-    });
+    await withRetry(
+      'assign pull request',
+      () =>
+        octokit.rest.issues.addAssignees({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: prNumber,
+          assignees,
+        }),
+      retries
+    );
 
-    logger.info({ prNumber, actor: context.actor }, 'PR assigned successfully');
+    logger.info({ prNumber, assignees }, 'PR assigned successfully');
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to assign PR');
     core.warning(`Failed to assign PR: ${error.message}`);
   }
 }
 
+/**
+ * Add labels to the PR
+ * @param {string} token - GitHub token
+ * @param {number} prNumber - PR number
+ * @param {string[]} labels - Labels to add
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<void>}
+ */
+async function addLabels(token, prNumber, labels, retries = null) {
+  if (labels.length === 0) {
+    return;
+  }
+
+  logger.info({ prNumber, labels }, 'Adding labels to PR');
+
+  try {
+    const octokit = github.getOctokit(token);
+    const { context } = github;
+
+    await withRetry(
+      'add labels',
+      () =>
+        octokit.rest.issues.addLabels({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: prNumber,
+          labels,
+        }),
+      retries
+    );
+
+    logger.info({ prNumber, labels }, 'Labels added successfully');
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to add labels');
+    core.warning(`Failed to add labels: ${error.message}`);
+  }
+}
+
+/**
+ * Request reviews on the PR
+ * When the combined request is rejected (e.g. one reviewer lacks access), each
+ * reviewer is retried on its own so a single bad entry doesn't drop the rest.
+ * @param {string} token - GitHub token
+ * @param {number} prNumber - PR number
+ * @param {string[]} reviewers - Users to request a review from
+ * @param {string[]} teamReviewers - Team slugs to request a review from
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<void>}
+ */
+async function requestReviewers(token, prNumber, reviewers, teamReviewers = [], retries = null) {
+  if (reviewers.length === 0 && teamReviewers.length === 0) {
+    return;
+  }
+
+  logger.info({ prNumber, reviewers, teamReviewers }, 'Requesting PR reviewers');
+
+  const octokit = github.getOctokit(token);
+  const { context } = github;
+  const request = (users, teams) =>
+    withRetry(
+      'request reviewers',
+      () =>
+        octokit.rest.pulls.requestReviewers({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          pull_number: prNumber,
+          reviewers: users,
+          team_reviewers: teams,
+        }),
+      retries
+    );
+
+  try {
+    await request(reviewers, teamReviewers);
+    logger.info({ prNumber, reviewers, teamReviewers }, 'Reviewers requested successfully');
+    return;
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Failed to request reviewers, retrying individually');
+  }
+
+  const entries = [
+    ...reviewers.map((name) => ({ name, users: [name], teams: [] })),
+    ...teamReviewers.map((name) => ({ name, users: [], teams: [name] })),
+  ];
+
+  for (const entry of entries) {
+    try {
+      await request(entry.users, entry.teams);
+      logger.info({ prNumber, reviewer: entry.name }, 'Reviewer requested successfully');
+    } catch (error) {
+      logger.error({ reviewer: entry.name, error: error.message }, 'Failed to request reviewer');
+      core.warning(`Failed to request review from ${entry.name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Set the PR milestone
+ * @param {string} token - GitHub token
+ * @param {number} prNumber - PR number
+ * @param {string} milestone - Milestone number or title
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<void>}
+ */
+async function setMilestone(token, prNumber, milestone, retries = null) {
+  if (!milestone) {
+    return;
+  }
+
+  logger.info({ prNumber, milestone }, 'Setting PR milestone');
+
+  try {
+    const octokit = github.getOctokit(token);
+    const { context } = github;
+    const repo = { owner: context.repo.owner, repo: context.repo.repo };
+
+    let milestoneNumber = /^\d+$/.test(milestone) ? Number(milestone) : null;
+    if (milestoneNumber === null) {
+      const milestones = await withRetry(
+        'list milestones',
+        () => octokit.paginate(octokit.rest.issues.listMilestones, { ...repo, state: 'open' }),
+        retries
+      );
+      const match = milestones.find((entry) => entry.title === milestone);
+      if (!match) {
+        throw new Error(`No open milestone titled "${milestone}"`);
+      }
+      milestoneNumber = match.number;
+    }
+
+    await withRetry(
+      'set milestone',
+      () =>
+        octokit.rest.issues.update({ ...repo, issue_number: prNumber, milestone: milestoneNumber }),
+      retries
+    );
+
+    logger.info({ prNumber, milestone: milestoneNumber }, 'Milestone set successfully');
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to set milestone');
+    core.warning(`Failed to set milestone: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve reviewers from CODEOWNERS for the files changed in the PR
+ * @param {string} token - GitHub token
+ * @param {number} prNumber - PR number
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<Object>} Users and team slugs owning the changed files
+ */
+async function resolveCodeownerReviewers(token, prNumber, retries = null) {
+  const empty = { reviewers: [], teamReviewers: [] };
+
+  try {
+    const rules = loadCodeowners();
+    if (rules.length === 0) {
+      return empty;
+    }
+
+    const octokit = github.getOctokit(token);
+    const { context } = github;
+
+    const files = await withRetry(
+      'list pull request files',
+      () =>
+        octokit.paginate(octokit.rest.pulls.listFiles, {
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          pull_number: prNumber,
+        }),
+      retries
+    );
+
+    const owners = resolveCodeowners(
+      rules,
+      files.map((file) => file.filename)
+    );
+    logger.info({ prNumber, ...owners }, 'Resolved CODEOWNERS reviewers');
+    return owners;
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to resolve CODEOWNERS reviewers');
+    core.warning(`Failed to resolve CODEOWNERS reviewers: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Read a comma- or newline-separated list input
+ * @param {string} name - Input name
+ * @returns {string[]} List of values
+ */
+function getListInput(name) {
+  return core
+    .getInput(name, { required: false })
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Surface denied permission requests in the job output
+ * @param {Array<Object>} denials - Denied permission requests
+ * @returns {void}
+ */
+function reportDenials(denials) {
+  core.setOutput('permission_denials', JSON.stringify(denials));
+
+  for (const denial of denials) {
+    core.warning(`Permission denied (${denial.kind}): ${denial.reason}`);
+  }
+
+  if (denials.length > 0) {
+    logger.warn({ count: denials.length }, 'Copilot permission requests were denied');
+  }
+}
+
+/**
+ * Assign a new pull request and request its reviewers, labels and milestone
+ * @param {string} token - GitHub token
+ * @param {number} prNumber - PR number
+ * @param {Object} settings - Task settings with frontmatter labels and reviewers
+ * @param {Object} routing - Routing inputs
+ * @param {string} routing.milestone - Milestone title or number
+ * @param {boolean} routing.useCodeowners - Also request CODEOWNERS of the changed files
+ * @param {Object} [routing.retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<void>}
+ */
+async function routePullRequest(token, prNumber, settings, { milestone, useCodeowners, retries }) {
+  const owners = useCodeowners
+    ? await resolveCodeownerReviewers(token, prNumber, retries)
+    : { reviewers: [], teamReviewers: [] };
+  const unique = (...lists) => [...new Set(lists.flat())];
+
+  await assignPR(token, prNumber, getListInput('assignees'), retries);
+  await addLabels(token, prNumber, unique(settings.labels, getListInput('labels')), retries);
+  await requestReviewers(
+    token,
+    prNumber,
+    unique(settings.reviewers, getListInput('reviewers'), owners.reviewers),
+    unique(getListInput('team_reviewers'), owners.teamReviewers),
+    retries
+  );
+  await setMilestone(token, prNumber, milestone, retries);
+}
+
+/**
+ * Load an instruction file and the task settings in its frontmatter
+ * The body's includes and template variables are expanded.
+ * @param {string} filename - Repository-relative instruction file
+ * @param {Object} [template] - Template values
+ * @param {string} [template.baseBranch] - Base branch for tasks that don't set one
+ * @param {Object} [template.vars] - Custom variables from the vars input
+ * @returns {Promise<Object>} Resolved file path, instructions and task settings
+ */
+async function loadTaskFile(filename, { baseBranch = 'main', vars = {} } = {}) {
+  const instructionFilePath = await validateFile(filename);
+  const fileContent = fs.readFileSync(instructionFilePath, 'utf8');
+  const { attributes, body: template } = parseFrontmatter(fileContent);
+  const settings = resolveTaskSettings(attributes);
+  const body = await expandTemplate(
+    template,
+    getTemplateVariables(github.context, {
+      baseBranch: settings.baseBranch || baseBranch,
+      vars,
+    })
+  );
+  logger.info(
+    {
+      filename,
+      instructionsLength: body.length,
+      frontmatter: Object.keys(attributes),
+    },
+    'Loaded instructions from file'
+  );
+
+  return { instructionFilePath, instructions: body, settings };
+}
+
+/**
+ * Check the working tree against the guardrails before it is committed
+ * @param {Object} guardrails - Guardrails from loadGuardrails
+ * @param {Object} result - Run result from createRunResult; dry runs only report violations
+ * @returns {Promise<void>}
+ */
+async function applyGuardrails(guardrails, result) {
+  const violations = await enforceGuardrails(guardrails, result.dryRun);
+  result.violations.push(...violations);
+
+  const blocked = violations.filter((violation) => violation.action === 'blocked');
+  if (blocked.length > 0) {
+    throw new Error(
+      `Guardrails blocked the changes: ${blocked.map((violation) => violation.message).join('; ')}`
+    );
+  }
+}
+
+/**
+ * Save the session transcript and expose its paths as outputs
+ * @param {Object} transcript - Transcript from createTranscript
+ * @returns {void}
+ */
+function publishTranscript(transcript) {
+  if (transcript.sessions.length === 0) {
+    return;
+  }
+
+  try {
+    const { markdownPath, jsonPath } = writeTranscript(transcript);
+    core.setOutput('transcript_path', markdownPath);
+    core.setOutput('transcript_json_path', jsonPath);
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to write transcript');
+    core.warning(`Failed to write transcript: ${error.message}`);
+  }
+}
+
+/**
+ * Render the pull request description
+ * @param {Object} details - What the PR is about
+ * @param {string} details.filename - Prompt file, if any
+ * @param {Object|null} details.issueTask - Issue being resolved, if any
+ * @param {string} details.baseBranch - Base branch
+ * @param {string} details.model - Copilot model used
+ * @param {string} details.actor - User who triggered the run
+ * @param {Object} [details.transcript] - Session transcript to summarize
+ * @param {Array<Object>} [details.tasks] - Batch tasks included in the PR
+ * @param {Object} [details.verification] - Result of the verification command
+ * @param {string} [details.summary] - Generated description of the changes
+ * @returns {string} Markdown PR body
+ */
+function buildPullRequestBody({
+  filename,
+  issueTask,
+  baseBranch,
+  model,
+  actor,
+  transcript,
+  tasks,
+  verification,
+  summary,
+}) {
+  const transcriptSummary = transcript ? summarizeTranscript(transcript) : '';
+
+  return (
+    `## Automated changes by Delegate Action\n\n` +
+    `This PR was automatically created by the delegate-action.\n\n` +
+    `${summary ? `### Summary\n\n${summary}\n\n` : ''}` +
+    `${issueTask ? `Closes #${issueTask.issueNumber}\n\n` : ''}` +
+    `${filename ? `**Prompt file:** \`${filename}\`\n\n` : ''}` +
+    `**Base branch:** \`${baseBranch}\`\n` +
+    `**Model:** \`${model}\`\n` +
+    `**Created by:** @${actor}\n\n` +
+    `${verification ? `${renderVerification(verification)}\n\n` : ''}` +
+    `Please review the changes carefully before merging.\n\n` +
+    `${tasks ? `### Tasks\n\n${renderTaskTable(tasks)}\n\n` : ''}` +
+    `${transcriptSummary ? `${transcriptSummary}\n\n` : ''}` +
+    `---\n\n` +
+    `_Generated with GitHub Copilot as directed by @${actor}_\n\n` +
+    PULL_REQUEST_MARKER
+  );
+}
+
+/**
+ * Ask Copilot for a Conventional Commit message describing the staged changes
+ * Falls back to the template when nothing is staged, the session fails or the
+ * reply doesn't validate.
+ * @param {string} token - GitHub token
+ * @param {Object} copilotOptions - Options passed to runCopilot
+ * @param {string} fallback - Template commit message
+ * @returns {Promise<string>} Commit message
+ */
+async function generateCommitMessage(token, copilotOptions, fallback) {
+  try {
+    const diff = await getDiffForPrompt(['--cached', 'HEAD']);
+    if (!diff) {
+      return fallback;
+    }
+
+    const reply = await runCopilot(token, buildCommitMessagePrompt(diff), null, {
+      ...copilotOptions,
+      policy: MESSAGE_POLICY,
+      denials: [],
+      followUp: null,
+      agent: null,
+      context: [],
+      source: 'staged diff',
+    });
+    const message = parseCommitMessage(reply, github.context.actor);
+    logger.info({ header: message.split('\n')[0] }, 'Generated commit message');
+    return message;
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Commit message generation failed');
+    core.warning(`Using the template commit message: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Ask Copilot for a pull request title and description of a diff
+ * @param {string} token - GitHub token
+ * @param {Object} copilotOptions - Options passed to runCopilot
+ * @param {string[]} range - Arguments selecting the diff
+ * @returns {Promise<Object|null>} Title and body, or null to use the templates
+ */
+async function generatePullRequestText(token, copilotOptions, range) {
+  try {
+    const diff = await getDiffForPrompt(range);
+    if (!diff) {
+      return null;
+    }
+
+    const reply = await runCopilot(token, buildPullRequestPrompt(diff), null, {
+      ...copilotOptions,
+      policy: MESSAGE_POLICY,
+      denials: [],
+      followUp: null,
+      agent: null,
+      context: [],
+      phase: 'pull-request',
+      source: 'branch diff',
+    });
+    const text = parsePullRequestText(reply);
+    logger.info({ title: text.title }, 'Generated pull request text');
+    return text;
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Pull request text generation failed');
+    core.warning(`Using the template pull request title and body: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Run the pipeline stages in order, committing the changes of each stage
+ * A stage without a prompt runs the task instructions. Stage conditions look at
+ * whether the last stage that ran changed files; in a dry run nothing is
+ * committed, so that is read from the staged tree instead.
+ * @param {string} token - GitHub token
+ * @param {Object} pipeline - Pipeline from loadPipeline
+ * @param {Object} task - Task instructions
+ * @param {string} task.instructions - Instructions sent by task stages
+ * @param {string|null} task.instructionFilePath - Instruction file attached to task stages
+ * @param {Object} options - Stage options
+ * @param {Object} options.copilotOptions - Options passed to runCopilot for task stages
+ * @param {number} options.reviewTimeout - Timeout in milliseconds for prompt stages
+ * @param {Object} options.guardrails - Guardrails checked before each commit
+ * @param {string} options.branch - Branch the stages commit to
+ * @param {Object} [options.verify] - Verification command, attempts, timeout and injection rules, run after each task stage
+ * @param {Object} [options.commitOptions] - Commit method and identities for commitAndPush
+ * @param {boolean} [options.generateMessages] - Ask Copilot for each commit message
+ * @param {Object} result - Run result from createRunResult; commits are recorded by stage name
+ * @returns {Promise<void>}
+ */
+async function runPipeline(token, pipeline, task, options, result) {
+  const { context } = github;
+  const {
+    copilotOptions,
+    reviewTimeout,
+    guardrails,
+    branch,
+    verify,
+    commitOptions,
+    generateMessages,
+  } = options;
+  const variables = {
+    branch,
+    changes: result.dryRun
+      ? 'the uncommitted changes in the working tree'
+      : `the changes in branch ${branch}`,
+  };
+  let previousChanged = null;
+
+  for (const stage of pipeline.stages) {
+    if (!shouldRunStage(stage, previousChanged)) {
+      logger.info({ stage: stage.name, condition: stage.condition }, 'Skipping pipeline stage');
+      continue;
+    }
+
+    const runsTask = !stage.prompt;
+    const treeBefore = result.dryRun ? await getStagedTree() : null;
+    const verifier =
+      runsTask && verify ? createVerifier(verify.command, verify.attempts, verify) : null;
+    logger.info({ stage: stage.name }, 'Running pipeline stage');
+
+    await runCopilot(
+      token,
+      runsTask ? task.instructions : renderStagePrompt(stage.prompt, variables),
+      runsTask ? task.instructionFilePath : null,
+      {
+        ...copilotOptions,
+        model: stage.model || copilotOptions.model,
+        policy: stage.policy || copilotOptions.policy,
+        phase: stage.name,
+        source: runsTask ? copilotOptions.source : stage.promptFile || `stage ${stage.name}`,
+        timeout: stage.timeoutMinutes
+          ? stage.timeoutMinutes * 60000
+          : runsTask
+            ? copilotOptions.timeout
+            : reviewTimeout,
+        followUp: verifier?.followUp,
+      }
+    );
+
+    if (verifier) {
+      result.verification = { stage: stage.name, ...verifier.verification };
+    }
+
+    if (result.dryRun) {
+      previousChanged = (await getStagedTree()) !== treeBefore;
+      continue;
+    }
+
+    await applyGuardrails(guardrails, result);
+    const template = `${stage.commitMessage}\n\nGenerated with GitHub Copilot as directed by @${context.actor}`;
+    const message = generateMessages
+      ? await generateCommitMessage(
+          token,
+          { ...copilotOptions, phase: `${stage.name}-commit-message`, timeout: reviewTimeout },
+          template
+        )
+      : template;
+    const pushed = await commitAndPush(message, branch, commitOptions);
+    if (pushed) {
+      result.commits[stage.name] = await getHeadSha();
+    }
+    previousChanged = pushed;
+  }
+}
+
+/**
+ * Push follow-up commits to a delegate PR that address review feedback
+ * @param {string} token - GitHub token
+ * @param {Object} task - Review task from getReviewTask
+ * @param {Object} copilotOptions - Options passed to runCopilot
+ * @param {Object} result - Run result from createRunResult; in a dry run the changes are reported instead of pushed
+ * @param {Object} guardrails - Guardrails checked before the changes are committed
+ * @param {Object} commitOptions - Commit method and identities for commitAndPush
+ * @param {Object} [verify] - Verification command, attempts, timeout and injection rules
+ * @returns {Promise<void>}
+ */
+async function iterateOnReview(
+  token,
+  task,
+  copilotOptions,
+  result,
+  guardrails,
+  commitOptions,
+  verify = null
+) {
+  const { context } = github;
+  result.prNumber = task.prNumber;
+  result.prUrl = getPullRequestUrl(task.prNumber);
+  result.branch = task.branch;
+
+  logger.info(
+    { prNumber: task.prNumber, branch: task.branch, reviewer: task.reviewer },
+    'Iterating on delegate pull request'
+  );
+
+  const { retries } = copilotOptions;
+  if (await isReviewHandled(token, task, retries)) {
+    result.status = 'skipped';
+    return;
+  }
+
+  const comments = await fetchReviewComments(token, task, retries);
+  if (comments.length === 0 && !task.reviewBody.trim()) {
+    logger.info({ prNumber: task.prNumber }, 'Review has no feedback to address');
+    result.status = 'skipped';
+    return;
+  }
+
+  await checkoutBranch(task.branch);
+  const startSha = await getHeadSha();
+  const verifier = verify ? createVerifier(verify.command, verify.attempts, verify) : null;
+  await runCopilot(token, buildReviewInstructions(task, comments), null, {
+    ...copilotOptions,
+    followUp: verifier?.followUp,
+  });
+  if (verifier) {
+    result.verification = { stage: copilotOptions.phase, ...verifier.verification };
+  }
+  await applyGuardrails(guardrails, result);
+
+  if (result.dryRun) {
+    await writeDryRunReport({ title: `Review iteration on #${task.prNumber}`, body: null });
+    result.files = await getDiffStats(['--cached', 'HEAD']);
+    result.status = 'dry_run';
+    return;
+  }
+
+  const pushed = await commitAndPush(
+    `fix: address review feedback\n\nGenerated with GitHub Copilot as directed by @${context.actor}`,
+    task.branch,
+    commitOptions
+  );
+
+  if (pushed) {
+    result.commits.review_iteration = await getHeadSha();
+    result.files = await getDiffStats([startSha, 'HEAD']);
+  }
+  result.status = pushed ? 'review_addressed' : 'no_changes';
+
+  const reply = pushed
+    ? `🤖 Addressed in ${result.commits.review_iteration}.`
+    : '🤖 Copilot reviewed this feedback but made no changes.';
+  await replyToReview(token, task, comments, reply, retries);
+
+  core.setOutput('pr_number', task.prNumber);
+  core.setOutput('branch', task.branch);
+  logger.info({ prNumber: task.prNumber, pushed }, 'Review iteration completed');
+}
+
+/**
+ * Run one task of a batch and commit its changes
+ * In separate mode the task gets its own branch and pull request; in combined
+ * mode it is committed to the shared branch and the PR is opened afterwards.
+ * @param {string} token - GitHub token
+ * @param {Object} task - Batch task result, updated in place
+ * @param {Object} batch - Batch configuration from runBatch
+ * @param {Object} result - Run result from createRunResult
+ * @returns {Promise<Object>} Task settings from the instruction file's frontmatter
+ */
+async function runBatchTask(token, task, batch, result) {
+  const { context } = github;
+  const { copilotOptions, defaults, guardrails, pullRequest } = batch;
+  const firstSession = copilotOptions.transcript.sessions.length;
+
+  const { instructionFilePath, instructions, settings } = await loadTaskFile(task.file, {
+    baseBranch: defaults.baseBranch,
+    vars: batch.vars,
+  });
+  const model = settings.model || defaults.model;
+  const baseBranch = settings.baseBranch || defaults.baseBranch;
+  task.title = settings.prTitle || `Delegate: ${task.file}`;
+  task.branch = batch.combined
+    ? batch.branch
+    : renderBranchName(batch.branchTemplate || DEFAULT_BATCH_BRANCH_TEMPLATE, {
+        ...batch.branchValues,
+        prefix: settings.branchPrefix || DEFAULT_BRANCH_PREFIX,
+        slug: slugifyFile(task.file),
+      });
+
+  if (!batch.combined && !result.dryRun) {
+    task.branch = await resolveBranchCollision(task.branch);
+    await createBranch(task.branch, baseBranch);
+  }
+  const startSha = result.dryRun ? null : await getHeadSha();
+
+  const verifier = batch.verify
+    ? createVerifier(batch.verify.command, batch.verify.attempts, batch.verify)
+    : null;
+  await runCopilot(token, instructions, instructionFilePath, {
+    ...copilotOptions,
+    model,
+    phase: 'implementation',
+    source: task.file,
+    timeout: settings.timeoutMinutes ? settings.timeoutMinutes * 60000 : copilotOptions.timeout,
+    followUp: verifier?.followUp,
+  });
+  if (verifier) {
+    task.verification = verifier.verification;
+  }
+  await applyGuardrails(guardrails, result);
+
+  if (result.dryRun) {
+    task.status = 'dry_run';
+    return settings;
+  }
+
+  const pushed = await commitAndPush(
+    `feat: ${settings.prTitle || `delegate ${task.file}`}\n\nGenerated with GitHub Copilot as directed by @${context.actor}`,
+    task.branch,
+    {
+      ...batch.commitOptions,
+      rebaseOnto:
+        batch.commitOptions.rebaseOnto && (batch.combined ? defaults.baseBranch : baseBranch),
+    }
+  );
+  if (!pushed) {
+    task.status = 'no_changes';
+    return settings;
+  }
+
+  task.commit = await getHeadSha();
+  task.files = await getDiffStats([startSha, 'HEAD']);
+  result.commits[task.file] = task.commit;
+
+  if (batch.combined || !pullRequest.create) {
+    task.status = 'committed';
+    return settings;
+  }
+
+  const prNumber = await createPullRequest(
+    token,
+    task.branch,
+    baseBranch,
+    task.title,
+    buildPullRequestBody({
+      filename: task.file,
+      issueTask: null,
+      baseBranch,
+      model,
+      actor: context.actor,
+      transcript: {
+        ...copilotOptions.transcript,
+        sessions: copilotOptions.transcript.sessions.slice(firstSession),
+      },
+      verification: task.verification,
+    }),
+    pullRequest.draft,
+    pullRequest.retries
+  );
+
+  if (prNumber) {
+    await routePullRequest(token, prNumber, settings, pullRequest);
+    task.prNumber = prNumber;
+    task.prUrl = getPullRequestUrl(prNumber);
+    task.status = 'pr_created';
+  } else {
+    task.status = 'pr_failed';
+  }
+
+  return settings;
+}
+
+/**
+ * Open the single pull request of a combined batch
+ * @param {string} token - GitHub token
+ * @param {Object} batch - Batch configuration from runBatch
+ * @param {Array<Object>} settingsList - Frontmatter settings of the committed tasks
+ * @param {Object} result - Run result from createRunResult
+ * @returns {Promise<void>}
+ */
+async function openCombinedPullRequest(token, batch, settingsList, result) {
+  const { context } = github;
+  const committed = result.tasks.filter((task) => task.status === 'committed');
+  const { baseBranch, model } = batch.defaults;
+
+  result.branch = batch.branch;
+  result.files = await getDiffStats([batch.startSha, 'HEAD']);
+
+  const prNumber = await createPullRequest(
+    token,
+    batch.branch,
+    baseBranch,
+    `Delegate: ${committed.length} tasks from ${batch.pattern}`,
+    buildPullRequestBody({
+      filename: batch.pattern,
+      issueTask: null,
+      baseBranch,
+      model,
+      actor: context.actor,
+      transcript: batch.copilotOptions.transcript,
+      tasks: result.tasks,
+    }),
+    batch.pullRequest.draft,
+    batch.pullRequest.retries
+  );
+
+  if (prNumber) {
+    await routePullRequest(
+      token,
+      prNumber,
+      {
+        labels: settingsList.flatMap((settings) => settings.labels),
+        reviewers: settingsList.flatMap((settings) => settings.reviewers),
+      },
+      batch.pullRequest
+    );
+    result.prNumber = prNumber;
+    result.prUrl = getPullRequestUrl(prNumber);
+    core.setOutput('pr_number', prNumber);
+    core.setOutput('branch', batch.branch);
+  }
+
+  for (const task of committed) {
+    task.status = prNumber ? 'pr_created' : 'pr_failed';
+    task.prNumber = prNumber;
+    task.prUrl = result.prUrl;
+  }
+}
+
+/**
+ * Run every instruction file selected by a glob or directory as its own task
+ * A failed task is recorded and the batch moves on to the next one; the run
+ * fails at the end if any task did. Dry runs always work on one working tree.
+ * @param {string} token - GitHub token
+ * @param {Object} batch - Batch configuration
+ * @param {string[]} batch.files - Instruction files from resolveTaskFiles
+ * @param {string} batch.pattern - Glob or directory the files came from
+ * @param {string} batch.mode - separate (a branch and PR per task) or combined (one PR)
+ * @param {Object} batch.defaults - Base branch and model for tasks that don't set them
+ * @param {Object} [batch.vars] - Template variables from the vars input
+ * @param {Object} batch.copilotOptions - Options passed to runCopilot
+ * @param {Object} batch.guardrails - Guardrails checked before each commit
+ * @param {Object} batch.pullRequest - create, draft, milestone and useCodeowners
+ * @param {Object} batch.commitOptions - Commit method and identities for commitAndPush
+ * @param {string} [batch.branchTemplate] - Branch name template, defaults per mode
+ * @param {Object} [batch.verify] - Verification command, attempts, timeout and injection rules, run after each task
+ * @param {Object} result - Run result from createRunResult
+ * @returns {Promise<void>}
+ */
+async function runBatch(token, batch, result) {
+  const combined = batch.mode === 'combined' || result.dryRun;
+  const branchValues = getBranchValues({
+    prefix: DEFAULT_BRANCH_PREFIX,
+    actor: github.context.actor,
+    slug: slugify(batch.pattern),
+  });
+  const state = {
+    ...batch,
+    combined,
+    branchValues,
+    branch: renderBranchName(batch.branchTemplate || DEFAULT_BRANCH_TEMPLATE, branchValues),
+  };
+  const committedSettings = [];
+
+  logger.info(
+    { pattern: batch.pattern, mode: batch.mode, tasks: batch.files.length },
+    'Starting batch'
+  );
+
+  if (combined && !result.dryRun) {
+    state.branch = await resolveBranchCollision(state.branch);
+    await createBranch(state.branch, batch.defaults.baseBranch);
+  }
+  state.startSha = result.dryRun ? null : await getHeadSha();
+
+  for (const [index, file] of batch.files.entries()) {
+    const task = {
+      file,
+      title: null,
+      status: 'failed',
+      branch: null,
+      prNumber: null,
+      prUrl: null,
+      commit: null,
+      files: [],
+      error: null,
+    };
+    result.tasks.push(task);
+
+    try {
+      if (!combined && index > 0) {
+        await resetWorkingTree();
+        await exec.exec('git', ['checkout', '-q', '--detach', state.startSha]);
+      }
+
+      const settings = await runBatchTask(token, task, state, result);
+      if (task.status === 'committed') {
+        committedSettings.push(settings);
+      }
+    } catch (error) {
+      logger.error({ file, error: error.message }, 'Batch task failed');
+      core.warning(`Task ${file} failed: ${error.message}`);
+      task.status = 'failed';
+      task.error = error.message;
+
+      if (combined && !result.dryRun) {
+        await resetWorkingTree();
+      }
+    }
+  }
+
+  if (result.dryRun) {
+    await writeDryRunReport({
+      title: `Delegate: ${batch.files.length} tasks from ${batch.pattern}`,
+      body: null,
+    });
+    result.files = await getDiffStats(['--cached', 'HEAD']);
+  } else if (combined && committedSettings.length > 0 && batch.pullRequest.create) {
+    await openCombinedPullRequest(token, state, committedSettings, result);
+  } else if (combined && committedSettings.length > 0) {
+    result.branch = state.branch;
+    result.files = await getDiffStats([state.startSha, 'HEAD']);
+    core.setOutput('branch', state.branch);
+  } else if (!combined) {
+    result.files = result.tasks.flatMap((task) => task.files);
+  }
+
+  await writeBatchSummary(result.tasks, batch.mode);
+
+  const failed = result.tasks.filter((task) => task.status === 'failed');
+  const statuses = result.tasks.map((task) => task.status);
+  if (failed.length > 0) {
+    result.status = 'failed';
+    result.error = `${failed.length} of ${result.tasks.length} tasks failed: ${failed.map((task) => task.file).join(', ')}`;
+    core.setFailed(result.error);
+  } else if (result.dryRun) {
+    result.status = 'dry_run';
+  } else if (statuses.includes('pr_created')) {
+    result.status = 'pr_created';
+  } else if (statuses.includes('committed')) {
+    result.status = 'committed';
+  } else {
+    result.status = statuses.includes('pr_failed') ? 'pr_failed' : 'no_changes';
+  }
+
+  logger.info({ status: result.status, tasks: statuses }, 'Batch completed');
+}
+
 /**
  * Main action entry point
  */
 async function run() {
+  let issueTask = null;
+  let progressCommentId = null;
+  let privateToken;
+  let dryRun = false;
+  const transcript = createTranscript();
+  const result = createRunResult();
+  let budget = null;
+  let retries = null;
+
   try {
-    const privateToken = core.getInput('PRIVATE_TOKEN', { required: true });
+    privateToken = core.getInput('PRIVATE_TOKEN', { required: true });
     const filename = core.getInput('filename', { required: false });
-    const baseBranch = core.getInput('branch', { required: false }) || 'main';
+    const branchInput = core.getInput('branch', { required: false }) || 'main';
+    const policySource = core.getInput('permission_policy', { required: false });
+    const injectionRulesSource = core.getInput('injection_rules', { required: false });
+    const guardrailsSource = core.getInput('guardrails', { required: false });
+    const budgetsSource = core.getInput('budgets', { required: false });
+    const pipelineSource = core.getInput('pipeline', { required: false });
+    const backendInput = core.getInput('agent_backend', { required: false });
+    const fixtureSource = core.getInput('agent_fixture', { required: false });
+    const agentInput = core.getInput('agent', { required: false });
+    const varsSource = core.getInput('vars', { required: false });
+    const contextEntries = getListInput('context');
+    const verifyCommand = core.getInput('verify_command', { required: false }).trim();
+    const verifyAttemptsInput = core.getInput('verify_attempts', { required: false });
+    const verifyAttempts = verifyAttemptsInput
+      ? Number(verifyAttemptsInput)
+      : DEFAULT_VERIFY_ATTEMPTS;
+
+    if (!Number.isInteger(verifyAttempts) || verifyAttempts <= 0) {
+      result.error = `Input verify_attempts must be a positive integer (got "${verifyAttemptsInput}")`;
+      core.setFailed(result.error);
+      return;
+    }
+
+    const maxRetriesInput = core.getInput('max_retries', { required: false });
+    const maxRetries = maxRetriesInput ? Number(maxRetriesInput) : DEFAULT_MAX_RETRIES;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      result.error = `Input max_retries must be a non-negative integer (got "${maxRetriesInput}")`;
+      core.setFailed(result.error);
+      return;
+    }
+    retries = createRetryRecorder({ maxRetries });
+    result.retries = retries.records;
+
+    const contextBudgetInput = core.getInput('context_budget', { required: false });
+    const contextBudget = contextBudgetInput ? Number(contextBudgetInput) : DEFAULT_CONTEXT_BUDGET;
+    if (!Number.isInteger(contextBudget) || contextBudget <= 0) {
+      result.error = `Input context_budget must be a positive integer of bytes (got "${contextBudgetInput}")`;
+      core.setFailed(result.error);
+      return;
+    }
+
+    let commitOptions;
+    try {
+      commitOptions = resolveCommitOptions({
+        method: core.getInput('commit_method', { required: false }),
+        authorName: core.getInput('author_name', { required: false }),
+        authorEmail: core.getInput('author_email', { required: false }),
+        committerName: core.getInput('committer_name', { required: false }),
+        committerEmail: core.getInput('committer_email', { required: false }),
+        coAuthors: getListInput('co_authors'),
+        creditActor: core.getInput('credit_actor', { required: false }) === 'true',
+        token: privateToken,
+      });
+      commitOptions.retries = retries;
+    } catch (error) {
+      result.error = error.message;
+      core.setFailed(error.message);
+      return;
+    }
+    const modelInput = core.getInput('model', { required: false });
+    const generateMessages = core.getInput('generate_messages', { required: false }) === 'true';
+    const branchTemplateInput = core.getInput('branch_template', { required: false }).trim();
+    const rebase = core.getInput('rebase', { required: false }) === 'true';
+    dryRun = core.getInput('dry_run', { required: false }) === 'true';
+    result.dryRun = dryRun;
+    const draft = core.getInput('draft', { required: false }) === 'true';
+    const openPullRequest = core.getInput('create_pull_request', { required: false }) !== 'false';
+    const milestone = core.getInput('milestone', { required: false });
+    const useCodeowners = core.getInput('codeowners', { required: false }) === 'true';
+    const batchMode = core.getInput('batch_mode', { required: false }) || 'separate';
+
+    if (!BATCH_MODES.includes(batchMode)) {
+      result.error = `Invalid batch_mode: expected one of ${BATCH_MODES.join(', ')}`;
+      core.setFailed(result.error);
+      return;
+    }
+
+    if (rebase && commitOptions.method === 'api') {
+      result.error = 'Input rebase requires commit_method git';
+      core.setFailed(result.error);
+      return;
+    }
+
+    let branchTemplate;
+    try {
+      branchTemplate = branchTemplateInput ? parseBranchTemplate(branchTemplateInput) : null;
+    } catch (error) {
+      result.error = error.message;
+      core.setFailed(error.message);
+      return;
+    }
+
+    let implementationTimeout;
+    let reviewTimeout;
+    let verifyTimeout;
+    try {
+      implementationTimeout = getTimeoutInput('implementation_timeout');
+      reviewTimeout = getTimeoutInput('review_timeout');
+      verifyTimeout = getTimeoutInput('verify_timeout', DEFAULT_VERIFY_TIMEOUT_MINUTES);
+    } catch (error) {
+      result.error = error.message;
+      core.setFailed(error.message);
+      return;
+    }
 
     const { context } = github;
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const newBranch = `copilot/delegate-${timestamp}`;
+    const reviewEvent = isReviewEvent(context.eventName);
+
+    if (['issues', 'issue_comment'].includes(context.eventName)) {
+      issueTask = await getIssueTask(context, privateToken);
+      if (!issueTask) {
+        logger.info({ eventName: context.eventName }, 'Event does not request a delegation');
+        result.status = 'skipped';
+        return;
+      }
+    }
+
+    let vars;
+    try {
+      vars = await loadTemplateVars(varsSource);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load template variables');
+      result.error = error.message;
+      core.setFailed(`Failed to load vars: ${error.message}`);
+      return;
+    }
+
+    let instructions = 'Analyze the repository and suggest improvements';
+    let instructionFilePath = null;
+    let settings = resolveTaskSettings({});
+    let batchFiles = null;
+    const batchPattern = isBatchPattern(filename);
+
+    if (batchPattern && !issueTask && !reviewEvent) {
+      try {
+        batchFiles = await resolveTaskFiles(filename);
+      } catch (error) {
+        logger.error({ filename, error: error.message }, 'Failed to resolve instruction files');
+        result.error = error.message;
+        core.setFailed(`Failed to load instruction files: ${error.message}`);
+        return;
+      }
+    } else if (filename && !batchPattern) {
+      try {
+        ({ instructionFilePath, instructions, settings } = await loadTaskFile(filename, {
+          baseBranch: branchInput,
+          vars,
+        }));
+      } catch (error) {
+        logger.error({ filename, error: error.message }, 'Failed to load instructions file');
+        result.error = error.message;
+        core.setFailed(`Failed to load instructions file: ${error.message}`);
+        return;
+      }
+    }
+
+    if (issueTask) {
+      instructions = buildIssueInstructions(issueTask);
+      logger.info(
+        { issueNumber: issueTask.issueNumber, instructionsLength: instructions.length },
+        'Loaded instructions from issue'
+      );
+    }
+
+    let reviewTask = null;
+    if (reviewEvent) {
+      reviewTask = getReviewTask(context);
+      if (!reviewTask) {
+        logger.info({ eventName: context.eventName }, 'Event does not request a review iteration');
+        result.status = 'skipped';
+        return;
+      }
+    }
+
+    let agent;
+    try {
+      agent = await loadAgentProfile(agentInput);
+    } catch (error) {
+      logger.error({ agent: agentInput, error: error.message }, 'Failed to load agent profile');
+      result.error = error.message;
+      core.setFailed(`Failed to load agent profile: ${error.message}`);
+      return;
+    }
+
+    // The task file knows best, then an explicit model input, then the curated agent;
+    // the model input has no default so a value set in the workflow can be told apart
+    const baseBranch = settings.baseBranch || branchInput;
+    const model = settings.model || modelInput || agent?.model || DEFAULT_MODEL;
+    let newBranch = renderBranchName(
+      branchTemplate || DEFAULT_BRANCH_TEMPLATE,
+      getBranchValues({
+        prefix: settings.branchPrefix || DEFAULT_BRANCH_PREFIX,
+        actor: context.actor,
+        slug: issueTask ? slugify(issueTask.title) : slugifyFile(filename || 'changes'),
+        issue: issueTask?.issueNumber,
+      })
+    );
+    result.baseBranch = baseBranch;
+    result.model = model;
 
     logger.info(
       {
         repository: `${context.repo.owner}/${context.repo.repo}`,
         baseBranch,
         newBranch,
+        model,
+        agent: agent?.name,
+        dryRun,
         actor: context.actor,
       },
       'Starting delegate action workflow'
     );
 
-    let instructions = 'Analyze the repository and suggest improvements';
-    let instructionFilePath = null;
+    let policy;
+    try {
+      policy = await loadPermissionPolicy(policySource);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load permission policy');
+      result.error = error.message;
+      core.setFailed(`Failed to load permission policy: ${error.message}`);
+      return;
+    }
 
-    if (filename) {
-      try {
-        instructionFilePath = await validateFile(filename);
-        const fileContent = fs.readFileSync(instructionFilePath, 'utf8');
-        instructions = fileContent;
-        logger.info(
-          { filename, instructionsLength: instructions.length },
-          'Loaded instructions from file'
+    let injectionRules;
+    try {
+      injectionRules = await loadInjectionRules(injectionRulesSource);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load injection rules');
+      result.error = error.message;
+      core.setFailed(`Failed to load injection rules: ${error.message}`);
+      return;
+    }
+
+    let guardrails;
+    try {
+      guardrails = await loadGuardrails(guardrailsSource);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load guardrails');
+      result.error = error.message;
+      core.setFailed(`Failed to load guardrails: ${error.message}`);
+      return;
+    }
+
+    try {
+      const budgets = await loadBudgets(budgetsSource);
+      budget = budgets ? createBudgetTracker(budgets, result.startedAt) : null;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load budgets');
+      result.error = error.message;
+      core.setFailed(`Failed to load budgets: ${error.message}`);
+      return;
+    }
+
+    let pipeline;
+    try {
+      pipeline = await loadPipeline(pipelineSource);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load pipeline');
+      result.error = error.message;
+      core.setFailed(`Failed to load pipeline: ${error.message}`);
+      return;
+    }
+
+    let backend;
+    try {
+      backend = await loadAgentBackend(backendInput, fixtureSource);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load agent backend');
+      result.error = error.message;
+      core.setFailed(`Failed to load agent backend: ${error.message}`);
+      return;
+    }
+
+    let contextFiles;
+    try {
+      contextFiles = await resolveContextFiles(contextEntries, {
+        budget: contextBudget,
+        exclude: instructionFilePath ? [path.relative(process.cwd(), instructionFilePath)] : [],
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to load context files');
+      result.error = error.message;
+      core.setFailed(`Failed to load context files: ${error.message}`);
+      return;
+    }
+    result.context = contextFiles;
+
+    const verify = verifyCommand
+      ? {
+          command: verifyCommand,
+          attempts: verifyAttempts,
+          timeout: verifyTimeout,
+          injectionRules,
+        }
+      : null;
+    const denials = result.denials;
+    const copilotOptions = {
+      policy,
+      denials,
+      model,
+      transcript,
+      injectionRules,
+      backend,
+      agent,
+      context: contextFiles?.files ?? [],
+      budget,
+      retries,
+    };
+    const implementationOptions = {
+      ...copilotOptions,
+      phase: 'implementation',
+      source: issueTask ? `issue #${issueTask.issueNumber}` : filename || 'instructions',
+      timeout: settings.timeoutMinutes ? settings.timeoutMinutes * 60000 : implementationTimeout,
+    };
+    core.setOutput('model', model);
+
+    if (reviewTask) {
+      await iterateOnReview(
+        privateToken,
+        reviewTask,
+        {
+          ...implementationOptions,
+          phase: 'review-iteration',
+          source: `review on #${reviewTask.prNumber}`,
+        },
+        result,
+        guardrails,
+        commitOptions,
+        verify
+      );
+      return;
+    }
+
+    if (batchFiles) {
+      await runBatch(
+        privateToken,
+        {
+          files: batchFiles,
+          pattern: filename,
+          mode: batchMode,
+          defaults: { baseBranch, model },
+          vars,
+          copilotOptions: { ...copilotOptions, timeout: implementationTimeout },
+          guardrails,
+          pullRequest: { create: openPullRequest, draft, milestone, useCodeowners, retries },
+          commitOptions: { ...commitOptions, rebaseOnto: rebase ? baseBranch : null },
+          branchTemplate,
+          verify,
+        },
+        result
+      );
+      return;
+    }
+
+    if (issueTask && !dryRun) {
+      progressCommentId = await acknowledgeIssue(privateToken, issueTask, retries);
+    }
+
+    if (!dryRun) {
+      newBranch = await resolveBranchCollision(newBranch);
+      await createBranch(newBranch, baseBranch);
+    }
+    const startSha = dryRun ? null : await getHeadSha();
+
+    await runPipeline(
+      privateToken,
+      pipeline,
+      { instructions, instructionFilePath },
+      {
+        copilotOptions: implementationOptions,
+        reviewTimeout,
+        guardrails,
+        branch: newBranch,
+        verify,
+        commitOptions: { ...commitOptions, rebaseOnto: rebase ? baseBranch : null },
+        generateMessages,
+      },
+      result
+    );
+
+    const hasChanges = dryRun || Object.keys(result.commits).length > 0;
+    const generated =
+      generateMessages && hasChanges
+        ? await generatePullRequestText(
+            privateToken,
+            { ...implementationOptions, timeout: reviewTimeout },
+            dryRun ? ['--cached', 'HEAD'] : [startSha, 'HEAD']
+          )
+        : null;
+    const prTitle =
+      settings.prTitle ||
+      generated?.title ||
+      (issueTask
+        ? `Delegate: #${issueTask.issueNumber} ${issueTask.title}`
+        : `Delegate: ${filename || 'Repository changes'}`);
+    const prBody = buildPullRequestBody({
+      filename,
+      issueTask,
+      baseBranch,
+      model,
+      actor: context.actor,
+      transcript,
+      verification: result.verification,
+      summary: generated?.body,
+    });
+
+    if (dryRun) {
+      await applyGuardrails(guardrails, result);
+      await writeDryRunReport({ title: prTitle, body: prBody });
+      result.files = await getDiffStats(['--cached', 'HEAD']);
+      result.status = 'dry_run';
+      logger.info('Dry run completed, nothing was pushed');
+      return;
+    }
+
+    if (Object.keys(result.commits).length === 0) {
+      logger.info('Copilot made no changes, skipping pull request');
+      result.status = 'no_changes';
+      if (issueTask) {
+        await updateIssueProgress(
+          privateToken,
+          issueTask,
+          progressCommentId,
+          '🤷 Copilot finished without changing anything, so no pull request was opened.',
+          retries
         );
-      } catch (error) {
-        logger.error({ filename, error: error.message }, 'Failed to load instructions file');
-        core.setFailed(`Failed to load instructions file: ${error.message}`);
-        return;
       }
+      return;
     }
 
-    await runCopilot(privateToken, instructions, instructionFilePath);
-    await createBranch(newBranch);
-    await commitAndPush(
-      `feat: delegate action changes\n\nGenerated with GitHub Copilot as directed by @${context.actor}`,
-      newBranch
-    );
+    result.branch = newBranch;
+    result.files = await getDiffStats([startSha, 'HEAD']);
 
-    const reviewInstructions = `Review the changes in branch ${newBranch}, create documentation for new features, and suggest test cases`;
-    await runCopilot(privateToken, reviewInstructions);
-    await commitAndPush(
-      `docs: add documentation and tests\n\nGenerated with GitHub Copilot as directed by @${context.actor}`,
-      newBranch
-    );
+    if (!openPullRequest) {
+      logger.info({ branch: newBranch }, 'Changes pushed, skipping pull request as configured');
+      result.status = 'committed';
+      core.setOutput('branch', newBranch);
+      if (issueTask) {
+        await updateIssueProgress(
+          privateToken,
+          issueTask,
+          progressCommentId,
+          `✅ Pushed the changes to \`${newBranch}\`.`,
+          retries
+        );
+      }
+      return;
+    }
 
     const prNumber = await createPullRequest(
       privateToken,
       newBranch,
       baseBranch,
-      `Delegate: ${filename || 'Repository changes'}`,
-      `## Automated changes by Delegate Action\n\n` +
-        `This PR was automatically created by the delegate-action.\n\n` +
-        `${filename ? `**Prompt file:** \`${filename}\`\n\n` : ''}` +
-        `**Base branch:** \`${baseBranch}\`\n` +
-        `**Created by:** @${context.actor}\n\n` +
-        `Please review the changes carefully before merging.\n\n` +
-        `---\n\n` +
-        `_Generated with GitHub Copilot as directed by @${context.actor}_`
+      prTitle,
+      prBody,
+      draft,
+      retries
     );
 
     if (prNumber) {
-      await assignPR(privateToken, prNumber);
+      await routePullRequest(privateToken, prNumber, settings, {
+        milestone,
+        useCodeowners,
+        retries,
+      });
+      result.status = 'pr_created';
+      result.prNumber = prNumber;
+      result.prUrl = getPullRequestUrl(prNumber);
       core.setOutput('pr_number', prNumber);
       core.setOutput('branch', newBranch);
       logger.info({ prNumber, branch: newBranch }, 'Delegate action completed successfully');
+    } else {
+      result.status = 'pr_failed';
+    }
+
+    if (issueTask) {
+      await updateIssueProgress(
+        privateToken,
+        issueTask,
+        progressCommentId,
+        prNumber
+          ? `✅ Opened #${prNumber} for this issue.`
+          : `⚠️ Copilot finished on \`${newBranch}\` but the pull request could not be created.`,
+        retries
+      );
     }
   } catch (error) {
     logger.error({ error: error.message, stack: error.stack }, 'Action failed');
+    result.status = 'failed';
+    result.error = error.message;
+    result.findings = error.findings ?? [];
     core.setFailed(`Action failed: ${error.message}`);
+
+    if (issueTask && !dryRun) {
+      await updateIssueProgress(
+        privateToken,
+        issueTask,
+        progressCommentId,
+        `❌ Delegation failed: ${error.message}`,
+        retries
+      );
+    }
+  } finally {
+    // Denials matter most when the run failed, so they are reported on every path
+    reportDenials(result.denials);
+    result.budget = budget && summarizeBudgets(budget);
+    publishTranscript(transcript);
+    publishRunResult(result, transcript);
+    await writeJobSummary(result, transcript);
   }
 }
 
@@ -440,8 +2059,13 @@ export {
   validateFile,
   runCopilot,
   createBranch,
+  checkoutBranch,
   commitAndPush,
   createPullRequest,
   assignPR,
+  addLabels,
+  requestReviewers,
+  setMilestone,
+  resolveCodeownerReviewers,
   run,
 };
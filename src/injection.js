@@ -0,0 +1,354 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { validateFile } from './validation.js';
+
+const DEFAULT_THRESHOLD = 1;
+
+const BUILTIN_RULES = [
+  {
+    id: 'ignore-previous',
+    pattern: /ignore\s+(all\s+)?previous\s+(instructions?|prompts?|commands?)/i,
+    weight: 1,
+  },
+  {
+    id: 'disregard-previous',
+    pattern: /disregard\s+(all\s+)?previous\s+(instructions?|prompts?|commands?)/i,
+    weight: 1,
+  },
+  {
+    id: 'forget-previous',
+    pattern: /forget\s+(all\s+)?previous\s+(instructions?|prompts?|commands?)/i,
+    weight: 1,
+  },
+  { id: 'new-instructions', pattern: /new\s+(instructions?|prompts?|commands?):/i, weight: 1 },
+  { id: 'system-prompt', pattern: /system\s+(prompt|message|instruction):/i, weight: 1 },
+  { id: 'role-override', pattern: /you\s+are\s+now\s+(a|an)\b/i, weight: 1 },
+  { id: 'role-override', pattern: /from\s+now\s+on\s+you\s+(are|will)/i, weight: 1 },
+  { id: 'fake-system-tag', pattern: /\[(SYSTEM|ADMIN|OVERRIDE)\]/i, weight: 1 },
+  { id: 'fake-system-tag', pattern: /<\s*(system|admin)\s*>/i, weight: 1 },
+];
+
+// Zero-width characters, soft hyphens and bidirectional controls hide text from reviewers
+const HIDDEN_CHARACTERS =
+  /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|\u034F/g;
+
+// Cyrillic and Greek letters that render like the Latin letter at the same position
+const LOOKALIKES = 'аеорсухіјѕԁАВЕКМНОРСТХІЈЅαοινΑΒΕΖΗΙΚΜΝΟΡΤΥΧ';
+const LATIN = 'aeopcyxijsdABEKMHOPCTXIJSaoivABEZHIKMNOPTYX';
+const LOOKALIKE_PATTERN = new RegExp(`[${LOOKALIKES}]`, 'g');
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const BASE64_TOKEN = /[A-Za-z0-9+/]{16,}={0,2}/g;
+
+const SIGNAL_WEIGHTS = {
+  'hidden-characters': 0.5,
+  homoglyphs: 0.5,
+  'encoded-payload': 0.5,
+};
+
+/**
+ * Replace Latin lookalikes inside words that mix them with Latin letters
+ * Words written entirely in another script are left alone.
+ * @param {string} text - Text to normalize
+ * @returns {Object} Normalized text and whether anything was replaced
+ */
+function replaceHomoglyphs(text) {
+  let replaced = false;
+  const normalized = text.replace(/\S+/g, (word) => {
+    if (!/[A-Za-z]/.test(word)) {
+      return word;
+    }
+    return word.replace(LOOKALIKE_PATTERN, (char) => {
+      replaced = true;
+      return LATIN[LOOKALIKES.indexOf(char)];
+    });
+  });
+  return { text: normalized, replaced };
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text to decode
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point =
+        code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Decode base64 tokens that turn out to be readable text
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} Decoded texts with the index of their token
+ */
+function decodeBase64Tokens(text) {
+  return [...text.matchAll(BASE64_TOKEN)]
+    .map((match) => ({
+      text: Buffer.from(match[0], 'base64').toString('utf8'),
+      index: match.index,
+    }))
+    .filter(
+      ({ text: decoded }) =>
+        /^[\x20-\x7E\s]+$/.test(decoded) && /[a-z]{3,}\s+[a-z]{3,}/i.test(decoded)
+    );
+}
+
+/**
+ * Find the line a position in a text is on
+ * @param {string} text - Text
+ * @param {number} index - Position in the text
+ * @returns {number} 1-based line number
+ */
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Normalize text before matching: NFKC, hidden characters and homoglyphs
+ * @param {string} text - Text to normalize
+ * @returns {Object} Normalized text and the evasion signals that were found
+ */
+function normalizeText(text) {
+  const signals = [];
+  const normalized = text.normalize('NFKC');
+  const visible = normalized.replace(HIDDEN_CHARACTERS, '');
+
+  if (visible.length !== normalized.length) {
+    signals.push('hidden-characters');
+  }
+
+  const homoglyphs = replaceHomoglyphs(visible);
+  if (homoglyphs.replaced) {
+    signals.push('homoglyphs');
+  }
+
+  return { text: homoglyphs.text, signals };
+}
+
+/**
+ * Remove allowlisted phrases so they don't trigger rules
+ * Line breaks inside a phrase are kept so findings still point at the right line.
+ * @param {string} text - Normalized text
+ * @param {string[]} allow - Allowlisted phrases
+ * @returns {string} Text without the phrases
+ */
+function removeAllowed(text, allow) {
+  return allow.reduce((result, phrase) => {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return result.replace(new RegExp(escaped, 'gi'), (match) => match.replace(/[^\n]+/g, ' '));
+  }, text);
+}
+
+/**
+ * Score how much of a text is made of markup-like characters
+ * Fenced code blocks are ignored so code and JSON in a prompt don't count against it.
+ * @param {string} text - Normalized text
+ * @returns {number} Weight of the special-characters signal
+ */
+function scoreSpecialCharacters(text) {
+  const prose = text.replace(/```[\s\S]*?(```|$)/g, '').replace(/\s/g, '');
+  if (prose.length === 0) {
+    return 0;
+  }
+
+  const ratio = (prose.match(/[<>{}[\]]/g) || []).length / prose.length;
+  if (ratio > 0.5) {
+    return 1;
+  }
+  return ratio > 0.3 ? 0.5 : 0;
+}
+
+/**
+ * Detect and prevent AI prompt injection attempts
+ * The whole text is normalized, then checked in plain, HTML-decoded and
+ * base64-decoded form against the built-in and repository rules, so a phrase
+ * split over several lines still matches; findings report the line the match
+ * starts on. Evasion signals are located line by line. Every rule and signal
+ * that fires adds its weight to a score; the text is rejected once the score
+ * reaches the threshold.
+ * @param {string} text - Text to validate
+ * @param {Object} [options] - Detection options
+ * @param {Object} [options.rules] - Repository rules from loadInjectionRules
+ * @param {string} [options.source] - Where the text came from, used in findings
+ * @returns {Object} Validation result with isValid, reason, score and findings
+ */
+function detectPromptInjection(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return { isValid: false, reason: 'Invalid input: text must be a non-empty string' };
+  }
+
+  const { rules = { patterns: [], allow: [], threshold: DEFAULT_THRESHOLD }, source = 'text' } =
+    options;
+  const allRules = [...BUILTIN_RULES, ...rules.patterns];
+  const findings = [];
+  const seen = new Set();
+
+  const addFinding = (rule, weight, line, excerpt, encoding = null) => {
+    if (seen.has(rule)) {
+      return;
+    }
+    seen.add(rule);
+    findings.push({ rule, weight, source, line, excerpt: excerpt.trim().slice(0, 80), encoding });
+  };
+
+  const cleaned = removeAllowed(normalizeText(text).text, rules.allow);
+
+  // A decoded base64 token reports the line of the token, whatever lines it decodes to
+  const variants = [{ text: cleaned, encoding: null, lineOf: (index) => lineAt(cleaned, index) }];
+  const htmlDecoded = decodeHtmlEntities(cleaned);
+  if (htmlDecoded !== cleaned) {
+    const decodedText = removeAllowed(normalizeText(htmlDecoded).text, rules.allow);
+    variants.push({
+      text: decodedText,
+      encoding: 'html-entities',
+      lineOf: (index) => lineAt(decodedText, index),
+    });
+  }
+  for (const decoded of decodeBase64Tokens(cleaned)) {
+    const line = lineAt(cleaned, decoded.index);
+    variants.push({
+      text: removeAllowed(normalizeText(decoded.text).text, rules.allow),
+      encoding: 'base64',
+      lineOf: () => line,
+    });
+  }
+
+  for (const variant of variants) {
+    for (const rule of allRules) {
+      const match = variant.text.match(rule.pattern);
+      if (match) {
+        const line = variant.lineOf(match.index);
+        const excerpt = match[0].replace(/\s+/g, ' ');
+        addFinding(rule.id, rule.weight, line, excerpt, variant.encoding);
+        if (variant.encoding) {
+          addFinding(
+            'encoded-payload',
+            SIGNAL_WEIGHTS['encoded-payload'],
+            line,
+            excerpt,
+            variant.encoding
+          );
+        }
+      }
+    }
+  }
+
+  text.split('\n').forEach((rawLine, index) => {
+    const { text: normalized, signals } = normalizeText(rawLine);
+    for (const signal of signals) {
+      addFinding(signal, SIGNAL_WEIGHTS[signal], index + 1, normalized);
+    }
+  });
+
+  const specialWeight = scoreSpecialCharacters(normalizeText(text).text);
+  if (specialWeight > 0) {
+    addFinding('special-characters', specialWeight, null, text);
+  }
+
+  const score = findings.reduce((total, finding) => total + finding.weight, 0);
+  if (score < rules.threshold) {
+    if (findings.length > 0) {
+      logger.info({ source, score, findings }, 'Prompt injection signals below threshold');
+    }
+    return { isValid: true, score, findings };
+  }
+
+  logger.warn({ source, score, findings }, 'Potential prompt injection attempt detected');
+
+  const fired = findings
+    .map((finding) =>
+      finding.line ? `${finding.rule} (${source} line ${finding.line})` : finding.rule
+    )
+    .join(', ');
+  return {
+    isValid: false,
+    reason: `Instruction contains patterns that could manipulate AI behavior: ${fired}`,
+    score,
+    findings,
+  };
+}
+
+/**
+ * Parse and validate repository prompt-injection rules
+ * @param {string} text - YAML rules document
+ * @returns {Object} Normalized rules with patterns, allow and threshold
+ */
+function parseInjectionRules(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid injection rules: ${error.message}`, { cause: error });
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid injection rules: expected a mapping');
+  }
+
+  const threshold = raw.threshold ?? DEFAULT_THRESHOLD;
+  if (typeof threshold !== 'number' || threshold <= 0) {
+    throw new Error('Invalid injection rules: threshold must be a positive number');
+  }
+
+  const allow = raw.allow ?? [];
+  if (!Array.isArray(allow) || allow.some((phrase) => typeof phrase !== 'string')) {
+    throw new Error('Invalid injection rules: allow must be a list of strings');
+  }
+
+  const patterns = (raw.patterns ?? []).map((entry, index) => {
+    if (!entry || typeof entry.pattern !== 'string') {
+      throw new Error(`Invalid injection rules: patterns[${index}].pattern must be a string`);
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(entry.pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid injection rules: patterns[${index}]: ${error.message}`, {
+        cause: error,
+      });
+    }
+
+    const weight = entry.weight ?? 1;
+    if (typeof weight !== 'number' || weight <= 0) {
+      throw new Error(
+        `Invalid injection rules: patterns[${index}].weight must be a positive number`
+      );
+    }
+
+    return { id: entry.id || `custom-${index + 1}`, pattern, weight };
+  });
+
+  return { patterns, allow, threshold };
+}
+
+/**
+ * Load prompt-injection rules from inline YAML or a rules file in the repository
+ * @param {string} source - Inline YAML, a repository-relative file path, or empty
+ * @returns {Promise<Object>} Normalized rules
+ */
+async function loadInjectionRules(source) {
+  if (!source || !source.trim()) {
+    return { patterns: [], allow: [], threshold: DEFAULT_THRESHOLD };
+  }
+
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline injection rules');
+    return parseInjectionRules(source);
+  }
+
+  const rulesPath = await validateFile(source.trim());
+  logger.info({ rulesPath }, 'Loading injection rules file');
+  return parseInjectionRules(fs.readFileSync(rulesPath, 'utf8'));
+}
+
+export { normalizeText, detectPromptInjection, parseInjectionRules, loadInjectionRules };
@@ -0,0 +1,319 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import { logger } from './logger.js';
+import { withRetry } from './retry.js';
+
+const DELEGATE_COMMAND = /^\/delegate(?:\s+([\s\S]*))?$/;
+
+const TRUSTED_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+// Repository permissions that may delegate by labeling; maintain is reported as write
+const TRUSTED_PERMISSIONS = ['admin', 'write'];
+
+// Adding this label to an existing issue delegates it
+const DELEGATE_LABEL = 'delegate';
+
+/**
+ * Parse a /delegate slash command from a comment
+ * @param {string} text - Comment body
+ * @returns {string|null} Extra instructions after the command, or null if not a command
+ */
+function parseDelegateCommand(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const match = text.trim().match(DELEGATE_COMMAND);
+  if (!match) {
+    return null;
+  }
+
+  return (match[1] || '').trim();
+}
+
+/**
+ * Decide whether an event action asks for a delegation
+ * Issues are delegated when they are opened with a /delegate command or given the
+ * delegate label, and commands only when they are posted, so edits and other
+ * activity never start another run.
+ * @param {string} eventName - issues or issue_comment
+ * @param {Object} payload - Event payload
+ * @returns {boolean} True when the action requests a delegation
+ */
+function isDelegationAction(eventName, payload) {
+  if (eventName === 'issue_comment') {
+    return payload.action === 'created';
+  }
+
+  return (
+    payload.action === 'opened' ||
+    (payload.action === 'labeled' && payload.label?.name === DELEGATE_LABEL)
+  );
+}
+
+/**
+ * Check whether a user may write to the repository
+ * Failures count as untrusted, so a permission lookup error never starts a run.
+ * @param {string} token - GitHub token
+ * @param {string} username - GitHub login
+ * @returns {Promise<boolean>} True for users with write, maintain or admin permission
+ */
+async function hasWritePermission(token, username) {
+  if (!username) {
+    return false;
+  }
+
+  const { context } = github;
+  const octokit = github.getOctokit(token);
+  try {
+    const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      username,
+    });
+    return TRUSTED_PERMISSIONS.includes(data.permission);
+  } catch (error) {
+    logger.warn({ username, error: error.message }, 'Failed to check repository permission');
+    return false;
+  }
+}
+
+/**
+ * Build the delegation task for an issue or issue comment event
+ * A new issue is delegated when its body starts with /delegate, and only for a
+ * trusted author. A delegate label is checked against whoever applied it, since
+ * the issue author may not be the one asking.
+ * @param {Object} context - GitHub Actions context
+ * @param {string} token - GitHub token, used to check the permission of a labeler
+ * @returns {Promise<Object|null>} Issue task, or null when the event should not trigger a delegation
+ */
+async function getIssueTask(context, token) {
+  const { eventName, payload } = context;
+  const issue = payload?.issue;
+
+  if (!issue || !['issues', 'issue_comment'].includes(eventName)) {
+    return null;
+  }
+
+  if (issue.pull_request) {
+    logger.info({ issueNumber: issue.number }, 'Ignoring comment on a pull request');
+    return null;
+  }
+
+  if (!isDelegationAction(eventName, payload)) {
+    logger.info(
+      { issueNumber: issue.number, eventName, action: payload.action },
+      'Event action does not request a delegation'
+    );
+    return null;
+  }
+
+  let body = issue.body || '';
+  let extraInstructions = '';
+  let commentId = null;
+  let author = issue.user?.login;
+  let association = issue.author_association;
+
+  if (payload.action === 'opened') {
+    const command = parseDelegateCommand(body);
+    if (command === null) {
+      logger.info({ issueNumber: issue.number }, 'Issue does not start with /delegate');
+      return null;
+    }
+
+    body = command;
+  }
+
+  if (payload.action === 'labeled') {
+    author = payload.sender?.login;
+    if (!(await hasWritePermission(token, author))) {
+      logger.warn(
+        { issueNumber: issue.number, author },
+        'Ignoring delegate label applied without write permission'
+      );
+      return null;
+    }
+  }
+
+  if (eventName === 'issue_comment') {
+    const command = parseDelegateCommand(payload.comment?.body);
+    if (command === null) {
+      logger.info({ issueNumber: issue.number }, 'Comment is not a /delegate command');
+      return null;
+    }
+
+    extraInstructions = command;
+    commentId = payload.comment.id;
+    author = payload.comment.user?.login;
+    association = payload.comment.author_association;
+  }
+
+  if (payload.action !== 'labeled' && !TRUSTED_ASSOCIATIONS.includes(association)) {
+    logger.warn(
+      { issueNumber: issue.number, author, association },
+      'Ignoring delegation request from untrusted author'
+    );
+    return null;
+  }
+
+  return {
+    issueNumber: issue.number,
+    title: issue.title,
+    body,
+    commentId,
+    author,
+    extraInstructions,
+  };
+}
+
+/**
+ * Turn an issue task into Copilot instructions
+ * @param {Object} task - Issue task from getIssueTask
+ * @returns {string} Instructions
+ */
+function buildIssueInstructions(task) {
+  let instructions =
+    `Resolve GitHub issue #${task.issueNumber}: ${task.title}\n\n${task.body}`.trim();
+
+  if (task.extraInstructions) {
+    instructions += `\n\nAdditional instructions from @${task.author}:\n\n${task.extraInstructions}`;
+  }
+
+  return instructions;
+}
+
+/**
+ * Post a comment on an issue or pull request, at most once
+ * A create that failed in transit may still have gone through, so a retry
+ * first looks for a comment with the same body.
+ * @param {Object} octokit - Authenticated Octokit client
+ * @param {string} operation - What the comment is, used in logs and outputs
+ * @param {number} issueNumber - Issue or pull request number
+ * @param {string} body - Comment body
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<Object>} The created or already existing comment
+ */
+async function createIssueComment(octokit, operation, issueNumber, body, retries = null) {
+  const { context } = github;
+  const params = { owner: context.repo.owner, repo: context.repo.repo, issue_number: issueNumber };
+
+  return withRetry(
+    operation,
+    async (attempt) => {
+      if (attempt > 1) {
+        const comments = await octokit.paginate(octokit.rest.issues.listComments, params);
+        const existing = comments.find((comment) => comment.body === body);
+        if (existing) {
+          logger.info({ issueNumber, commentId: existing.id }, 'Comment was already posted');
+          return existing;
+        }
+      }
+
+      const { data } = await octokit.rest.issues.createComment({ ...params, body });
+      return data;
+    },
+    retries
+  );
+}
+
+/**
+ * React to the triggering issue or comment and post a progress comment
+ * @param {string} token - GitHub token
+ * @param {Object} task - Issue task from getIssueTask
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<number|null>} Progress comment ID or null
+ */
+async function acknowledgeIssue(token, task, retries = null) {
+  logger.info({ issueNumber: task.issueNumber }, 'Acknowledging delegation request');
+
+  const octokit = github.getOctokit(token);
+  const { context } = github;
+  const repo = { owner: context.repo.owner, repo: context.repo.repo };
+  const runUrl = `${context.serverUrl}/${repo.owner}/${repo.repo}/actions/runs/${context.runId}`;
+
+  try {
+    if (task.commentId) {
+      await withRetry(
+        'add reaction',
+        () =>
+          octokit.rest.reactions.createForIssueComment({
+            ...repo,
+            comment_id: task.commentId,
+            content: 'eyes',
+          }),
+        retries
+      );
+    } else {
+      await withRetry(
+        'add reaction',
+        () =>
+          octokit.rest.reactions.createForIssue({
+            ...repo,
+            issue_number: task.issueNumber,
+            content: 'eyes',
+          }),
+        retries
+      );
+    }
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Failed to add reaction');
+  }
+
+  try {
+    const comment = await createIssueComment(
+      octokit,
+      'post progress comment',
+      task.issueNumber,
+      `⏳ Delegating this issue to GitHub Copilot. [Follow the run](${runUrl}).`,
+      retries
+    );
+    return comment.id;
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to post progress comment');
+    core.warning(`Failed to post progress comment: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Update the progress comment on the issue
+ * @param {string} token - GitHub token
+ * @param {Object} task - Issue task from getIssueTask
+ * @param {number|null} commentId - Progress comment ID
+ * @param {string} body - New comment body
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<void>}
+ */
+async function updateIssueProgress(token, task, commentId, body, retries = null) {
+  logger.info({ issueNumber: task.issueNumber, commentId }, 'Updating issue progress');
+
+  try {
+    const octokit = github.getOctokit(token);
+    const { context } = github;
+    const repo = { owner: context.repo.owner, repo: context.repo.repo };
+
+    if (commentId) {
+      await withRetry(
+        'update issue progress',
+        () => octokit.rest.issues.updateComment({ ...repo, comment_id: commentId, body }),
+        retries
+      );
+    } else {
+      await createIssueComment(octokit, 'update issue progress', task.issueNumber, body, retries);
+    }
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to update issue progress');
+    core.warning(`Failed to update issue progress: ${error.message}`);
+  }
+}
+
+export {
+  TRUSTED_ASSOCIATIONS,
+  DELEGATE_LABEL,
+  parseDelegateCommand,
+  getIssueTask,
+  buildIssueInstructions,
+  createIssueComment,
+  acknowledgeIssue,
+  updateIssueProgress,
+};
@@ -0,0 +1,176 @@
+import * as exec from '@actions/exec';
+import { parsePermissionPolicy } from './permissions.js';
+
+// Types allowed by the repository's commitlint configuration
+const COMMIT_TYPES = [
+  'feat',
+  'fix',
+  'docs',
+  'style',
+  'refactor',
+  'perf',
+  'test',
+  'build',
+  'ci',
+  'chore',
+  'revert',
+];
+
+// Footer the commitlint RAI plugin accepts for mostly AI-generated changes
+const ATTRIBUTION_TRAILER = 'Generated-by: GitHub Copilot <copilot@github.com>';
+
+const MAX_HEADER_LENGTH = 100;
+
+// Only the start of a long diff is sent; the stat above it still lists every file
+const MAX_DIFF_LENGTH = 30000;
+
+// Message sessions only read the diff in their prompt, so every tool request is denied
+const MESSAGE_POLICY = parsePermissionPolicy('default: deny');
+
+const HEADER_PATTERN = /^(\w+)(\([^()\n]+\))?(!)?: (.+)$/;
+
+// Trailers the model may add on its own; the attribution is appended after validation
+const TRAILER_PATTERN =
+  /^(Authored-by|Commit-generated-by|Assisted-by|Co-authored-by|Generated-by|Signed-off-by):/i;
+
+/**
+ * Read a diff to summarize, with its stat first
+ * @param {string[]} range - Arguments selecting the diff, e.g. ['--cached', 'HEAD']
+ * @returns {Promise<string>} Stat and patch, empty when nothing changed
+ */
+async function getDiffForPrompt(range) {
+  const { stdout: stat } = await exec.getExecOutput('git', ['diff', '--stat', ...range], {
+    silent: true,
+  });
+  if (!stat.trim()) {
+    return '';
+  }
+
+  const { stdout: patch } = await exec.getExecOutput('git', ['diff', '--no-color', ...range], {
+    silent: true,
+  });
+  const diff = `${stat.trim()}\n\n${patch.trim()}`;
+  return diff.length > MAX_DIFF_LENGTH
+    ? `${diff.slice(0, MAX_DIFF_LENGTH)}\n… (diff truncated)`
+    : diff;
+}
+
+/**
+ * Build the prompt asking for a commit message
+ * @param {string} diff - Staged diff from getDiffForPrompt
+ * @returns {string} Prompt
+ */
+function buildCommitMessagePrompt(diff) {
+  return (
+    `Write a Conventional Commits message for the diff below. Reply with the message only: ` +
+    `a header of the form \`type(scope): subject\` no longer than ${MAX_HEADER_LENGTH} characters, ` +
+    `where type is one of ${COMMIT_TYPES.join(', ')}, then a blank line and a short body ` +
+    `explaining what changed and why. Don't add trailers and don't change any files.\n\n` +
+    `\`\`\`diff\n${diff}\n\`\`\``
+  );
+}
+
+/**
+ * Build the prompt asking for a pull request title and description
+ * @param {string} diff - Diff of the whole branch from getDiffForPrompt
+ * @returns {string} Prompt
+ */
+function buildPullRequestPrompt(diff) {
+  return (
+    `Write a pull request title and description for the diff below. Reply with the title on ` +
+    `the first line, in Conventional Commits form (\`type(scope): subject\`, type one of ` +
+    `${COMMIT_TYPES.join(', ')}), then a blank line and a Markdown description of what ` +
+    `changed and what reviewers should check. Don't change any files.\n\n` +
+    `\`\`\`diff\n${diff}\n\`\`\``
+  );
+}
+
+/**
+ * Strip the code fence a model sometimes wraps its whole reply in
+ * @param {string} reply - Model reply
+ * @returns {string} Trimmed reply
+ */
+function unwrapReply(reply) {
+  const text = (reply || '').trim();
+  const fenced = text.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+  return fenced ? fenced[1].trim() : text;
+}
+
+/**
+ * Check a header against the Conventional Commits rules commitlint enforces
+ * @param {string} header - Commit header or pull request title
+ * @param {string} kind - What is being checked, used in error messages
+ * @returns {string} The header
+ */
+function validateHeader(header, kind) {
+  const match = header.match(HEADER_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid ${kind}: "${header}" is not in type(scope): subject form`);
+  }
+
+  const [, type, , , subject] = match;
+  if (!COMMIT_TYPES.includes(type)) {
+    throw new Error(`Invalid ${kind}: type must be one of ${COMMIT_TYPES.join(', ')}`);
+  }
+
+  if (header.length > MAX_HEADER_LENGTH) {
+    throw new Error(`Invalid ${kind}: header is longer than ${MAX_HEADER_LENGTH} characters`);
+  }
+
+  if (subject === subject.toUpperCase() && /[A-Z]/.test(subject)) {
+    throw new Error(`Invalid ${kind}: subject must not be upper case`);
+  }
+
+  return header;
+}
+
+/**
+ * Validate a generated commit message and add the attribution
+ * @param {string} reply - Model reply
+ * @param {string} actor - User who triggered the run
+ * @returns {string} Commit message ending with the RAI attribution trailer
+ */
+function parseCommitMessage(reply, actor) {
+  const [header = '', ...rest] = unwrapReply(reply).split('\n');
+  validateHeader(header.trim(), 'commit message');
+
+  const body = rest
+    .filter((line) => !TRAILER_PATTERN.test(line.trim()))
+    .join('\n')
+    .trim();
+
+  return [
+    header.trim(),
+    body,
+    `Generated with GitHub Copilot as directed by @${actor}`,
+    ATTRIBUTION_TRAILER,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Validate a generated pull request title and description
+ * @param {string} reply - Model reply
+ * @returns {Object} Title and Markdown body
+ */
+function parsePullRequestText(reply) {
+  const [title = '', ...rest] = unwrapReply(reply).split('\n');
+  const body = rest.join('\n').trim();
+  if (!body) {
+    throw new Error('Invalid pull request description: the reply has no description');
+  }
+
+  return { title: validateHeader(title.replace(/^#+\s*/, '').trim(), 'pull request title'), body };
+}
+
+export {
+  COMMIT_TYPES,
+  ATTRIBUTION_TRAILER,
+  MESSAGE_POLICY,
+  getDiffForPrompt,
+  buildCommitMessagePrompt,
+  buildPullRequestPrompt,
+  parseCommitMessage,
+  parsePullRequestText,
+};
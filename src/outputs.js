@@ -0,0 +1,164 @@
+import * as core from '@actions/core';
+import * as exec from '@actions/exec';
+import { logger } from './logger.js';
+
+/**
+ * Create the result of a run, updated as the run progresses
+ * The status starts as failed so any early exit that doesn't set one is reported as a failure.
+ * @returns {Object} Run result
+ */
+function createRunResult() {
+  return {
+    status: 'failed',
+    startedAt: Date.now(),
+    prNumber: null,
+    prUrl: null,
+    branch: null,
+    baseBranch: null,
+    model: null,
+    dryRun: false,
+    commits: {},
+    files: [],
+    violations: [],
+    tasks: [],
+    verification: null,
+    retries: [],
+    context: null,
+    budget: null,
+    denials: [],
+    findings: [],
+    error: null,
+  };
+}
+
+/**
+ * Collect per-file line counts with git diff --numstat
+ * Rename detection is off, so a renamed file shows up as its old path removed and
+ * its new path added, and -z keeps unusual file names unquoted. Binary files
+ * report null counts.
+ * @param {string[]} range - Arguments selecting what to diff, e.g. ['abc123', 'HEAD']
+ * @returns {Promise<Array<Object>>} Changed files with added and removed line counts
+ */
+async function getDiffStats(range) {
+  try {
+    const { stdout } = await exec.getExecOutput(
+      'git',
+      ['diff', '--numstat', '--no-renames', '-z', ...range],
+      { silent: true }
+    );
+
+    return stdout
+      .split('\0')
+      .map((entry) => entry.match(/^(-|\d+)\t(-|\d+)\t([\s\S]+)$/))
+      .filter(Boolean)
+      .map(([, additions, deletions, file]) => ({
+        path: file,
+        additions: additions === '-' ? null : Number(additions),
+        deletions: deletions === '-' ? null : Number(deletions),
+      }));
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Failed to collect diff stats');
+    return [];
+  }
+}
+
+/**
+ * Describe a verification result with the output's snake_case keys
+ * @param {Object} verification - Verification state from createVerifier
+ * @returns {Object} Command, outcome and attempts
+ */
+function summarizeVerification(verification) {
+  return {
+    command: verification.command,
+    passed: verification.passed,
+    attempts: verification.attempts,
+    exit_code: verification.exitCode,
+    timed_out: verification.timedOut,
+  };
+}
+
+/**
+ * Expose the run result as action outputs
+ * @param {Object} result - Run result from createRunResult
+ * @param {Object} transcript - Session transcript, for the session IDs
+ * @returns {Object} The `result` output as an object
+ */
+function publishRunResult(result, transcript) {
+  const summary = {
+    status: result.status,
+    pr_number: result.prNumber,
+    pr_url: result.prUrl,
+    branch: result.branch,
+    base_branch: result.baseBranch,
+    model: result.model,
+    dry_run: result.dryRun,
+    commits: result.commits,
+    files: result.files,
+    guardrail_violations: result.violations,
+    tasks: result.tasks.map((task) => ({
+      file: task.file,
+      title: task.title,
+      status: task.status,
+      branch: task.branch,
+      pr_number: task.prNumber,
+      pr_url: task.prUrl,
+      commit: task.commit,
+      files: task.files,
+      verification: task.verification && summarizeVerification(task.verification),
+      error: task.error,
+    })),
+    verification: result.verification && {
+      stage: result.verification.stage,
+      ...summarizeVerification(result.verification),
+    },
+    retries: result.retries,
+    context_files: result.context && {
+      included: result.context.files,
+      dropped: result.context.dropped,
+      bytes: result.context.bytes,
+      budget: result.context.budget,
+    },
+    budget: result.budget,
+    sessions: transcript.sessions.map(({ phase, sessionId }) => ({
+      phase,
+      session_id: sessionId,
+    })),
+    duration_seconds: Math.round((Date.now() - result.startedAt) / 1000),
+    error: result.error,
+  };
+
+  core.setOutput('status', summary.status);
+  if (summary.pr_url) {
+    core.setOutput('pr_url', summary.pr_url);
+  }
+  core.setOutput('commits', JSON.stringify(summary.commits));
+  core.setOutput('changed_files', JSON.stringify(summary.files.map((file) => file.path)));
+  core.setOutput('file_stats', JSON.stringify(summary.files));
+  core.setOutput(
+    'session_ids',
+    JSON.stringify(summary.sessions.map((session) => session.session_id))
+  );
+  core.setOutput('guardrail_violations', JSON.stringify(summary.guardrail_violations));
+  core.setOutput('tasks', JSON.stringify(summary.tasks));
+  if (summary.verification) {
+    core.setOutput('verification', JSON.stringify(summary.verification));
+  }
+  core.setOutput('retries', JSON.stringify(summary.retries));
+  if (summary.context_files) {
+    core.setOutput('context_files', JSON.stringify(summary.context_files));
+  }
+  if (summary.budget) {
+    core.setOutput('budget', JSON.stringify(summary.budget));
+  }
+  core.setOutput('duration_seconds', summary.duration_seconds);
+  core.setOutput('result', JSON.stringify(summary));
+
+  logger.info(
+    { status: summary.status, prNumber: summary.pr_number, files: summary.files.length },
+    'Run result published'
+  );
+
+  return summary;
+}
+
+export { createRunResult, getDiffStats, publishRunResult };
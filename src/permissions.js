@@ -0,0 +1,340 @@
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { validateFile } from './validation.js';
+
+const DECISIONS = ['allow', 'deny'];
+
+const DEFAULT_POLICY = {
+  default: 'allow',
+  kinds: {},
+  write: { paths: [] },
+  shell: { allow: [], deny: [] },
+};
+
+// `&` runs in the background unless it is part of a redirection such as 2>&1 or &>
+const SHELL_SEPARATORS = /\s*(?:&&|\|\||\|&|;|\||(?<![<>])&(?!>)|\n)\s*/;
+
+// Substitutions and subshells hide commands that splitting on separators cannot reach
+const UNSPLITTABLE_SHELL = /\$\(|`|[<>]\(|(?:^|[\s;&|])(?:\(|\{\s)/;
+
+// Output redirections such as > file, >> file, 2> file and &> file; >&2 duplicates a descriptor
+const WRITE_REDIRECTION = /(?:&>>?|\d*>>?\|?)(?!&)\s*(["']?)([^\s;&|<>()"']+)\1/g;
+
+// Redirection targets that are not files in the workspace
+const DEVICE_TARGETS = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+
+/**
+ * Ensure a policy value is a list of strings
+ * @param {*} value - Raw value from the policy document
+ * @param {string} field - Field name used in error messages
+ * @returns {string[]} Validated list
+ */
+function toStringList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+    throw new Error(`Invalid permission policy: ${field} must be a list of strings`);
+  }
+
+  return value;
+}
+
+/**
+ * Ensure a policy value is a known decision
+ * @param {*} value - Raw value from the policy document
+ * @param {string} field - Field name used in error messages
+ * @returns {string} Validated decision
+ */
+function toDecision(value, field) {
+  if (!DECISIONS.includes(value)) {
+    throw new Error(`Invalid permission policy: ${field} must be one of ${DECISIONS.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse and validate a YAML permission policy
+ * @param {string} text - YAML policy document
+ * @returns {Object} Normalized policy
+ */
+function parsePermissionPolicy(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid permission policy: ${error.message}`, { cause: error });
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid permission policy: expected a mapping');
+  }
+
+  const kinds = {};
+  for (const [kind, decision] of Object.entries(raw.kinds || {})) {
+    kinds[kind] = toDecision(decision, `kinds.${kind}`);
+  }
+
+  return {
+    default: raw.default === undefined ? 'allow' : toDecision(raw.default, 'default'),
+    kinds,
+    write: { paths: toStringList(raw.write?.paths, 'write.paths') },
+    shell: {
+      allow: toStringList(raw.shell?.allow, 'shell.allow'),
+      deny: toStringList(raw.shell?.deny, 'shell.deny'),
+    },
+  };
+}
+
+/**
+ * Load a permission policy from inline YAML or a policy file in the repository
+ * @param {string} source - Inline YAML, a repository-relative file path, or empty
+ * @returns {Promise<Object>} Normalized policy
+ */
+async function loadPermissionPolicy(source) {
+  if (!source || !source.trim()) {
+    logger.info('No permission policy configured, all requests will be approved');
+    return DEFAULT_POLICY;
+  }
+
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline permission policy');
+    return parsePermissionPolicy(source);
+  }
+
+  const policyPath = await validateFile(source.trim());
+  logger.info({ policyPath }, 'Loading permission policy file');
+  return parsePermissionPolicy(fs.readFileSync(policyPath, 'utf8'));
+}
+
+/**
+ * Test a shell command against a policy pattern
+ * Patterns wrapped in slashes are regular expressions, anything else is a
+ * wildcard pattern where `*` matches any sequence of characters.
+ * @param {string} command - Shell command
+ * @param {string} pattern - Policy pattern
+ * @returns {boolean} True when the command matches
+ */
+function matchesCommand(command, pattern) {
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    return new RegExp(pattern.slice(1, -1)).test(command);
+  }
+
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`).test(command);
+}
+
+/**
+ * Split a command chain on its separators (`&&`, `||`, `;`, `|`, `&`, newlines)
+ * @param {string} commandText - Full command text
+ * @returns {string[]} Commands of the chain
+ */
+function splitShellCommands(commandText) {
+  return commandText.split(SHELL_SEPARATORS).filter(Boolean);
+}
+
+/**
+ * Evaluate a shell permission request
+ * Every command in a chain (`&&`, `||`, `;`, `|`, `&`) must pass the policy, and
+ * commands with substitutions or subshells are denied outright because what they
+ * run cannot be checked. The commands the SDK parsed are held to the deny
+ * patterns as well; without a shell parser it reports the full text as one command.
+ * @param {Object} policy - Normalized policy
+ * @param {string} commandText - Full command text
+ * @param {Array<Object>} [parsed] - Commands parsed by the SDK, each with an identifier
+ * @returns {string|null} Denial reason or null when allowed
+ */
+function evaluateShell(policy, commandText, parsed = []) {
+  if (UNSPLITTABLE_SHELL.test(commandText)) {
+    return `Command "${commandText}" uses substitutions or subshells that cannot be checked against policy`;
+  }
+
+  for (const { identifier } of parsed) {
+    const denied =
+      identifier && policy.shell.deny.find((pattern) => matchesCommand(identifier, pattern));
+    if (denied) {
+      return `Command "${identifier}" matches denied pattern "${denied}"`;
+    }
+  }
+
+  for (const command of splitShellCommands(commandText)) {
+    const denied = policy.shell.deny.find((pattern) => matchesCommand(command, pattern));
+    if (denied) {
+      return `Command "${command}" matches denied pattern "${denied}"`;
+    }
+
+    if (
+      policy.shell.allow.length > 0 &&
+      !policy.shell.allow.some((pattern) => matchesCommand(command, pattern))
+    ) {
+      return `Command "${command}" is not in the shell allowlist`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a write permission request
+ * @param {Object} policy - Normalized policy
+ * @param {string} fileName - File the agent wants to write
+ * @returns {string|null} Denial reason or null when allowed
+ */
+function evaluateWrite(policy, fileName) {
+  const relativePath = path.relative(process.cwd(), path.resolve(fileName));
+
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return `Path ${fileName} is outside the workspace`;
+  }
+
+  if (
+    policy.write.paths.length > 0 &&
+    !policy.write.paths.some((glob) => minimatch(relativePath, glob, { dot: true }))
+  ) {
+    return `Path ${relativePath} does not match any allowed write path`;
+  }
+
+  return null;
+}
+
+/**
+ * Hold the files a shell command redirects output to against the write policy
+ * Without it an allowed command could write anywhere with `>`. The SDK flags
+ * commands with a write redirection; when it does and no target can be read
+ * from the command text, the command is denied.
+ * @param {Object} policy - Normalized policy
+ * @param {string} commandText - Full command text
+ * @param {boolean} [hasWriteFileRedirection] - Whether the SDK found a write redirection
+ * @returns {string|null} Denial reason or null when allowed
+ */
+function evaluateRedirection(policy, commandText, hasWriteFileRedirection = false) {
+  const targets = [...commandText.matchAll(WRITE_REDIRECTION)]
+    .map((match) => match[2])
+    .filter((target) => !DEVICE_TARGETS.includes(target));
+
+  if (targets.length === 0) {
+    return hasWriteFileRedirection
+      ? `Command "${commandText}" redirects output to a file that cannot be checked against the allowed write paths`
+      : null;
+  }
+
+  for (const target of targets) {
+    const reason = evaluateWrite(policy, target);
+    if (reason) {
+      return `Command "${commandText}" redirects output: ${reason}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe what a permission request targets, for logging
+ * @param {Object} request - Permission request from the Copilot session
+ * @returns {string|undefined} Command, path or tool the request refers to
+ */
+function describeTarget(request) {
+  switch (request.kind) {
+    case 'shell':
+      return request.fullCommandText || request.command;
+    case 'write':
+    case 'read':
+      return request.fileName || request.path;
+    case 'mcp':
+      return request.toolName;
+    case 'url':
+      return request.url;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Decide whether a permission request is allowed by the policy
+ * @param {Object} policy - Normalized policy
+ * @param {Object} request - Permission request from the Copilot session
+ * @returns {string|null} Denial reason or null when allowed
+ */
+function evaluatePermission(policy, request) {
+  const decision = policy.kinds[request.kind] || policy.default;
+  if (decision === 'deny') {
+    return `Permission kind "${request.kind}" is denied by policy`;
+  }
+
+  const target = describeTarget(request);
+
+  if (request.kind === 'shell') {
+    const restricted = policy.shell.allow.length > 0 || policy.shell.deny.length > 0;
+    const writeRestricted = policy.write.paths.length > 0;
+    if (!target) {
+      return restricted || writeRestricted
+        ? 'Shell request has no command text to check against policy'
+        : null;
+    }
+    const reason = restricted ? evaluateShell(policy, target, request.commands) : null;
+    return (
+      reason ||
+      (writeRestricted
+        ? evaluateRedirection(policy, target, request.hasWriteFileRedirection)
+        : null)
+    );
+  }
+
+  if (request.kind === 'write' && target) {
+    return evaluateWrite(policy, target);
+  }
+
+  return null;
+}
+
+/**
+ * Build the result that denies a permission request
+ * @param {Object} request - Permission request from the Copilot session
+ * @returns {Object} denied-by-rules result naming the request as the rule that matched
+ */
+function denyRequest(request) {
+  return {
+    kind: 'denied-by-rules',
+    rules: [{ kind: request.kind, argument: describeTarget(request) ?? null }],
+  };
+}
+
+/**
+ * Create an onPermissionRequest handler that enforces a policy
+ * Denials are appended to the provided list so callers can report them.
+ * @param {Object} policy - Normalized policy
+ * @param {Array<Object>} denials - Collector for denied requests
+ * @returns {Function} Async permission handler
+ */
+function createPermissionHandler(policy = DEFAULT_POLICY, denials = []) {
+  return async (request) => {
+    const target = describeTarget(request);
+    const reason = evaluatePermission(policy, request);
+
+    if (reason) {
+      logger.warn({ requestKind: request.kind, target, reason }, 'Permission denied');
+      denials.push({ kind: request.kind, target, reason });
+      return denyRequest(request);
+    }
+
+    logger.info({ requestKind: request.kind, target }, 'Permission approved');
+    return { kind: 'approved' };
+  };
+}
+
+export {
+  DEFAULT_POLICY,
+  parsePermissionPolicy,
+  loadPermissionPolicy,
+  matchesCommand,
+  splitShellCommands,
+  evaluatePermission,
+  denyRequest,
+  createPermissionHandler,
+};
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { loadPermissionPolicy } from './permissions.js';
+import { validateFile } from './validation.js';
+
+const CONDITIONS = ['always', 'changed', 'unchanged'];
+
+const STAGE_KEYS = [
+  'name',
+  'prompt',
+  'prompt-file',
+  'model',
+  'permission-policy',
+  'commit-message',
+  'condition',
+  'timeout',
+];
+
+// The implement-then-review flow used when no pipeline is configured
+const DEFAULT_PIPELINE = {
+  stages: [
+    {
+      name: 'implementation',
+      prompt: null,
+      promptFile: null,
+      model: null,
+      policy: null,
+      commitMessage: 'feat: delegate action changes',
+      condition: 'always',
+      timeoutMinutes: null,
+    },
+    {
+      name: 'review',
+      prompt: 'Review {{changes}}, create documentation for new features, and suggest test cases',
+      promptFile: null,
+      model: null,
+      policy: null,
+      commitMessage: 'docs: add documentation and tests',
+      condition: 'always',
+      timeoutMinutes: null,
+    },
+  ],
+};
+
+/**
+ * Normalize an optional string stage value
+ * @param {*} value - Raw value
+ * @param {string} field - Field path used in error messages
+ * @returns {string|null} Trimmed string, or null when unset
+ */
+function toOptionalString(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Invalid pipeline: ${field} must be a non-empty string`);
+  }
+
+  return value.trim();
+}
+
+/**
+ * Validate one stage of a pipeline document
+ * @param {*} raw - Raw stage
+ * @param {number} index - Position of the stage, used in error messages
+ * @returns {Object} Stage with the permission policy still unresolved
+ */
+function parseStage(raw, index) {
+  const field = `stages[${index}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid pipeline: ${field} must be a mapping`);
+  }
+
+  const unknownKeys = Object.keys(raw).filter((key) => !STAGE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Invalid pipeline: ${field} has unknown keys ${unknownKeys.join(', ')}`);
+  }
+
+  const name = toOptionalString(raw.name, `${field}.name`);
+  if (!name || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    throw new Error(
+      `Invalid pipeline: ${field}.name must be letters, digits, dashes or underscores`
+    );
+  }
+
+  const prompt = toOptionalString(raw.prompt, `${field}.prompt`);
+  const promptFile = toOptionalString(raw['prompt-file'], `${field}.prompt-file`);
+  if (prompt && promptFile) {
+    throw new Error(`Invalid pipeline: ${field} can't have both prompt and prompt-file`);
+  }
+
+  const condition = raw.condition ?? 'always';
+  if (!CONDITIONS.includes(condition)) {
+    throw new Error(`Invalid pipeline: ${field}.condition must be one of ${CONDITIONS.join(', ')}`);
+  }
+
+  let timeoutMinutes = null;
+  if (raw.timeout !== undefined && raw.timeout !== null) {
+    timeoutMinutes = Number(raw.timeout);
+    if (!Number.isFinite(timeoutMinutes) || timeoutMinutes <= 0) {
+      throw new Error(`Invalid pipeline: ${field}.timeout must be a positive number of minutes`);
+    }
+  }
+
+  const policy = raw['permission-policy'];
+  if (
+    policy !== undefined &&
+    policy !== null &&
+    typeof policy !== 'string' &&
+    typeof policy !== 'object'
+  ) {
+    throw new Error(`Invalid pipeline: ${field}.permission-policy must be a mapping or file path`);
+  }
+
+  return {
+    name,
+    prompt,
+    promptFile,
+    model: toOptionalString(raw.model, `${field}.model`),
+    policy: policy ?? null,
+    commitMessage:
+      toOptionalString(raw['commit-message'], `${field}.commit-message`) ||
+      (prompt || promptFile ? `chore: apply ${name} stage` : 'feat: delegate action changes'),
+    condition,
+    timeoutMinutes,
+  };
+}
+
+/**
+ * Parse and validate a YAML pipeline document
+ * Stage permission policies and prompt files are resolved by loadPipeline.
+ * @param {string} text - YAML pipeline document
+ * @returns {Object} Pipeline with its ordered stages
+ */
+function parsePipeline(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid pipeline: ${error.message}`, { cause: error });
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid pipeline: expected a mapping');
+  }
+
+  if (!Array.isArray(raw.stages) || raw.stages.length === 0) {
+    throw new Error('Invalid pipeline: stages must be a non-empty list');
+  }
+
+  const stages = raw.stages.map(parseStage);
+
+  const names = new Set();
+  for (const stage of stages) {
+    if (names.has(stage.name)) {
+      throw new Error(`Invalid pipeline: duplicate stage name ${stage.name}`);
+    }
+    names.add(stage.name);
+  }
+
+  if (stages.every((stage) => stage.prompt || stage.promptFile)) {
+    throw new Error(
+      'Invalid pipeline: at least one stage must run the task instructions (no prompt or prompt-file)'
+    );
+  }
+
+  return { stages };
+}
+
+/**
+ * Load a pipeline from inline YAML or a pipeline file in the repository
+ * Prompt files are read and stage permission policies loaded up front, so a
+ * broken stage fails the run before any session starts.
+ * @param {string} source - Inline YAML, a repository-relative file path, or empty
+ * @returns {Promise<Object>} Pipeline with resolved stages
+ */
+async function loadPipeline(source) {
+  if (!source || !source.trim()) {
+    logger.info('No pipeline configured, using the implementation and review stages');
+    return DEFAULT_PIPELINE;
+  }
+
+  let pipeline;
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline pipeline');
+    pipeline = parsePipeline(source);
+  } else {
+    const pipelinePath = await validateFile(source.trim());
+    logger.info({ pipelinePath }, 'Loading pipeline file');
+    pipeline = parsePipeline(fs.readFileSync(pipelinePath, 'utf8'));
+  }
+
+  for (const stage of pipeline.stages) {
+    if (stage.promptFile) {
+      stage.prompt = fs.readFileSync(await validateFile(stage.promptFile), 'utf8');
+    }
+
+    if (stage.policy !== null) {
+      const policySource =
+        typeof stage.policy === 'string' ? stage.policy : YAML.stringify(stage.policy);
+      try {
+        stage.policy = await loadPermissionPolicy(policySource);
+      } catch (error) {
+        throw new Error(`Invalid pipeline: stage ${stage.name}: ${error.message}`, {
+          cause: error,
+        });
+      }
+    }
+  }
+
+  logger.info({ stages: pipeline.stages.map((stage) => stage.name) }, 'Pipeline loaded');
+  return pipeline;
+}
+
+/**
+ * Decide whether a stage runs, given whether the stage before it changed files
+ * The first stage always runs.
+ * @param {Object} stage - Pipeline stage
+ * @param {boolean|null} previousChanged - Whether the previous stage changed files, null for the first stage
+ * @returns {boolean} True when the stage should run
+ */
+function shouldRunStage(stage, previousChanged) {
+  if (previousChanged === null || stage.condition === 'always') {
+    return true;
+  }
+
+  return stage.condition === 'changed' ? previousChanged : !previousChanged;
+}
+
+/**
+ * Fill in the {{placeholders}} of a stage prompt
+ * Unknown placeholders are left as they are.
+ * @param {string} prompt - Stage prompt
+ * @param {Object} variables - Placeholder values by name
+ * @returns {string} Rendered prompt
+ */
+function renderStagePrompt(prompt, variables) {
+  return prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    Object.hasOwn(variables, name) ? variables[name] : placeholder
+  );
+}
+
+export { DEFAULT_PIPELINE, parsePipeline, loadPipeline, shouldRunStage, renderStagePrompt };
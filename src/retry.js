@@ -0,0 +1,191 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { logger } from './logger.js';
+
+const DEFAULT_MAX_RETRIES = 3;
+
+const BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// GitHub asks clients hitting a secondary rate limit without retry-after to wait a minute
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60000;
+
+// Waiting out a longer limit would cost more than failing the call
+const MAX_RETRY_WAIT_MS = 5 * 60000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const RETRYABLE_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+
+// Errors without a status or code, such as Copilot session errors, are classified by message
+const TRANSIENT_MESSAGE =
+  /rate limit|socket hang up|network error|temporarily unavailable|overloaded|service unavailable|bad gateway|ECONNRESET|ETIMEDOUT/i;
+
+/**
+ * Create the retry state of a run
+ * The run passes it to each withRetry call, so its limit and records stay with that run.
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxRetries] - Retries after the first attempt, 0 disables retrying
+ * @returns {Object} The retry limit and the calls that hit a transient error, with their
+ *   operation, attempts, whether they finally succeeded and the last error
+ */
+function createRetryRecorder({ maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+  return { maxRetries, records: [] };
+}
+
+/**
+ * Read the response headers of an Octokit error
+ * @param {Error} error - Failed call
+ * @returns {Object} Lowercase header names to values
+ */
+function getHeaders(error) {
+  return error.response?.headers ?? {};
+}
+
+/**
+ * Check whether an error is a GitHub primary or secondary rate limit
+ * @param {Error} error - Failed call
+ * @returns {boolean} True when the call was rate limited
+ */
+function isRateLimited(error) {
+  if (error.status === 429) {
+    return true;
+  }
+
+  return (
+    error.status === 403 &&
+    (getHeaders(error)['x-ratelimit-remaining'] === '0' || /rate limit/i.test(error.message || ''))
+  );
+}
+
+/**
+ * Decide whether a failed call is worth retrying
+ * Rate limits, server errors, timeouts and dropped connections are retried;
+ * other client errors such as validation failures are fatal, and so is any
+ * error the caller marked with `retryable: false` because repeating the call
+ * is unsafe.
+ * @param {Error} error - Failed call
+ * @returns {boolean} True when the call may succeed if repeated
+ */
+function isRetryableError(error) {
+  if (error.retryable === false) {
+    return false;
+  }
+
+  if (isRateLimited(error)) {
+    return true;
+  }
+
+  if (typeof error.status === 'number') {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  if (RETRYABLE_CODES.includes(error.code ?? error.cause?.code)) {
+    return true;
+  }
+
+  return TRANSIENT_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Work out how long to wait before the next attempt
+ * A retry-after header wins, then the primary rate limit reset time, then the
+ * fixed secondary rate limit wait, then exponential backoff.
+ * @param {Error} error - Failed call
+ * @param {number} attempt - Attempt that failed, starting at 1
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, now = Date.now()) {
+  const headers = getHeaders(error);
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+    if (Number.isFinite(delay)) {
+      return Math.max(0, delay);
+    }
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - now);
+  }
+
+  if (isRateLimited(error)) {
+    return SECONDARY_RATE_LIMIT_DELAY_MS;
+  }
+
+  return Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Run a call, retrying it with backoff while it fails with transient errors
+ * The final error carries the number of attempts made. A call that creates
+ * something may have gone through even though it failed, so it should use the
+ * attempt number to look for what an earlier attempt created before repeating it.
+ * @param {string} operation - What the call does, used in logs and outputs
+ * @param {Function} call - Async function to run, receives the attempt number
+ * @param {Object} [recorder] - Retry state of the run from createRetryRecorder;
+ *   without one the default limit applies and nothing is recorded
+ * @returns {Promise<*>} Value of the first successful attempt
+ */
+async function withRetry(operation, call, recorder = null) {
+  const maxRetries = recorder?.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const records = recorder?.records ?? [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const value = await call(attempt);
+      if (attempt > 1) {
+        logger.info({ operation, attempts: attempt }, 'Call succeeded after retrying');
+        records.push({ operation, attempts: attempt, succeeded: true, error: null });
+      }
+      return value;
+    } catch (error) {
+      error.attempts = attempt;
+      const retryable = isRetryableError(error);
+      const delayMs = retryable ? getRetryDelay(error, attempt) : null;
+      if (!retryable && attempt === 1) {
+        throw error;
+      }
+
+      if (!retryable || attempt > maxRetries || delayMs > MAX_RETRY_WAIT_MS) {
+        logger.error(
+          { operation, attempts: attempt, delayMs, error: error.message },
+          'Giving up on a call after transient errors'
+        );
+        records.push({
+          operation,
+          attempts: attempt,
+          succeeded: false,
+          error: error.message,
+        });
+        throw error;
+      }
+
+      logger.warn(
+        {
+          operation,
+          attempt,
+          maxRetries,
+          delayMs,
+          status: error.status,
+          error: error.message,
+        },
+        'Transient error, retrying'
+      );
+      await sleep(delayMs);
+    }
+  }
+}
+
+export { DEFAULT_MAX_RETRIES, createRetryRecorder, isRetryableError, getRetryDelay, withRetry };
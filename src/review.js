@@ -0,0 +1,276 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import { TRUSTED_ASSOCIATIONS, createIssueComment } from './issues.js';
+import { logger } from './logger.js';
+import { withRetry } from './retry.js';
+
+const REVIEW_EVENTS = ['pull_request_review', 'pull_request_review_comment'];
+
+// Edited, dismissed and deleted feedback was already handled when it was first posted
+const REVIEW_ACTIONS = {
+  pull_request_review: 'submitted',
+  pull_request_review_comment: 'created',
+};
+
+const REPLY_MARKER = '<!-- delegate-action -->';
+
+// Left in the body of every pull request the action opens; branch names are configurable
+const PULL_REQUEST_MARKER = '<!-- delegate-action pull-request -->';
+
+/**
+ * Check whether an event is a pull request review event
+ * @param {string} eventName - GitHub event name
+ * @returns {boolean} True for review and review comment events
+ */
+function isReviewEvent(eventName) {
+  return REVIEW_EVENTS.includes(eventName);
+}
+
+/**
+ * Mark a reply with the review it answers
+ * @param {number} reviewId - Review ID
+ * @returns {string} HTML comment naming the review
+ */
+function reviewMarker(reviewId) {
+  return `<!-- delegate-action review:${reviewId} -->`;
+}
+
+/**
+ * Build the review iteration task for a review or review comment event
+ * Only pull requests whose body carries PULL_REQUEST_MARKER were opened by the action.
+ * @param {Object} context - GitHub Actions context
+ * @returns {Object|null} Review task, or null when the event should not trigger an iteration
+ */
+function getReviewTask(context) {
+  const { eventName, payload } = context;
+  const pr = payload?.pull_request;
+
+  if (!pr || !isReviewEvent(eventName)) {
+    return null;
+  }
+
+  if (payload.action !== REVIEW_ACTIONS[eventName]) {
+    logger.info({ eventName, action: payload.action }, 'Ignoring review event action');
+    return null;
+  }
+
+  const branch = pr.head?.ref || '';
+  if (!(pr.body || '').includes(PULL_REQUEST_MARKER)) {
+    logger.info({ prNumber: pr.number, branch }, 'Pull request was not opened by delegate action');
+    return null;
+  }
+
+  if (pr.head.repo?.full_name !== `${context.repo.owner}/${context.repo.repo}`) {
+    logger.warn({ branch }, 'Ignoring review on a pull request from a fork');
+    return null;
+  }
+
+  const source = eventName === 'pull_request_review' ? payload.review : payload.comment;
+  if (!source || (source.body || '').includes(REPLY_MARKER)) {
+    logger.info({ branch }, 'Ignoring review event without actionable feedback');
+    return null;
+  }
+
+  if (!TRUSTED_ASSOCIATIONS.includes(source.author_association)) {
+    logger.warn(
+      { branch, author: source.user?.login, association: source.author_association },
+      'Ignoring review from untrusted author'
+    );
+    return null;
+  }
+
+  return {
+    prNumber: pr.number,
+    branch,
+    baseBranch: pr.base?.ref,
+    reviewId:
+      eventName === 'pull_request_review' ? source.id : (source.pull_request_review_id ?? null),
+    reviewBody: eventName === 'pull_request_review' ? source.body || '' : '',
+    reviewer: source.user?.login,
+    comments: eventName === 'pull_request_review_comment' ? [source] : [],
+  };
+}
+
+/**
+ * Check whether an earlier run already replied to the review
+ * A review submitted with inline comments fires both review events, and each
+ * comment fires its own, so every run for the same review finds the first reply.
+ * @param {string} token - GitHub token
+ * @param {Object} task - Review task from getReviewTask
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<boolean>} True when a reply carries the review's marker
+ */
+async function isReviewHandled(token, task, retries = null) {
+  if (!task.reviewId) {
+    return false;
+  }
+
+  const octokit = github.getOctokit(token);
+  const { context } = github;
+  const repo = { owner: context.repo.owner, repo: context.repo.repo };
+  const marker = reviewMarker(task.reviewId);
+
+  const [reviewComments, issueComments] = await Promise.all([
+    withRetry(
+      'list pull request review comments',
+      () =>
+        octokit.paginate(octokit.rest.pulls.listReviewComments, {
+          ...repo,
+          pull_number: task.prNumber,
+        }),
+      retries
+    ),
+    withRetry(
+      'list pull request comments',
+      () =>
+        octokit.paginate(octokit.rest.issues.listComments, {
+          ...repo,
+          issue_number: task.prNumber,
+        }),
+      retries
+    ),
+  ]);
+
+  const handled = [...reviewComments, ...issueComments].some((comment) =>
+    (comment.body || '').includes(marker)
+  );
+  if (handled) {
+    logger.info({ prNumber: task.prNumber, reviewId: task.reviewId }, 'Review already handled');
+  }
+  return handled;
+}
+
+/**
+ * Load the inline comments that belong to a submitted review
+ * @param {string} token - GitHub token
+ * @param {Object} task - Review task from getReviewTask
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<Array<Object>>} Review comments
+ */
+async function fetchReviewComments(token, task, retries = null) {
+  if (!task.reviewId) {
+    return task.comments;
+  }
+
+  logger.info({ prNumber: task.prNumber, reviewId: task.reviewId }, 'Fetching review comments');
+
+  const octokit = github.getOctokit(token);
+  const { context } = github;
+
+  const comments = await withRetry(
+    'list review comments',
+    () =>
+      octokit.paginate(octokit.rest.pulls.listCommentsForReview, {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: task.prNumber,
+        review_id: task.reviewId,
+      }),
+    retries
+  );
+
+  return comments.filter((comment) => !(comment.body || '').includes(REPLY_MARKER));
+}
+
+/**
+ * Turn review feedback into Copilot instructions
+ * @param {Object} task - Review task from getReviewTask
+ * @param {Array<Object>} comments - Review comments to address
+ * @returns {string} Instructions
+ */
+function buildReviewInstructions(task, comments) {
+  const sections = [
+    `Address the review feedback from @${task.reviewer} on pull request #${task.prNumber} ` +
+      `(branch ${task.branch}). Only change what the feedback asks for.`,
+  ];
+
+  if (task.reviewBody.trim()) {
+    sections.push(`## Review summary\n\n${task.reviewBody.trim()}`);
+  }
+
+  comments.forEach((comment, index) => {
+    const line = comment.line ?? comment.original_line;
+    const location = line ? `${comment.path}:${line}` : comment.path;
+    let section = `## Comment ${index + 1} on \`${location}\`\n\n${comment.body.trim()}`;
+
+    if (comment.diff_hunk) {
+      section += `\n\n\`\`\`diff\n${comment.diff_hunk}\n\`\`\``;
+    }
+
+    sections.push(section);
+  });
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Reply to each addressed review comment, or to the PR for a review without comments
+ * @param {string} token - GitHub token
+ * @param {Object} task - Review task from getReviewTask
+ * @param {Array<Object>} comments - Addressed review comments
+ * @param {string} message - Reply text
+ * @param {Object} [retries] - Retry state of the run from createRetryRecorder
+ * @returns {Promise<void>}
+ */
+async function replyToReview(token, task, comments, message, retries = null) {
+  const octokit = github.getOctokit(token);
+  const { context } = github;
+  const repo = { owner: context.repo.owner, repo: context.repo.repo };
+  const body = task.reviewId
+    ? `${message}\n\n${REPLY_MARKER}\n${reviewMarker(task.reviewId)}`
+    : `${message}\n\n${REPLY_MARKER}`;
+
+  if (comments.length === 0) {
+    try {
+      await createIssueComment(octokit, 'reply to review', task.prNumber, body, retries);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to reply to review');
+      core.warning(`Failed to reply to review: ${error.message}`);
+    }
+    return;
+  }
+
+  for (const comment of comments) {
+    try {
+      await withRetry(
+        'reply to review comment',
+        async (attempt) => {
+          // A reply that failed in transit may have gone through; don't post it twice
+          if (attempt > 1) {
+            const replies = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+              ...repo,
+              pull_number: task.prNumber,
+            });
+            if (
+              replies.some((reply) => reply.in_reply_to_id === comment.id && reply.body === body)
+            ) {
+              return;
+            }
+          }
+          await octokit.rest.pulls.createReplyForReviewComment({
+            ...repo,
+            pull_number: task.prNumber,
+            comment_id: comment.id,
+            body,
+          });
+        },
+        retries
+      );
+      logger.info({ commentId: comment.id }, 'Replied to review comment');
+    } catch (error) {
+      logger.error({ commentId: comment.id, error: error.message }, 'Failed to reply to comment');
+      core.warning(`Failed to reply to review comment ${comment.id}: ${error.message}`);
+    }
+  }
+}
+
+export {
+  REPLY_MARKER,
+  PULL_REQUEST_MARKER,
+  isReviewEvent,
+  getReviewTask,
+  isReviewHandled,
+  fetchReviewComments,
+  buildReviewInstructions,
+  replyToReview,
+};
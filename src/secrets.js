@@ -0,0 +1,279 @@
+import * as exec from '@actions/exec';
+import { parse as parseToml } from 'smol-toml';
+import { logger } from './logger.js';
+
+const GITLEAKS_CONFIG = '.gitleaks.toml';
+
+// The gitleaks default rules for token formats that are recognizable on their own;
+// rules that depend on surrounding context or entropy scoring are left to gitleaks
+const DEFAULT_RULES = [
+  { id: 'github-pat', regex: 'ghp_[0-9a-zA-Z]{36}', keywords: ['ghp_'] },
+  { id: 'github-fine-grained-pat', regex: 'github_pat_\\w{82}', keywords: ['github_pat_'] },
+  { id: 'github-oauth', regex: 'gho_[0-9a-zA-Z]{36}', keywords: ['gho_'] },
+  { id: 'github-app-token', regex: '(?:ghu|ghs)_[0-9a-zA-Z]{36}', keywords: ['ghu_', 'ghs_'] },
+  { id: 'github-refresh-token', regex: 'ghr_[0-9a-zA-Z]{36}', keywords: ['ghr_'] },
+  { id: 'gitlab-pat', regex: 'glpat-[\\w-]{20}', keywords: ['glpat-'] },
+  { id: 'gitlab-ptt', regex: 'glptt-[0-9a-f]{40}', keywords: ['glptt-'] },
+  { id: 'gitlab-rrt', regex: 'GR1348941[\\w-]{20}', keywords: ['gr1348941'] },
+  {
+    id: 'aws-access-token',
+    regex: '\\b(?:A3T[A-Z0-9]|AKIA|ASIA|ABIA|ACCA)[A-Z2-7]{16}\\b',
+    keywords: ['a3t', 'akia', 'asia', 'abia', 'acca'],
+  },
+  {
+    id: 'private-key',
+    regex: '-----BEGIN[ A-Z0-9_-]{0,100}PRIVATE KEY(?: BLOCK)?-----',
+    keywords: ['-----begin'],
+  },
+  { id: 'age-secret-key', regex: 'AGE-SECRET-KEY-1[QPZRY9X8GF2TVDW0S3JN54KHCE6MUA7L]{58}' },
+  {
+    id: 'slack-bot-token',
+    regex: 'xoxb-[0-9]{10,13}-[0-9]{10,13}[a-zA-Z0-9-]*',
+    keywords: ['xoxb'],
+  },
+  {
+    id: 'slack-user-token',
+    regex: 'xox[pe](?:-[0-9]{10,13}){3}-[a-zA-Z0-9-]{28,34}',
+    keywords: ['xoxp-', 'xoxe-'],
+  },
+  { id: 'slack-app-token', regex: '(?i)xapp-\\d-[A-Z0-9]+-\\d+-[a-z0-9]+', keywords: ['xapp'] },
+  {
+    id: 'slack-webhook-url',
+    regex: 'hooks\\.slack\\.com/(?:services|workflows|triggers)/[A-Za-z0-9+/]{43,56}',
+    keywords: ['hooks.slack.com'],
+  },
+  {
+    id: 'stripe-access-token',
+    regex: '\\b(?:sk|rk)_(?:test|live|prod)_[a-zA-Z0-9]{10,99}',
+    keywords: ['sk_test', 'sk_live', 'sk_prod', 'rk_test', 'rk_live', 'rk_prod'],
+  },
+  { id: 'gcp-api-key', regex: '\\bAIza[\\w-]{35}\\b', keywords: ['aiza'] },
+  { id: 'npm-access-token', regex: '(?i)\\bnpm_[a-z0-9]{36}\\b', keywords: ['npm_'] },
+  {
+    id: 'pypi-upload-token',
+    regex: 'pypi-AgEIcHlwaS5vcmc[\\w-]{50,1000}',
+    keywords: ['pypi-ageichlwas5vcmc'],
+  },
+  {
+    id: 'openai-api-key',
+    regex: '\\bsk-(?:(?:proj|svcacct|admin)-)?[A-Za-z0-9_-]{20,74}T3BlbkFJ[A-Za-z0-9_-]{20,74}\\b',
+    keywords: ['t3blbkfj'],
+  },
+  {
+    id: 'anthropic-api-key',
+    regex: '\\bsk-ant-(?:api03|admin01)-[a-zA-Z0-9_-]{93}AA\\b',
+    keywords: ['sk-ant-api03', 'sk-ant-admin01'],
+  },
+  { id: 'huggingface-access-token', regex: '\\bhf_[a-zA-Z]{34}\\b', keywords: ['hf_'] },
+  {
+    id: 'sendgrid-api-token',
+    regex: '\\bSG\\.[a-zA-Z0-9=_.-]{66}\\b',
+    keywords: ['sg.'],
+  },
+  { id: 'shopify-access-token', regex: 'shp(?:at|ca|pa|ss)_[a-fA-F0-9]{32}', keywords: ['shp'] },
+  {
+    id: 'digitalocean-token',
+    regex: '\\bdo[opr]_v1_[a-f0-9]{64}\\b',
+    keywords: ['dop_v1_', 'doo_v1_', 'dor_v1_'],
+  },
+  { id: 'doppler-api-token', regex: 'dp\\.pt\\.[a-zA-Z0-9]{43}', keywords: ['dp.pt.'] },
+  {
+    id: 'databricks-api-token',
+    regex: '\\bdapi[a-f0-9]{32}(?:-\\d)?\\b',
+    keywords: ['dapi'],
+  },
+  {
+    id: 'postman-api-token',
+    regex: '\\bPMAK-[a-fA-F0-9]{24}-[a-fA-F0-9]{34}\\b',
+    keywords: ['pmak-'],
+  },
+  { id: 'linear-api-key', regex: 'lin_api_[a-zA-Z0-9]{40}', keywords: ['lin_api_'] },
+  { id: 'pulumi-api-token', regex: '\\bpul-[a-f0-9]{40}\\b', keywords: ['pul-'] },
+  {
+    id: 'grafana-service-account-token',
+    regex: 'glsa_[A-Za-z0-9]{32}_[A-Fa-f0-9]{8}',
+    keywords: ['glsa_'],
+  },
+  {
+    id: 'hashicorp-tf-api-token',
+    regex: '(?i)[a-z0-9]{14}\\.atlasv1\\.[a-z0-9_=-]{60,70}',
+    keywords: ['atlasv1'],
+  },
+  { id: 'heroku-api-key-v2', regex: '\\bHRKU-AA[0-9a-zA-Z_-]{58}\\b', keywords: ['hrku-aa'] },
+  {
+    id: 'jwt',
+    regex: '\\bey[a-zA-Z0-9]{17,}\\.ey[a-zA-Z0-9/_-]{17,}\\.(?:[a-zA-Z0-9/_-]{10,}={0,2})?',
+    keywords: ['ey'],
+  },
+];
+
+/**
+ * Compile a gitleaks (Go RE2) regular expression
+ * A leading (?i) flag is supported; rules using other inline flags are skipped.
+ * @param {string} source - Regular expression source
+ * @param {boolean} global - Compile with the g flag to find every match
+ * @returns {RegExp|null} Compiled expression, or null when it can't be used
+ */
+function compileRegex(source, global = false) {
+  let flags = global ? 'g' : '';
+  let pattern = source;
+  if (pattern.startsWith('(?i)')) {
+    flags += 'i';
+    pattern = pattern.slice(4);
+  }
+
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    logger.warn({ regex: source, error: error.message }, 'Skipping unsupported secret rule');
+    return null;
+  }
+}
+
+/**
+ * Normalize a gitleaks allowlist
+ * @param {Object} allowlist - Raw allowlist table
+ * @returns {Object} Path and secret regexes plus stopwords
+ */
+function toAllowlist(allowlist = {}) {
+  return {
+    paths: (allowlist.paths || []).map((source) => compileRegex(source)).filter(Boolean),
+    regexes: (allowlist.regexes || []).map((source) => compileRegex(source)).filter(Boolean),
+    stopwords: (allowlist.stopwords || []).map((word) => word.toLowerCase()),
+  };
+}
+
+/**
+ * Build secret scanning rules from a gitleaks config
+ * @param {string|null} text - Contents of .gitleaks.toml, or null to use the default rules
+ * @returns {Object} Rules and global allowlist
+ */
+function parseGitleaksConfig(text) {
+  let config = { extend: { useDefault: true } };
+  if (text) {
+    try {
+      config = parseToml(text);
+    } catch (error) {
+      throw new Error(`Invalid ${GITLEAKS_CONFIG}: ${error.message}`, { cause: error });
+    }
+  }
+
+  const useDefault = !text || config.extend?.useDefault === true;
+  const disabled = new Set(config.extend?.disabledRules || []);
+
+  const rules = [...(useDefault ? DEFAULT_RULES : []), ...(config.rules || [])]
+    .filter((rule) => rule.regex && !disabled.has(rule.id))
+    .map((rule) => ({
+      id: rule.id,
+      regex: compileRegex(rule.regex, true),
+      secretGroup: rule.secretGroup || 0,
+      keywords: (rule.keywords || []).map((keyword) => keyword.toLowerCase()),
+      allowlist: toAllowlist(rule.allowlist || rule.allowlists?.[0]),
+    }))
+    .filter((rule) => rule.regex);
+
+  return { rules, allowlist: toAllowlist(config.allowlist) };
+}
+
+/**
+ * Load the gitleaks config committed at a revision, falling back to the default rules
+ * The config is read from git rather than the working tree, so changes the agent
+ * makes to it can't switch off the scan of its own changes.
+ * @param {string} [ref] - Revision to read the config from
+ * @returns {Promise<Object>} Rules and global allowlist
+ */
+async function loadSecretRules(ref = 'HEAD') {
+  const { exitCode, stdout } = await exec.getExecOutput(
+    'git',
+    ['show', `${ref}:${GITLEAKS_CONFIG}`],
+    { ignoreReturnCode: true, silent: true }
+  );
+  if (exitCode !== 0) {
+    logger.info({ ref }, 'No .gitleaks.toml committed, using default secret rules');
+    return parseGitleaksConfig(null);
+  }
+
+  logger.info({ ref }, 'Loaded secret rules from .gitleaks.toml');
+  return parseGitleaksConfig(stdout);
+}
+
+/**
+ * Check whether a match is covered by an allowlist
+ * @param {Object} allowlist - Normalized allowlist
+ * @param {string} file - File the match is in
+ * @param {string} secret - Matched secret
+ * @returns {boolean} True when the match is allowed
+ */
+function isAllowed(allowlist, file, secret) {
+  const lower = secret.toLowerCase();
+  return (
+    allowlist.paths.some((pattern) => pattern.test(file)) ||
+    allowlist.regexes.some((pattern) => pattern.test(secret)) ||
+    allowlist.stopwords.some((word) => lower.includes(word))
+  );
+}
+
+/**
+ * Scan the added lines of a unified diff for secrets
+ * @param {string} diff - Output of git diff with -U0
+ * @param {Object} secretRules - Rules from loadSecretRules
+ * @returns {Array<Object>} Findings with rule, file and line; the secret itself is never reported
+ */
+function scanDiffForSecrets(diff, secretRules) {
+  const findings = [];
+  let file = null;
+  let inHeader = false;
+  let lineNumber = 0;
+
+  for (const line of diff.split('\n')) {
+    // Only the header of a file section names the file; an added line can start with ++ too
+    if (line.startsWith('diff --git ')) {
+      file = null;
+      inHeader = true;
+      continue;
+    }
+
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      inHeader = false;
+      lineNumber = Number(hunk[1]);
+      continue;
+    }
+
+    if (inHeader) {
+      if (line.startsWith('+++ ')) {
+        file = line === '+++ /dev/null' ? null : line.slice(4).replace(/^b\//, '');
+      }
+      continue;
+    }
+
+    if (!file || !line.startsWith('+')) {
+      continue;
+    }
+
+    const content = line.slice(1);
+    const lower = content.toLowerCase();
+    for (const rule of secretRules.rules) {
+      if (rule.keywords.length > 0 && !rule.keywords.some((keyword) => lower.includes(keyword))) {
+        continue;
+      }
+
+      for (const match of content.matchAll(rule.regex)) {
+        const secret = match[rule.secretGroup] ?? match[0];
+        if (
+          isAllowed(secretRules.allowlist, file, secret) ||
+          isAllowed(rule.allowlist, file, secret)
+        ) {
+          continue;
+        }
+        findings.push({ rule: rule.id, file, line: lineNumber });
+      }
+    }
+
+    lineNumber += 1;
+  }
+
+  return findings;
+}
+
+export { GITLEAKS_CONFIG, parseGitleaksConfig, loadSecretRules, scanDiffForSecrets };
@@ -0,0 +1,288 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import { logger } from './logger.js';
+import { renderVerification } from './verify.js';
+
+const STATUS_ICONS = {
+  pr_created: '✅',
+  pr_failed: '⚠️',
+  committed: '✅',
+  review_addressed: '✅',
+  no_changes: '➖',
+  dry_run: '🧪',
+  skipped: '⏭️',
+  failed: '❌',
+};
+
+// Credentials never reach the summary, whatever the input is called
+const SECRET_INPUT = /token|secret|password|key/i;
+
+const MAX_VALUE_LENGTH = 80;
+const MAX_FILE_ROWS = 100;
+
+// The end of an error is where the cause usually is
+const MAX_ERROR_LINES = 20;
+
+// Budget keys with the usage and limit fields of summarizeBudgets
+const BUDGET_ROWS = [
+  ['max-tool-calls', 'tool_calls', 'max_tool_calls'],
+  ['max-shell-commands', 'shell_commands', 'max_shell_commands'],
+  ['max-files-modified', 'files_modified', 'max_files_modified'],
+  ['max-minutes', 'minutes', 'max_minutes'],
+];
+
+/**
+ * Escape text for an HTML table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a table header row
+ * @param {string[]} labels - Column labels
+ * @returns {Array<Object>} Header cells for core.summary.addTable
+ */
+function headerRow(labels) {
+  return labels.map((label) => ({ data: label, header: true }));
+}
+
+/**
+ * List the action inputs that were set, the way core.getInput reads them
+ * @param {Object} env - Environment
+ * @returns {Array<string[]>} Input names and shortened values, secrets left out
+ */
+function getInputsUsed(env) {
+  return Object.entries(env)
+    .filter(([name, value]) => name.startsWith('INPUT_') && value.trim())
+    .map(([name, value]) => [name.slice('INPUT_'.length).toLowerCase(), value.trim()])
+    .filter(([name]) => !SECRET_INPUT.test(name))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => {
+      const [firstLine] = value.split('\n');
+      const short =
+        firstLine.length > MAX_VALUE_LENGTH || firstLine !== value
+          ? `${firstLine.slice(0, MAX_VALUE_LENGTH)}…`
+          : firstLine;
+      return [name, short];
+    });
+}
+
+/**
+ * Format a duration for the summary
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. 2m 5s, or - when unknown
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) {
+    return '-';
+  }
+
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Describe how a transcript session ended
+ * @param {Object} session - Transcript session
+ * @returns {string} Outcome
+ */
+function describeSessionOutcome(session) {
+  if (!session.endedAt) {
+    return '⏳ unfinished';
+  }
+
+  const error = session.entries.findLast((entry) => entry.type === 'error');
+  return error ? `❌ ${error.message}` : '✅ completed';
+}
+
+/**
+ * Keep the last lines of an error
+ * @param {string} error - Error message
+ * @returns {string} At most MAX_ERROR_LINES lines
+ */
+function tailError(error) {
+  const lines = error.trimEnd().split('\n');
+  return lines.length > MAX_ERROR_LINES
+    ? ['…', ...lines.slice(-MAX_ERROR_LINES)].join('\n')
+    : lines.join('\n');
+}
+
+/**
+ * Write the report of a run to the job summary
+ * Failing to write it only logs a warning, so it never changes the outcome.
+ * @param {Object} result - Run result from createRunResult
+ * @param {Object} transcript - Session transcript
+ * @param {Object} [env] - Environment holding the INPUT_ variables
+ * @returns {Promise<void>}
+ */
+async function writeJobSummary(result, transcript, env = process.env) {
+  try {
+    const { context } = github;
+    const serverUrl = context.serverUrl || 'https://github.com';
+    const repoUrl = `${serverUrl}/${context.repo.owner}/${context.repo.repo}`;
+
+    const details = [
+      `**Status:** ${STATUS_ICONS[result.status] ?? ''} \`${result.status}\``,
+      result.model && `**Model:** \`${result.model}\``,
+      result.baseBranch && `**Base branch:** \`${result.baseBranch}\``,
+      result.branch &&
+        `**Branch:** [\`${result.branch}\`](${repoUrl}/tree/${encodeURI(result.branch)})`,
+      result.prUrl && `**Pull request:** [#${result.prNumber}](${result.prUrl})`,
+      `**Duration:** ${formatDuration(Date.now() - result.startedAt)}`,
+      result.dryRun && '**Dry run:** nothing was pushed',
+    ].filter(Boolean);
+
+    const summary = core.summary.addHeading('Delegate run', 2).addRaw(details.join('<br>\n'), true);
+
+    const inputs = getInputsUsed(env);
+    if (inputs.length > 0) {
+      summary
+        .addHeading('Inputs', 3)
+        .addTable([
+          headerRow(['Input', 'Value']),
+          ...inputs.map(([name, value]) => [
+            `<code>${escapeHtml(name)}</code>`,
+            `<code>${escapeHtml(value)}</code>`,
+          ]),
+        ]);
+    }
+
+    if (result.context) {
+      const { files, dropped, bytes, budget } = result.context;
+      summary
+        .addHeading(`Context files (${bytes} of ${budget} bytes)`, 3)
+        .addTable([
+          headerRow(['File', 'Bytes', 'Attached']),
+          ...files.map((file) => [
+            `<code>${escapeHtml(file.path)}</code>`,
+            String(file.size),
+            '✅',
+          ]),
+          ...dropped.map((file) => [
+            `<code>${escapeHtml(file.path)}</code>`,
+            file.size === null ? '-' : String(file.size),
+            `❌ ${escapeHtml(file.reason)}`,
+          ]),
+        ]);
+    }
+
+    if (transcript.sessions.length > 0) {
+      summary
+        .addHeading('Stages', 3)
+        .addTable([
+          headerRow(['Stage', 'Session', 'Duration', 'Tool calls', 'Outcome']),
+          ...transcript.sessions.map((session) => [
+            escapeHtml(session.phase),
+            `<code>${escapeHtml(session.sessionId)}</code>`,
+            formatDuration(session.durationMs),
+            String(session.entries.filter((entry) => entry.type === 'tool').length),
+            escapeHtml(describeSessionOutcome(session)),
+          ]),
+        ]);
+    }
+
+    if (result.files.length > 0) {
+      summary
+        .addHeading(`Changed files (${result.files.length})`, 3)
+        .addTable([
+          headerRow(['File', 'Added', 'Removed']),
+          ...result.files
+            .slice(0, MAX_FILE_ROWS)
+            .map((file) => [
+              `<code>${escapeHtml(file.path)}</code>`,
+              file.additions === null ? 'binary' : String(file.additions),
+              file.deletions === null ? 'binary' : String(file.deletions),
+            ]),
+        ]);
+      if (result.files.length > MAX_FILE_ROWS) {
+        summary.addRaw(`…and ${result.files.length - MAX_FILE_ROWS} more files.`, true);
+      }
+    }
+
+    if (result.violations.length > 0) {
+      summary
+        .addHeading('Guardrail violations', 3)
+        .addTable([
+          headerRow(['Rule', 'Action', 'Details']),
+          ...result.violations.map((violation) => [
+            `<code>${escapeHtml(violation.rule)}</code>`,
+            escapeHtml(violation.action ?? '-'),
+            escapeHtml(violation.message),
+          ]),
+        ]);
+    }
+
+    if (result.findings.length > 0) {
+      summary
+        .addHeading('Prompt injection findings', 3)
+        .addTable([
+          headerRow(['Rule', 'Source', 'Line', 'Excerpt']),
+          ...result.findings.map((finding) => [
+            `<code>${escapeHtml(finding.rule)}</code>`,
+            escapeHtml(finding.source ?? '-'),
+            finding.line ? String(finding.line) : '-',
+            `<code>${escapeHtml(finding.excerpt ?? '')}</code>`,
+          ]),
+        ]);
+    }
+
+    if (result.denials.length > 0) {
+      summary
+        .addHeading('Denied tool requests', 3)
+        .addList(
+          result.denials.map(
+            (denial) =>
+              `<code>${escapeHtml(denial.kind)}</code> ${escapeHtml(denial.target ?? '')}: ${escapeHtml(denial.reason)}`
+          )
+        );
+    }
+
+    if (result.verification) {
+      summary.addRaw(renderVerification(result.verification), true);
+    }
+
+    if (result.budget) {
+      const { limits, usage, exceeded } = result.budget;
+      summary
+        .addHeading('Budgets', 3)
+        .addTable([
+          headerRow(['Budget', 'Used', 'Limit', 'Status']),
+          ...BUDGET_ROWS.map(([budget, used, limit]) => [
+            `<code>${budget}</code>`,
+            String(usage[used]),
+            limits[limit] === null ? 'none' : String(limits[limit]),
+            exceeded?.budget === budget ? '❌ exceeded' : '✅',
+          ]),
+        ]);
+    }
+
+    if (result.retries.length > 0) {
+      summary
+        .addHeading('Retried calls', 3)
+        .addList(
+          result.retries.map(
+            (retry) =>
+              `${escapeHtml(retry.operation)}: ${retry.attempts} attempts, ${retry.succeeded ? 'succeeded' : `failed (${escapeHtml(retry.error)})`}`
+          )
+        );
+    }
+
+    if (result.error) {
+      summary.addHeading('Error', 3).addCodeBlock(escapeHtml(tailError(result.error)), 'text');
+    }
+
+    await summary.write();
+    logger.info({ status: result.status }, 'Job summary written');
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Failed to write the job summary');
+  }
+}
+
+export { getInputsUsed, writeJobSummary };
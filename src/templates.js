@@ -0,0 +1,200 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import { validateFile } from './validation.js';
+
+// Built-in variables a vars entry may not replace
+const BUILTIN_VARIABLES = ['repo', 'owner', 'actor', 'base_branch', 'event_name', 'event'];
+
+// ${{ }} expressions are GitHub Actions syntax quoted in task files, not template variables
+const VARIABLE_PATTERN = /(?<!\$)\{\{\s*([\w-]+(?:\.[\w-]+)*)\s*\}\}/g;
+
+const INCLUDE_PATTERN = /^@include[ \t]+(\S+)[ \t]*$/gm;
+
+const MAX_INCLUDE_DEPTH = 5;
+
+/**
+ * Parse template variables from a YAML mapping
+ * @param {string} text - YAML mapping of names to scalar values
+ * @returns {Object} Variable names to string values
+ */
+function parseTemplateVars(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid vars: ${error.message}`, { cause: error });
+  }
+
+  if (raw === null || raw === undefined) {
+    return {};
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Invalid vars: expected a mapping of names to values');
+  }
+
+  const vars = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid vars: ${name} must only contain letters, digits, - and _`);
+    }
+
+    if (BUILTIN_VARIABLES.includes(name)) {
+      throw new Error(`Invalid vars: ${name} is a built-in variable`);
+    }
+
+    if (value === null || typeof value === 'object') {
+      throw new Error(`Invalid vars: ${name} must be a string, number or boolean`);
+    }
+
+    vars[name] = String(value);
+  }
+
+  return vars;
+}
+
+/**
+ * Load template variables from inline YAML or a vars file in the repository
+ * @param {string} source - Inline YAML, a repository-relative file path, or empty
+ * @returns {Promise<Object>} Variable names to string values
+ */
+async function loadTemplateVars(source) {
+  if (!source || !source.trim()) {
+    return {};
+  }
+
+  const isInline = source.includes('\n') || source.includes(':');
+  if (isInline) {
+    logger.info('Loading inline template variables');
+    return parseTemplateVars(source);
+  }
+
+  const varsPath = await validateFile(source.trim());
+  logger.info({ varsPath }, 'Loading template variables file');
+  return parseTemplateVars(fs.readFileSync(varsPath, 'utf8'));
+}
+
+/**
+ * Collect the variables available to instruction files
+ * @param {Object} context - GitHub Actions context
+ * @param {Object} options - Run values
+ * @param {string} options.baseBranch - Branch the changes start from
+ * @param {Object} [options.vars] - Custom variables from the vars input
+ * @returns {Object} Variables by name; event holds the event payload
+ */
+function getTemplateVariables(context, { baseBranch, vars = {} }) {
+  return {
+    ...vars,
+    repo: `${context.repo.owner}/${context.repo.repo}`,
+    owner: context.repo.owner,
+    actor: context.actor,
+    base_branch: baseBranch,
+    event_name: context.eventName,
+    event: context.payload ?? {},
+  };
+}
+
+/**
+ * Look up a dotted variable name such as event.issue.title
+ * @param {Object} variables - Variables from getTemplateVariables
+ * @param {string} name - Variable name
+ * @returns {string|undefined} Value, or undefined when it is missing or not a scalar
+ */
+function lookupVariable(variables, name) {
+  let value = variables;
+  for (const key of name.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : undefined;
+}
+
+/**
+ * Fill in the {{variables}} of instruction text
+ * Unknown variables are left as they are and reported in a warning.
+ * @param {string} text - Instruction text
+ * @param {Object} variables - Variables from getTemplateVariables
+ * @returns {string} Rendered text
+ */
+function renderTemplate(text, variables) {
+  const unknown = new Set();
+  const rendered = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = lookupVariable(variables, name);
+    if (value === undefined) {
+      unknown.add(name);
+      return placeholder;
+    }
+    return value;
+  });
+
+  if (unknown.size > 0) {
+    logger.warn({ variables: [...unknown] }, 'Leaving unknown template variables as they are');
+  }
+
+  return rendered;
+}
+
+/**
+ * Replace @include lines with the files they name, recursively
+ * Paths are repository-relative and go through validateFile.
+ * @param {string} text - Instruction text
+ * @param {string[]} [stack] - Resolved paths of the files being included
+ * @returns {Promise<string>} Text with every include expanded
+ */
+async function expandIncludes(text, stack = []) {
+  const matches = [...text.matchAll(INCLUDE_PATTERN)];
+  let expanded = '';
+  let last = 0;
+
+  for (const match of matches) {
+    const target = match[1];
+    let includePath;
+    try {
+      includePath = await validateFile(target);
+    } catch (error) {
+      throw new Error(`Invalid @include ${target}: ${error.message}`, { cause: error });
+    }
+
+    if (stack.includes(includePath)) {
+      throw new Error(`Invalid @include ${target}: the file includes itself`);
+    }
+
+    if (stack.length >= MAX_INCLUDE_DEPTH) {
+      throw new Error(`Invalid @include ${target}: includes nest deeper than ${MAX_INCLUDE_DEPTH}`);
+    }
+
+    const content = fs.readFileSync(includePath, 'utf8').replace(/\r?\n$/, '');
+    expanded += text.slice(last, match.index);
+    expanded += await expandIncludes(content, [...stack, includePath]);
+    last = match.index + match[0].length;
+  }
+
+  if (matches.length > 0) {
+    logger.info({ includes: matches.map((match) => match[1]) }, 'Expanded instruction includes');
+  }
+
+  return expanded + text.slice(last);
+}
+
+/**
+ * Expand the includes and variables of instruction text
+ * @param {string} text - Instruction text
+ * @param {Object} variables - Variables from getTemplateVariables
+ * @returns {Promise<string>} Prompt to send
+ */
+async function expandTemplate(text, variables) {
+  return renderTemplate(await expandIncludes(text), variables);
+}
+
+export {
+  parseTemplateVars,
+  loadTemplateVars,
+  getTemplateVariables,
+  renderTemplate,
+  expandIncludes,
+  expandTemplate,
+};
@@ -0,0 +1,261 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from './logger.js';
+
+const MAX_RESULT_LENGTH = 4000;
+const MAX_SUMMARY_LENGTH = 20000;
+
+/**
+ * Shorten long text, noting how much was dropped
+ * @param {string} text - Text to shorten
+ * @param {number} limit - Maximum number of characters to keep
+ * @returns {string} Possibly truncated text
+ */
+function truncate(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+  return `${text.slice(0, limit)}\n… (${text.length - limit} more characters)`;
+}
+
+/**
+ * Convert a tool result or argument payload to text
+ * @param {*} value - Value reported by the session
+ * @returns {string} Text representation
+ */
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value.content === 'string') {
+    return value.content;
+  }
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Create an empty transcript for a run
+ * @returns {Object} Transcript with no sessions
+ */
+function createTranscript() {
+  return { startedAt: new Date().toISOString(), sessions: [] };
+}
+
+/**
+ * Start recording a Copilot session
+ * @param {Object} transcript - Transcript from createTranscript
+ * @param {Object} details - Session details
+ * @param {string} details.phase - Workflow phase the session belongs to
+ * @param {string} details.sessionId - Copilot session ID
+ * @param {string} details.model - Model used by the session
+ * @param {string} details.prompt - Prompt sent to the session
+ * @returns {Object} Session record to pass to recordEvent
+ */
+function startSession(transcript, { phase, sessionId, model, prompt }) {
+  const session = {
+    phase,
+    sessionId,
+    model,
+    prompt,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationMs: null,
+    entries: [],
+  };
+  transcript.sessions.push(session);
+  return session;
+}
+
+/**
+ * Record a Copilot session event
+ * Streaming deltas are skipped because the complete message arrives as its own event.
+ * @param {Object} session - Session record from startSession
+ * @param {Object} event - Session event
+ * @returns {void}
+ */
+function recordEvent(session, event) {
+  const data = event.data || {};
+  const at = new Date().toISOString();
+
+  switch (event.type) {
+    case 'assistant.message':
+      session.entries.push({ type: 'message', at, content: data.content || '' });
+      break;
+    case 'tool.execution_start':
+      session.entries.push({
+        type: 'tool',
+        at,
+        toolCallId: data.toolCallId,
+        toolName: data.toolName,
+        arguments: data.arguments ?? null,
+        result: null,
+        success: null,
+        durationMs: null,
+      });
+      break;
+    case 'tool.execution_end': {
+      const call = session.entries.findLast(
+        (entry) =>
+          entry.type === 'tool' &&
+          entry.success === null &&
+          (data.toolCallId
+            ? entry.toolCallId === data.toolCallId
+            : entry.toolName === data.toolName)
+      );
+      if (!call) {
+        break;
+      }
+      call.success = data.success ?? !data.error;
+      call.result = truncate(stringify(data.error ?? data.result), MAX_RESULT_LENGTH);
+      call.durationMs = Date.parse(at) - Date.parse(call.at);
+      break;
+    }
+    case 'session.error':
+      session.entries.push({ type: 'error', at, message: data.message || 'Unknown error' });
+      break;
+  }
+}
+
+/**
+ * Mark a session as finished
+ * @param {Object} session - Session record from startSession
+ * @param {Error} [error] - Error that ended the session, if any
+ * @returns {void}
+ */
+function endSession(session, error) {
+  session.endedAt = new Date().toISOString();
+  session.durationMs = Date.parse(session.endedAt) - Date.parse(session.startedAt);
+  if (error) {
+    session.entries.push({ type: 'error', at: session.endedAt, message: error.message });
+  }
+}
+
+/**
+ * Count the tool calls and errors across a transcript
+ * @param {Object} transcript - Transcript from createTranscript
+ * @returns {Object} Tool call and error counts
+ */
+function countEntries(transcript) {
+  const entries = transcript.sessions.flatMap((session) => session.entries);
+  return {
+    toolCalls: entries.filter((entry) => entry.type === 'tool').length,
+    errors: entries.filter((entry) => entry.type === 'error').length,
+  };
+}
+
+/**
+ * Render one transcript entry as Markdown
+ * @param {Object} entry - Transcript entry
+ * @returns {string} Markdown
+ */
+function renderEntry(entry) {
+  if (entry.type === 'message') {
+    return `**Assistant:**\n\n${entry.content.trim()}`;
+  }
+
+  if (entry.type === 'error') {
+    return `**Error:** ${entry.message}`;
+  }
+
+  const status = entry.success === null ? 'no result' : entry.success ? 'ok' : 'failed';
+  const timing = entry.durationMs === null ? '' : `, ${entry.durationMs} ms`;
+  let text = `**Tool \`${entry.toolName}\`** (${status}${timing})`;
+
+  if (entry.arguments !== null) {
+    text += `\n\n\`\`\`json\n${JSON.stringify(entry.arguments, null, 2)}\n\`\`\``;
+  }
+  if (entry.result) {
+    text += `\n\n\`\`\`\n${entry.result}\n\`\`\``;
+  }
+
+  return text;
+}
+
+/**
+ * Render the full transcript as Markdown
+ * @param {Object} transcript - Transcript from createTranscript
+ * @returns {string} Markdown document
+ */
+function renderTranscriptMarkdown(transcript) {
+  const sections = [`# Copilot session transcript\n\nStarted ${transcript.startedAt}`];
+
+  for (const session of transcript.sessions) {
+    const duration = session.durationMs === null ? '' : ` in ${session.durationMs} ms`;
+    sections.push(
+      `## ${session.phase} (\`${session.model}\`, session \`${session.sessionId}\`${duration})`,
+      `**Prompt:**\n\n${session.prompt.trim()}`,
+      ...session.entries.map(renderEntry)
+    );
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Summarize the transcript as a collapsible section for a pull request body
+ * Tool results are left out to keep the body readable; they are in the full transcript.
+ * @param {Object} transcript - Transcript from createTranscript
+ * @returns {string} Markdown with a <details> block, or '' when nothing was recorded
+ */
+function summarizeTranscript(transcript) {
+  if (transcript.sessions.length === 0) {
+    return '';
+  }
+
+  const { toolCalls, errors } = countEntries(transcript);
+  const lines = [];
+
+  for (const session of transcript.sessions) {
+    lines.push(`#### ${session.phase}`, '');
+    for (const entry of session.entries) {
+      if (entry.type === 'message') {
+        lines.push(`> ${entry.content.trim().replace(/\n/g, '\n> ')}`, '');
+      } else if (entry.type === 'tool') {
+        lines.push(`- 🔧 \`${entry.toolName}\`${entry.success === false ? ' ❌' : ''}`, '');
+      } else {
+        lines.push(`- ⚠️ ${entry.message}`, '');
+      }
+    }
+  }
+
+  return (
+    `<details>\n<summary>Copilot session transcript (${transcript.sessions.length} sessions, ` +
+    `${toolCalls} tool calls, ${errors} errors)</summary>\n\n` +
+    `${truncate(lines.join('\n').trim(), MAX_SUMMARY_LENGTH)}\n\n</details>`
+  );
+}
+
+/**
+ * Write the transcript as Markdown and JSON to the runner's temporary directory
+ * @param {Object} transcript - Transcript from createTranscript
+ * @returns {Object} Paths of the Markdown and JSON files
+ */
+function writeTranscript(transcript) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const base = path.join(
+    process.env.RUNNER_TEMP || os.tmpdir(),
+    `delegate-transcript-${timestamp}`
+  );
+  const markdownPath = `${base}.md`;
+  const jsonPath = `${base}.json`;
+
+  fs.writeFileSync(markdownPath, renderTranscriptMarkdown(transcript));
+  fs.writeFileSync(jsonPath, JSON.stringify(transcript, null, 2));
+  logger.info({ markdownPath, jsonPath, ...countEntries(transcript) }, 'Transcript written');
+
+  return { markdownPath, jsonPath };
+}
+
+export {
+  createTranscript,
+  startSession,
+  recordEvent,
+  endSession,
+  renderTranscriptMarkdown,
+  summarizeTranscript,
+  writeTranscript,
+};
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import validator from 'validator';
+import { logger } from './logger.js';
+
+const MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Validate and sanitize a filename
+ * @param {string} filename - The filename to sanitize
+ * @returns {string} Sanitized filename
+ */
+function validateFilename(filename) {
+  if (!filename || !validator.isLength(filename, { min: 1, max: 255 })) {
+    throw new Error('Filename must be between 1 and 255 characters');
+  }
+
+  // Check for absolute paths and path traversal BEFORE sanitization
+  if (path.isAbsolute(filename)) {
+    throw new Error('Absolute paths are not allowed');
+  }
+
+  if (filename.includes('..')) {
+    throw new Error('Path traversal detected');
+  }
+
+  // Sanitize each path segment so files in subdirectories keep their directories
+  const sanitized = filename
+    .split('/')
+    .map((segment) => sanitizeFilename(segment, { replacement: '_' }))
+    .join('/');
+
+  if (sanitized !== filename) {
+    logger.warn({ original: filename, sanitized }, 'Filename was sanitized');
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validate file safety before reading
+ * @param {string} filename - The filename to validate
+ * @returns {Promise<string>} Resolved file path
+ */
+async function validateFile(filename) {
+  logger.info({ filename }, 'Validating file');
+
+  const sanitizedFilename = validateFilename(filename);
+  const filePath = path.join(process.cwd(), sanitizedFilename);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${sanitizedFilename}`);
+  }
+
+  const stats = fs.statSync(filePath);
+  if (stats.size > MAX_FILE_SIZE) {
+    throw new Error(
+      `File ${sanitizedFilename} exceeds maximum size of ${MAX_FILE_SIZE} bytes (actual: ${stats.size} bytes)`
+    );
+  }
+
+  if (!stats.isFile()) {
+    throw new Error(`Path ${sanitizedFilename} is not a file`);
+  }
+
+  logger.info({ filePath, size: stats.size }, 'File validated successfully');
+  return filePath;
+}
+
+export { MAX_FILE_SIZE, validateFilename, validateFile };
@@ -0,0 +1,199 @@
+import { spawn } from 'child_process';
+import { clearTimeout, setTimeout } from 'timers';
+import { detectPromptInjection } from './injection.js';
+import { logger } from './logger.js';
+
+const DEFAULT_VERIFY_ATTEMPTS = 3;
+const DEFAULT_VERIFY_TIMEOUT_MINUTES = 10;
+
+// Only the end of the output is kept; that's where test runners put their failures
+const MAX_OUTPUT_LENGTH = 6000;
+
+/**
+ * Keep the end of a long command output
+ * @param {string} output - Command output
+ * @returns {string} Output of at most MAX_OUTPUT_LENGTH characters
+ */
+function tail(output) {
+  if (output.length <= MAX_OUTPUT_LENGTH) {
+    return output;
+  }
+  return `…${output.slice(-MAX_OUTPUT_LENGTH)}`;
+}
+
+/**
+ * Run a shell command in its own process group, killing the group on timeout
+ * @actions/exec can't stop a command, and killing only the shell would leave
+ * the processes it started holding the output pipes open.
+ * @param {string} command - Shell command
+ * @param {number} timeout - Milliseconds before the command is killed
+ * @returns {Promise<Object>} Exit code (null when killed), output and whether it timed out
+ */
+function runShell(command, timeout) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('sh', ['-c', command], {
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const output = { stdout: '', stderr: '' };
+    let timedOut = false;
+
+    for (const stream of ['stdout', 'stderr']) {
+      child[stream].on('data', (chunk) => {
+        process[stream].write(chunk);
+        // Long runs only need their end, and tail() trims it to size afterwards
+        output[stream] = (output[stream] + chunk).slice(-2 * MAX_OUTPUT_LENGTH);
+      });
+    }
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        logger.warn({ command, error: error.message }, 'Failed to kill verification command');
+      }
+    }, timeout);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      resolve({ exitCode: timedOut ? null : exitCode, ...output, timedOut });
+    });
+  });
+}
+
+/**
+ * Run the verification command in a shell
+ * A command that runs past the timeout is killed and counts as failed.
+ * @param {string} command - Shell command, e.g. `npm test`
+ * @param {number} [timeout] - Milliseconds before the command is killed
+ * @returns {Promise<Object>} Whether it passed, its exit code, the end of its output and whether it timed out
+ */
+async function runVerifyCommand(command, timeout = DEFAULT_VERIFY_TIMEOUT_MINUTES * 60000) {
+  logger.info({ command, timeout }, 'Running verification command');
+
+  const { exitCode, stdout, stderr, timedOut } = await runShell(command, timeout);
+  const output = tail(
+    [stdout, stderr]
+      .filter((text) => text.trim())
+      .join('\n')
+      .trim()
+  );
+
+  if (timedOut) {
+    logger.warn({ command, timeout }, 'Verification command timed out');
+  }
+  logger.info({ command, exitCode }, 'Verification command finished');
+  return { passed: exitCode === 0, exitCode, output, timedOut };
+}
+
+/**
+ * Build the follow-up prompt sent after a failed verification
+ * @param {Object} verification - Verification state from createVerifier
+ * @returns {string} Prompt asking Copilot to fix the failures
+ */
+function buildFailurePrompt(verification) {
+  const reason = verification.timedOut
+    ? `timed out after ${verification.timeout / 60000} minutes`
+    : `exit code ${verification.exitCode}`;
+  return (
+    `The verification command \`${verification.command}\` failed ` +
+    `(${reason}, attempt ${verification.attempts} of ${verification.maxAttempts}). ` +
+    `Fix the problems it reports without skipping or weakening checks.\n\n` +
+    `\`\`\`\n${verification.output}\n\`\`\``
+  );
+}
+
+/**
+ * Create a verifier that runs the command after each Copilot turn
+ * Its followUp function returns the failure prompt to send back into the
+ * session, or null once the command passes or the attempts run out. The
+ * command's output comes from code Copilot wrote, so it is checked for prompt
+ * injection like any other input before it goes back into the session.
+ * @param {string} command - Shell command, e.g. `npm test`
+ * @param {number} maxAttempts - How many times the command may run
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.timeout] - Milliseconds before each run is killed
+ * @param {Object} [options.injectionRules] - Repository prompt-injection rules
+ * @returns {Object} Verification state and the followUp function for runCopilot
+ */
+function createVerifier(command, maxAttempts = DEFAULT_VERIFY_ATTEMPTS, options = {}) {
+  const { timeout = DEFAULT_VERIFY_TIMEOUT_MINUTES * 60000, injectionRules } = options;
+  const verification = {
+    command,
+    passed: false,
+    attempts: 0,
+    maxAttempts,
+    timeout,
+    exitCode: null,
+    timedOut: false,
+    output: '',
+  };
+
+  const followUp = async () => {
+    const outcome = await runVerifyCommand(command, timeout);
+    verification.attempts += 1;
+    Object.assign(verification, outcome);
+
+    if (outcome.passed) {
+      logger.info({ command, attempts: verification.attempts }, 'Verification passed');
+      return null;
+    }
+
+    if (verification.attempts >= maxAttempts) {
+      logger.warn({ command, attempts: verification.attempts }, 'Verification still failing');
+      return null;
+    }
+
+    if (outcome.output) {
+      const injectionCheck = detectPromptInjection(outcome.output, {
+        rules: injectionRules,
+        source: 'verify_command output',
+      });
+      if (!injectionCheck.isValid) {
+        logger.error(
+          { command, reason: injectionCheck.reason, findings: injectionCheck.findings },
+          'Prompt injection detected'
+        );
+        const error = new Error(`Security: ${injectionCheck.reason}`);
+        error.findings = injectionCheck.findings;
+        throw error;
+      }
+    }
+
+    return buildFailurePrompt(verification);
+  };
+
+  return { verification, followUp };
+}
+
+/**
+ * Describe a verification result for the pull request body
+ * @param {Object} verification - Verification state from createVerifier
+ * @returns {string} Markdown, with the last output when the command failed
+ */
+function renderVerification(verification) {
+  const attempts = `${verification.attempts} ${verification.attempts === 1 ? 'attempt' : 'attempts'}`;
+  if (verification.passed) {
+    return `**Verification:** ✅ \`${verification.command}\` passed after ${attempts}`;
+  }
+
+  const reason = verification.timedOut ? 'timed out' : `exit code ${verification.exitCode}`;
+  return (
+    `**Verification:** ❌ \`${verification.command}\` still failed after ${attempts} ` +
+    `(${reason})\n\n` +
+    `<details>\n<summary>Last output</summary>\n\n\`\`\`\n${verification.output}\n\`\`\`\n\n</details>`
+  );
+}
+
+export {
+  DEFAULT_VERIFY_ATTEMPTS,
+  DEFAULT_VERIFY_TIMEOUT_MINUTES,
+  runVerifyCommand,
+  createVerifier,
+  renderVerification,
+};